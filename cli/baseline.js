@@ -0,0 +1,86 @@
+/**
+ * Baseline comparison: load a previous race's summary.json and report how each
+ * racer's measurements moved since then, flagging regressions above a threshold.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_BASELINE_THRESHOLD = 5;
+
+/**
+ * Resolve a --baseline value to a results directory.
+ * "latest" picks the most recent results-* directory in raceDir that has a summary.json;
+ * anything else is a path, tried as given and then relative to raceDir.
+ * Returns the absolute directory, or null if nothing usable was found.
+ */
+export function resolveBaselineDir(raceDir, spec) {
+  if (!spec) return null;
+  if (spec === 'latest') {
+    let dirs;
+    try {
+      dirs = fs.readdirSync(raceDir).filter(f => f.startsWith('results-'));
+    } catch {
+      return null;
+    }
+    const candidates = dirs
+      .map(f => path.join(raceDir, f))
+      .filter(d => fs.existsSync(path.join(d, 'summary.json')))
+      .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+    return candidates[0] || null;
+  }
+  for (const dir of [path.resolve(spec), path.resolve(raceDir, spec)]) {
+    if (fs.existsSync(path.join(dir, 'summary.json'))) return dir;
+  }
+  return null;
+}
+
+/** Read the summary.json in a baseline directory. Throws if it can't be parsed. */
+export function loadBaseline(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'summary.json'), 'utf-8'));
+}
+
+/**
+ * Compare a summary against a baseline summary, racer by racer (matched by name)
+ * and measurement by measurement. A measurement regresses when it got slower by
+ * more than `threshold` percent.
+ * Returns { dir, timestamp, threshold, deltas, regressions }.
+ */
+export function compareToBaseline(summary, baseline, { dir = null, threshold = DEFAULT_BASELINE_THRESHOLD } = {}) {
+  const deltas = [];
+  for (const comp of summary.comparisons) {
+    const baseComp = baseline.comparisons?.find(b => b.name === comp.name);
+    if (!baseComp) continue;
+    summary.racers.forEach((racer, i) => {
+      const current = comp.racers[i]?.duration;
+      const baseIdx = baseline.racers.indexOf(racer);
+      const previous = baseIdx !== -1 ? baseComp.racers[baseIdx]?.duration : null;
+      if (current == null || previous == null) return;
+      const diff = current - previous;
+      const diffPercent = previous > 0 ? diff / previous * 100 : 0;
+      deltas.push({
+        measurement: comp.name,
+        racer,
+        baseline: previous,
+        current,
+        diff,
+        diffPercent,
+        regression: diffPercent > threshold,
+        improvement: diffPercent < -threshold,
+      });
+    });
+  }
+  return {
+    dir,
+    timestamp: baseline.timestamp || null,
+    threshold,
+    deltas,
+    regressions: deltas.filter(d => d.regression).length,
+  };
+}
+
+/** Short text for a delta, e.g. "+0.120s (+12.0%)". */
+export function formatBaselineDelta(delta) {
+  const sign = delta.diff >= 0 ? '+' : '-';
+  return `${sign}${Math.abs(delta.diff).toFixed(3)}s (${sign}${Math.abs(delta.diffPercent).toFixed(1)}%)`;
+}
@@ -0,0 +1,61 @@
+/**
+ * Request blocking rules from settings.block. A rule is "third-party", a
+ * Playwright resource type (script, image, font, ...) or a URL glob. The runner
+ * routes every page request through createBlockMatcher and aborts the matches,
+ * so one spec can race with and without its analytics, ads or fonts.
+ */
+
+export const THIRD_PARTY = 'third-party';
+
+/** Playwright's request.resourceType() values. */
+export const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack',
+  'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other',
+];
+
+/**
+ * URL glob → RegExp: `**` matches anything, `*` anything but "/", the rest (`?`
+ * included, so query strings match as written) is literal. Race-name globs in
+ * suite.js differ: there `*` matches anything and `?` one character.
+ */
+export function urlPatternToRegExp(glob) {
+  const source = glob.split('**').map(part => part.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a request leaves the page's site: anything but the page's host and its
+ * subdomains ("www." aside) is third-party. Pages that aren't http(s), like
+ * about:blank, have no third parties yet.
+ */
+export function isThirdParty(url, pageUrl) {
+  let request, page;
+  try {
+    request = new URL(url);
+    page = new URL(pageUrl);
+  } catch {
+    return false;
+  }
+  const web = u => u.protocol === 'http:' || u.protocol === 'https:';
+  if (!web(page) || !web(request)) return false;
+  const site = page.hostname.replace(/^www\./, '');
+  return request.hostname !== site && !request.hostname.endsWith(`.${site}`);
+}
+
+/**
+ * Compile rules into a function that takes { url, resourceType, pageUrl, isNavigation }
+ * and returns the first rule that blocks the request, or null. The page's own
+ * navigations set its origin, so "third-party" never blocks them.
+ */
+export function createBlockMatcher(rules) {
+  const tests = rules.map(rule => {
+    if (rule === THIRD_PARTY) return req => !req.isNavigation && isThirdParty(req.url, req.pageUrl);
+    if (RESOURCE_TYPES.includes(rule)) return req => req.resourceType === rule;
+    const pattern = urlPatternToRegExp(rule);
+    return req => pattern.test(req.url);
+  });
+  return (req) => {
+    const i = tests.findIndex(test => test(req));
+    return i === -1 ? null : rules[i];
+  };
+}
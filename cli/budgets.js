@@ -0,0 +1,78 @@
+/**
+ * Performance budgets: limits from settings.json checked against a race summary.
+ *
+ * Keys are measurement names (seconds), page.raceMetric names (in the metric's
+ * unit; a floor when higher is better) or profile metric keys such as
+ * "measured.scriptDuration" (in the metric's own unit — ms or bytes).
+ * A value is either a number for every racer, or an object of racer name → number
+ * with "*" as the fallback:
+ *
+ *   "budgets": {
+ *     "Load Time": 2.5,
+ *     "measured.scriptDuration": { "lauda": 300, "*": 500 }
+ *   }
+ */
+
+import { PROFILE_METRICS } from './profile-analysis.js';
+import { resultValue, formatResult } from './summary.js';
+
+function budgetFor(spec, racer) {
+  if (typeof spec === 'number') return spec;
+  if (spec && typeof spec === 'object') {
+    const value = spec[racer] ?? spec['*'];
+    return typeof value === 'number' ? value : null;
+  }
+  return null;
+}
+
+/**
+ * Format a budget or measured value in the unit of its key, or of the violation's
+ * raceMetric ({ unit, better }); null is a racer that didn't finish.
+ */
+export function formatBudgetValue(key, value, metric = null) {
+  if (value === null) return 'DNF';
+  if (metric) return formatResult({ metric }, value);
+  const profileMetric = PROFILE_METRICS[key];
+  return profileMetric ? profileMetric.format(value) : `${value.toFixed(3)}s`;
+}
+
+/** Whether a violation's budget is a floor: a raceMetric where higher is better. */
+export function isBudgetFloor(violation) {
+  return violation.metric?.better === 'higher';
+}
+
+/**
+ * Check every budget against the summary.
+ * Returns { checked, violations } where checked counts racer/budget pairs that had
+ * data, and each violation is { key, racer, value, budget, metric? } — metric is the
+ * raceMetric's { unit, better } for metric keys. A racer that didn't finish a
+ * budgeted measurement (DNF) is over budget with value null.
+ */
+export function checkBudgets(summary, budgets) {
+  const violations = [];
+  let checked = 0;
+  if (!budgets || typeof budgets !== 'object') return { checked, violations };
+
+  const profileComps = summary.profileComparison?.comparisons || [];
+  for (const [key, spec] of Object.entries(budgets)) {
+    const comp = summary.comparisons.find(x => x.name === key);
+    const profileComp = profileComps.find(x => x.key === key);
+    summary.racers.forEach((racer, i) => {
+      const budget = budgetFor(spec, racer);
+      if (budget === null) return;
+      const metric = comp?.metric ? { metric: comp.metric } : {};
+      const value = comp ? (comp.racers[i] ? resultValue(comp, comp.racers[i]) : null) : profileComp?.values[i];
+      if (value == null) {
+        if (comp?.dnf && racer in comp.dnf) {
+          checked++;
+          violations.push({ key, racer, value: null, budget, ...metric });
+        }
+        return;
+      }
+      checked++;
+      const floor = comp?.metric?.better === 'higher';
+      if (floor ? value < budget : value > budget) violations.push({ key, racer, value, budget, ...metric });
+    });
+  }
+  return { checked, violations };
+}
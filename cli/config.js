@@ -4,6 +4,8 @@
  */
 
 import fs from 'fs';
+import path from 'path';
+import { COMPRESSIONS } from './serve.js';
 
 export function parseArgs(argv) {
   const positional = [];
@@ -46,8 +48,202 @@ export function discoverRacers(raceDir) {
   return { racerFiles, racerNames };
 }
 
-const VALID_NETWORKS = ['none', 'slow-3g', 'fast-3g', '4g'];
 const VALID_FORMATS = ['webm', 'mov', 'gif'];
+export const VALID_BROWSERS = ['chromium', 'firefox', 'webkit'];
+const VALID_REPORTERS = ['junit', 'tap'];
+const VALID_LAP_BASES = ['median', 'mean', 'best', 'worst'];
+
+function validBrowser(engine, fallback = 'chromium') {
+  if (engine === undefined || engine === null) return fallback;
+  if (!VALID_BROWSERS.includes(engine)) {
+    console.error(`Warning: Unknown browser "${engine}", valid values: ${VALID_BROWSERS.join(', ')}`);
+    return fallback;
+  }
+  return engine;
+}
+
+/**
+ * Assign a browser engine to every racer.
+ *
+ * settings.browser sets the default engine for everyone. settings.browsers is either
+ * a map of racer name → engine (e.g. { "lauda": "firefox" }), or an array of engines,
+ * in which case every spec is raced once per engine as "<name>-<engine>".
+ * Returns { racerFiles, racerNames, browsers } with one entry per racer.
+ */
+export function resolveBrowsers(racerFiles, racerNames, settings = {}) {
+  const defaultEngine = validBrowser(settings.browser);
+  const { browsers } = settings;
+
+  if (Array.isArray(browsers)) {
+    const engines = browsers.map(b => validBrowser(b)).filter((b, i, all) => all.indexOf(b) === i);
+    return {
+      racerFiles: racerFiles.flatMap(f => engines.map(() => f)),
+      racerNames: racerNames.flatMap(n => engines.map(e => `${n}-${e}`)),
+      browsers: racerNames.flatMap(() => engines),
+    };
+  }
+
+  const perRacer = browsers && typeof browsers === 'object' ? browsers : {};
+  return {
+    racerFiles,
+    racerNames,
+    browsers: racerNames.map(n => validBrowser(perRacer[n], defaultEngine)),
+  };
+}
+
+const positiveSeconds = v => (typeof v === 'number' && Number.isFinite(v) && v > 0 ? v : null);
+
+/**
+ * Time limits for one racer from settings.timeLimit, which is either seconds for
+ * every racer's whole script, or
+ * { race: seconds, racers: { <racer>: seconds }, measurements: { <name>: seconds } }
+ * where a racer's own entry replaces `race`. Returns { race, measurements }
+ * (race may be null), or null when nothing limits this racer.
+ */
+export function resolveTimeLimit(timeLimit, racerName) {
+  if (timeLimit === undefined || timeLimit === null) return null;
+  const spec = typeof timeLimit === 'number' ? { race: timeLimit } : timeLimit;
+  const race = positiveSeconds(spec.racers?.[racerName]) ?? positiveSeconds(spec.race);
+  const measurements = Object.fromEntries(Object.entries(spec.measurements || {}).filter(([, v]) => positiveSeconds(v)));
+  if (race === null && Object.keys(measurements).length === 0) return null;
+  return { race, measurements };
+}
+
+/**
+ * Static server settings for one racer from settings.serve: a directory every racer
+ * shares, or { dir, latency, compression, racers: { <racer>: dir or { dir, latency, compression } } }
+ * where a racer's own entry overrides the shared values. Directories are relative to
+ * baseDir (the race folder). Returns { dir, latency, compression }, or null when there
+ * is nothing to serve to this racer. Throws when the directory doesn't exist.
+ */
+export function resolveServe(serve, racerName, baseDir) {
+  if (!serve) return null;
+  const shared = typeof serve === 'string' ? { dir: serve } : serve;
+  const own = shared.racers?.[racerName];
+  const spec = { ...shared, ...(typeof own === 'string' ? { dir: own } : own) };
+  if (!spec.dir) return null;
+  const dir = path.resolve(baseDir, spec.dir);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`Serve directory not found for ${racerName}: ${dir}`);
+  let compression = spec.compression || null;
+  if (compression && !COMPRESSIONS.includes(compression)) {
+    console.error(`Warning: Unknown compression "${compression}" for ${racerName}, valid values: ${COMPRESSIONS.join(', ')}`);
+    compression = null;
+  }
+  const latency = typeof spec.latency === 'number' && Number.isFinite(spec.latency) && spec.latency > 0 ? spec.latency : 0;
+  return { dir, latency, compression };
+}
+
+/**
+ * Request blocking rules for one racer from settings.block: a list of rules every
+ * racer gets, or { "<racer>": [rules] }. Returns the racer's rules, or null when
+ * it blocks nothing. Rules that aren't non-empty strings are dropped with a warning.
+ */
+export function resolveBlock(block, racerName) {
+  if (!block) return null;
+  const rules = Array.isArray(block) ? block : block[racerName];
+  if (!rules) return null;
+  const valid = [].concat(rules).filter(rule => {
+    if (typeof rule === 'string' && rule.trim()) return true;
+    console.error(`Warning: Invalid block rule ${JSON.stringify(rule)} for ${racerName}, expected "third-party", a resource type or a URL glob`);
+    return false;
+  });
+  return valid.length > 0 ? valid : null;
+}
+
+/**
+ * Built-in network profiles, in the units of settings.networkProfiles:
+ * download and upload in kbit/s, latency in ms.
+ */
+export const NETWORK_PRESETS = {
+  'slow-3g': { download: 500, upload: 500, latency: 400 },
+  'fast-3g': { download: 1500, upload: 750, latency: 150 },
+  '4g': { download: 4000, upload: 3000, latency: 50 },
+  'offline': { offline: true },
+};
+
+/** Connection types the Chrome DevTools Protocol can report to the page. */
+export const CONNECTION_TYPES = ['none', 'cellular2g', 'cellular3g', 'cellular4g', 'bluetooth', 'ethernet', 'wifi', 'wimax', 'other'];
+
+/** Every profile name a race can use: none, the presets and its own networkProfiles. */
+export function networkProfileNames(customProfiles = {}) {
+  return [...new Set(['none', ...Object.keys(NETWORK_PRESETS), ...Object.keys(customProfiles || {})])];
+}
+
+/** A profile name for display; profiles given inline are "custom". */
+export function networkProfileLabel(profile) {
+  return typeof profile === 'string' ? profile : 'custom';
+}
+
+/**
+ * Turn a network profile — a name from networkProfileNames() or an inline
+ * { download, upload, latency, packetLoss, connectionType, offline } — into the
+ * conditions Network.emulateNetworkConditions takes, or null for no throttling.
+ * Missing speeds are unlimited. Throws on unknown names and invalid fields, so a
+ * typo never races unthrottled.
+ */
+export function networkConditions(profile, customProfiles = {}) {
+  if (profile === undefined || profile === null || profile === 'none') return null;
+  const spec = typeof profile === 'string' ? (customProfiles?.[profile] ?? NETWORK_PRESETS[profile]) : profile;
+  if (!spec) throw new Error(`Unknown network profile "${profile}", valid values: ${networkProfileNames(customProfiles).join(', ')}`);
+  const name = networkProfileLabel(profile);
+  if (typeof spec !== 'object') throw new Error(`Network profile "${name}" must be an object`);
+  const rate = (field) => {
+    if (spec[field] === undefined) return -1;
+    if (typeof spec[field] !== 'number' || !(spec[field] > 0)) throw new Error(`Network profile "${name}": ${field} must be a positive number of kbit/s`);
+    return spec[field] * 1024 / 8;
+  };
+  const latency = spec.latency ?? 0;
+  if (typeof latency !== 'number' || !(latency >= 0)) throw new Error(`Network profile "${name}": latency must be a number of milliseconds`);
+  const { packetLoss, connectionType } = spec;
+  if (packetLoss !== undefined && (typeof packetLoss !== 'number' || !(packetLoss >= 0 && packetLoss <= 100))) {
+    throw new Error(`Network profile "${name}": packetLoss must be a percentage from 0 to 100`);
+  }
+  if (connectionType !== undefined && !CONNECTION_TYPES.includes(connectionType)) {
+    throw new Error(`Network profile "${name}": unknown connectionType "${connectionType}", valid values: ${CONNECTION_TYPES.join(', ')}`);
+  }
+  return {
+    offline: !!spec.offline,
+    latency,
+    downloadThroughput: rate('download'),
+    uploadThroughput: rate('upload'),
+    ...(packetLoss && { packetLoss }),
+    ...(connectionType && { connectionType }),
+  };
+}
+
+/**
+ * Normalize settings.network: either a profile name, or
+ * { preset, racers, record, replay, throttleReplay } where racers maps a racer to
+ * its own profile and the rest set up HAR record and replay.
+ */
+export function resolveNetwork(network) {
+  const spec = typeof network === 'string' ? { preset: network } : (network || {});
+  return {
+    preset: spec.preset || 'none',
+    racers: spec.racers || {},
+    record: !!spec.record,
+    replay: !!spec.replay,
+    throttleReplay: !!spec.throttleReplay,
+  };
+}
+
+/** The profile a racer races on: its own from network.racers, else the shared preset. */
+export function racerNetworkProfile(network, racerName) {
+  return network.racers[racerName] ?? network.preset;
+}
+
+/**
+ * HAR settings for one racer's next run, or null without record/replay.
+ * A racer replays <harDir>/<racer>.har when it exists and records it otherwise;
+ * `replay` alone never records, so a missing HAR is an error.
+ */
+export function resolveHar(network, harDir, racerName) {
+  if (!network.record && !network.replay) return null;
+  const harPath = path.join(harDir, `${racerName}.har`);
+  if (fs.existsSync(harPath)) return { path: harPath, mode: 'replay', throttle: network.throttleReplay };
+  if (!network.record) throw new Error(`No HAR to replay for ${racerName}: ${harPath} (record one with "network": { "record": true })`);
+  return { path: harPath, mode: 'record' };
+}
 
 export function applyOverrides(settings, boolFlags, kvFlags) {
   const s = { ...settings };
@@ -63,11 +259,21 @@ export function applyOverrides(settings, boolFlags, kvFlags) {
   }
   if (boolFlags.has('no-overlay')) s.noOverlay = true;
   if (boolFlags.has('ffmpeg')) s.ffmpeg = true;
+  if (boolFlags.has('no-sync-start')) s.syncStart = false;
   if (kvFlags.network !== undefined) {
-    if (!VALID_NETWORKS.includes(kvFlags.network)) {
-      console.error(`Warning: Unknown network preset "${kvFlags.network}", valid values: ${VALID_NETWORKS.join(', ')}`);
-    }
-    s.network = kvFlags.network;
+    // Races everyone on one profile but keeps any HAR options in a network object.
+    // The name is checked by race(), which knows the race's own networkProfiles.
+    s.network = s.network && typeof s.network === 'object' ? { ...s.network, preset: kvFlags.network, racers: undefined } : kvFlags.network;
+  }
+  if (boolFlags.has('replay')) {
+    const network = s.network && typeof s.network === 'object' ? s.network : { preset: s.network };
+    s.network = { ...network, replay: true };
+  }
+  if (kvFlags.browser !== undefined) {
+    // --browser races everyone in one engine, replacing any per-racer mapping
+    // (undefined rather than deleted, so it also wins when merged over settings.json)
+    s.browser = validBrowser(kvFlags.browser);
+    s.browsers = undefined;
   }
   if (kvFlags.cpu !== undefined) {
     const cpu = Number(kvFlags.cpu);
@@ -83,6 +289,48 @@ export function applyOverrides(settings, boolFlags, kvFlags) {
     const runs = Number(kvFlags.runs);
     s.runs = Number.isFinite(runs) && runs >= 1 ? Math.min(Math.round(runs), 100) : 1;
   }
+  if (kvFlags.reporter !== undefined) {
+    const reporters = kvFlags.reporter.split(',').map(r => r.trim()).filter(Boolean);
+    const unknown = reporters.filter(r => !VALID_REPORTERS.includes(r));
+    if (unknown.length > 0) {
+      console.error(`Warning: Unknown reporter "${unknown.join(', ')}", valid values: ${VALID_REPORTERS.join(', ')}`);
+    }
+    s.reporters = reporters.filter(r => VALID_REPORTERS.includes(r));
+  }
+  if (kvFlags.baseline !== undefined) s.baseline = kvFlags.baseline;
+  if (kvFlags['baseline-threshold'] !== undefined) {
+    const threshold = Number(kvFlags['baseline-threshold']);
+    if (Number.isFinite(threshold) && threshold >= 0) s.baselineThreshold = threshold;
+    else console.error(`Warning: Invalid baseline threshold "${kvFlags['baseline-threshold']}", expected a percentage`);
+  }
+  if (kvFlags['lap-basis'] !== undefined) {
+    if (VALID_LAP_BASES.includes(kvFlags['lap-basis'])) s.lapBasis = kvFlags['lap-basis'];
+    else console.error(`Warning: Unknown lap basis "${kvFlags['lap-basis']}", valid values: ${VALID_LAP_BASES.join(', ')}`);
+  }
+  if (kvFlags['sync-timeout'] !== undefined) {
+    const timeout = Number(kvFlags['sync-timeout']);
+    if (Number.isFinite(timeout) && timeout > 0) s.syncTimeout = timeout;
+    else console.error(`Warning: Invalid sync timeout "${kvFlags['sync-timeout']}", expected seconds`);
+  }
+  if (kvFlags['time-limit'] !== undefined) {
+    const limit = positiveSeconds(Number(kvFlags['time-limit']));
+    if (limit === null) {
+      console.error(`Warning: Invalid time limit "${kvFlags['time-limit']}", expected seconds`);
+    } else {
+      // Replaces the overall and per-racer limits; per-measurement limits still apply
+      s.timeLimit = s.timeLimit && typeof s.timeLimit === 'object' ? { ...s.timeLimit, race: limit, racers: undefined } : limit;
+    }
+  }
+  if (kvFlags['incident-penalty'] !== undefined) {
+    const penalty = positiveSeconds(Number(kvFlags['incident-penalty']));
+    if (penalty !== null) s.incidents = { ...s.incidents, penalty };
+    else console.error(`Warning: Invalid incident penalty "${kvFlags['incident-penalty']}", expected seconds`);
+  }
+  if (kvFlags['incident-limit'] !== undefined) {
+    const limit = Number(kvFlags['incident-limit']);
+    if (Number.isInteger(limit) && limit > 0) s.incidents = { ...s.incidents, disqualify: limit };
+    else console.error(`Warning: Invalid incident limit "${kvFlags['incident-limit']}", expected a whole number of incidents`);
+  }
   if (kvFlags.slowmo !== undefined) {
     const slowmo = Number(kvFlags.slowmo);
     s.slowmo = Number.isFinite(slowmo) && slowmo >= 0 ? Math.min(slowmo, 20) : 0;
@@ -0,0 +1,50 @@
+/**
+ * Device emulation from settings.device and settings.devices: a Playwright device
+ * descriptor name ("Pixel 7", "iPhone 15") or a custom device, resolved into the
+ * browser context options the runner passes to newContext.
+ */
+
+import { devices as DEVICE_DESCRIPTORS } from 'playwright';
+
+const DEVICE_FIELDS = ['viewport', 'deviceScaleFactor', 'isMobile', 'hasTouch', 'userAgent'];
+
+/** The device a racer races on: its own from settings.devices, else settings.device. */
+export function racerDevice(settings, racerName) {
+  return settings.devices?.[racerName] ?? settings.device ?? null;
+}
+
+/**
+ * Resolve a device — a descriptor name, or { name?, viewport, deviceScaleFactor,
+ * isMobile, hasTouch, userAgent } where `name` picks a descriptor to start from —
+ * into { name, viewport, deviceScaleFactor, isMobile, hasTouch, userAgent? }, or
+ * null for none. A resolved device resolves to itself. Throws on unknown names and
+ * invalid fields.
+ */
+export function resolveDevice(device) {
+  if (device === undefined || device === null) return null;
+  const spec = typeof device === 'string' ? { name: device } : device;
+  if (typeof spec !== 'object') throw new Error(`Invalid device ${JSON.stringify(device)}, expected a device name or { viewport, ... }`);
+  let base = {};
+  if (spec.name !== undefined && spec.name !== 'custom') {
+    base = DEVICE_DESCRIPTORS[spec.name];
+    if (!base) throw new Error(`Unknown device "${spec.name}" (see Playwright's device list, e.g. "Pixel 7", "iPhone 15")`);
+  }
+  const merged = { ...base, ...spec };
+  const viewport = merged.viewport;
+  if (!viewport || !(viewport.width > 0) || !(viewport.height > 0)) {
+    throw new Error(`Device "${spec.name || 'custom'}" needs a viewport: { "width": …, "height": … } in pixels`);
+  }
+  const scale = merged.deviceScaleFactor ?? 1;
+  if (typeof scale !== 'number' || !(scale > 0)) throw new Error(`Device "${spec.name || 'custom'}": deviceScaleFactor must be a positive number`);
+  const resolved = {
+    name: spec.name || 'custom',
+    viewport: { width: Math.round(viewport.width), height: Math.round(viewport.height) },
+    deviceScaleFactor: scale,
+    isMobile: !!merged.isMobile,
+    hasTouch: !!merged.hasTouch,
+    ...(merged.userAgent && { userAgent: String(merged.userAgent) }),
+  };
+  const unknown = Object.keys(spec).filter(k => k !== 'name' && !DEVICE_FIELDS.includes(k));
+  if (unknown.length > 0) console.error(`Warning: Ignoring unknown device fields for ${resolved.name}: ${unknown.join(', ')}`);
+  return resolved;
+}
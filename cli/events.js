@@ -0,0 +1,103 @@
+/**
+ * Event channel between runner.cjs and race.js.
+ *
+ * race.js opens an extra pipe for the runner and passes its fd number in the
+ * RACE_EVENT_FD environment variable. The runner writes one JSON object per line,
+ * each with a `type` and the racer `id` it concerns. The final `finished` event
+ * carries the full result, so nothing a racer prints to stdout can corrupt it.
+ */
+
+export const EVENT_FD = 3;
+
+/**
+ * Event types in the order a racer typically emits them:
+ *   racer-launched       { id, browser }
+ *   recording-started    { id, time }
+ *   measurement-started  { id, name, time, waited? }  — waited: seconds held at the starting line
+ *   measurement-split    { id, name, label, elapsed }
+ *   message              { id, text, elapsed }
+ *   expectation          { id, message, passed, time }  — a page.raceExpect check
+ *   metric               { id, name, value, unit, better, time }  — a page.raceMetric value
+ *   network              { id, profile, time }  — a page.raceNetwork switch
+ *   measurement-ended    { id, name, duration }
+ *   dnf                  { id, reason, measurement?, time }  — racer retired over a time limit
+ *   recording-ended      { id, time }
+ *   error                { id, message }
+ *   racer-finished       { id }
+ *   finished             { result }  — once, after every racer
+ */
+export const RUNNER_EVENTS = [
+  'racer-launched', 'recording-started', 'measurement-started', 'measurement-split', 'message', 'expectation', 'metric', 'network',
+  'measurement-ended', 'dnf', 'recording-ended', 'error', 'racer-finished', 'finished',
+];
+
+/**
+ * Every field of a racer's result in the `finished` event, with the value a racer
+ * that never produced it gets. The runner and moveResults both build on this list,
+ * so a new result field only has to be added here to reach race.js and the summary.
+ */
+export const RACER_RESULT_DEFAULTS = {
+  videoPath: null,
+  fullVideoPath: null,
+  tracePath: null,
+  clickEvents: [],
+  measurements: [],
+  messages: [],
+  incidents: [],
+  expectations: [],
+  metrics: [],
+  networkChanges: [],
+  profileMetrics: null,
+  recordingSegments: null,
+  browser: 'chromium',
+  unavailable: [],
+  har: null,
+  blocked: null,
+  dnf: null,
+  error: null,
+};
+
+/** A racer's result as the `finished` event carries it: every field it has, defaults for the rest. */
+export function finishedRacerResult(result) {
+  const merged = { ...RACER_RESULT_DEFAULTS, ...result };
+  return Object.fromEntries(Object.entries(merged).map(([key, value]) => [key, value ?? RACER_RESULT_DEFAULTS[key] ?? null]));
+}
+
+/**
+ * Events race() adds around the runner's, for programmatic callers:
+ *   run-started   { run, totalRuns }
+ *   run-finished  { run, summary }
+ *   race-finished { summary }
+ */
+export const RACE_EVENTS = ['run-started', 'run-finished', 'race-finished'];
+
+/**
+ * Events raceSuite() adds; every race() event it forwards also carries `race`:
+ *   race-started   { race, index, total }
+ *   race-failed    { race, message }
+ *   suite-finished { summary }
+ */
+export const SUITE_EVENTS = ['race-started', 'race-failed', 'suite-finished'];
+
+/**
+ * Create a line reader for the event pipe. Feed it raw chunks; it calls onEvent
+ * for each complete JSON line and skips lines that don't parse.
+ */
+export function createEventReader(onEvent) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (event && typeof event.type === 'string') onEvent(event);
+    }
+  };
+}
@@ -0,0 +1,27 @@
+/**
+ * Finish-line timing for raceEndWhenVisible, raceEndOnNetworkIdle and
+ * raceEndWhenStable. The watchers run in the page and report the moment their
+ * condition was met on the page's own clock, as { timeOrigin, now, lag }: `now`
+ * is performance.now() at that moment and `lag` how long before the report it
+ * was. The runner back-dates its own clock by the same lag, so the finish is
+ * when the condition was met, not when the wait returned to Node.
+ */
+
+/** The finish for endMeasure: the page-clock moment and the matching Node time. */
+export function finishAt(pageEnd, nodeNow = Date.now()) {
+  return { pageEnd, endedAt: nodeNow - pageEnd.lag };
+}
+
+/**
+ * The network-idle finish from a page's Resource Timing, as read by the runner:
+ * { timeOrigin, now, responseEnds } with `now` the page's performance.now() at the
+ * read. The finish is the latest responseEnd, but never before `since` (absolute
+ * ms, the measurement's page-clock start), so a measurement that loaded nothing
+ * finishes where it started. Without either, the finish is the read itself.
+ */
+export function lastResponseFinish({ timeOrigin, now, responseEnds }, since = null) {
+  const floor = since == null ? -Infinity : since - timeOrigin;
+  const last = responseEnds.reduce((max, end) => Math.max(max, end), floor);
+  const end = last === -Infinity ? now : last;
+  return { timeOrigin, now: end, lag: now - end };
+}
@@ -2,7 +2,8 @@
  * Profile analysis module for network and performance metric comparisons.
  * Captures and compares detailed performance metrics when --profile is enabled.
  *
- * Metrics are captured via Chrome DevTools Protocol during race execution.
+ * Metrics are captured via Chrome DevTools Protocol during race execution,
+ * plus Core Web Vitals from in-page PerformanceObserver entries.
  * All metrics follow "less is better" - lower values win.
  *
  * Two scopes are tracked:
@@ -26,12 +27,17 @@ const metricDefs = {
   domContentLoaded:    { name: 'DOM Content Loaded', format: formatMs, category: 'loading', description: 'Time until the HTML document is fully parsed and all deferred scripts have executed (DOMContentLoaded event).' },
   domComplete:         { name: 'DOM Complete', format: formatMs, category: 'loading', description: 'Time until the page and all sub-resources (images, stylesheets, etc.) have finished loading.' },
   jsHeapUsedSize:      { name: 'JS Heap Used', format: formatBytes, category: 'memory', description: 'JavaScript memory currently in use. High usage can trigger garbage collection pauses and indicates memory-heavy code.' },
+  lcp:                 { name: 'Largest Contentful Paint', format: formatMs, category: 'vitals', description: 'Time until the largest image or text block is painted, from navigation start. Marks when the main content is visible.' },
+  cls:                 { name: 'Cumulative Layout Shift', format: (v) => v.toFixed(3), category: 'vitals', description: 'Largest burst of unexpected layout movement (session window). Lower means content stays where the user expects it.' },
+  inp:                 { name: 'Interaction to Next Paint', format: formatMs, category: 'vitals', description: 'Slowest interaction latency, from input to the next frame (98th percentile when there are many). Lower feels snappier.' },
+  fcp:                 { name: 'First Contentful Paint', format: formatMs, category: 'vitals', description: 'Time until the first text or image is painted, from navigation start. The first sign the page is loading.' },
+  ttfb:                { name: 'Time to First Byte', format: formatMs, category: 'vitals', description: 'Time until the first byte of the document response arrives, from navigation start. Reflects server and network latency.' },
 };
 
 // Measured metrics (between raceStart/raceEnd)
-const MEASURED_METRICS = ['networkTransferSize', 'networkRequestCount', 'scriptDuration', 'taskDuration', 'layoutDuration', 'recalcStyleDuration'];
+const MEASURED_METRICS = ['networkTransferSize', 'networkRequestCount', 'scriptDuration', 'taskDuration', 'layoutDuration', 'recalcStyleDuration', 'lcp', 'cls', 'inp', 'fcp', 'ttfb'];
 // Total metrics (entire session) — includes loading/memory which are total-only
-const TOTAL_METRICS = ['networkTransferSize', 'networkRequestCount', 'domContentLoaded', 'domComplete', 'jsHeapUsedSize', 'scriptDuration', 'taskDuration', 'layoutDuration', 'recalcStyleDuration'];
+const TOTAL_METRICS = ['networkTransferSize', 'networkRequestCount', 'domContentLoaded', 'domComplete', 'jsHeapUsedSize', 'scriptDuration', 'taskDuration', 'layoutDuration', 'recalcStyleDuration', 'lcp', 'cls', 'inp', 'fcp', 'ttfb'];
 
 // Build the full PROFILE_METRICS map with scope-prefixed keys
 export const PROFILE_METRICS = {};
@@ -44,7 +50,7 @@ for (const metric of TOTAL_METRICS) {
   PROFILE_METRICS[`total.${metric}`] = { ...def, scope: 'total' };
 }
 
-function formatBytes(bytes) {
+export function formatBytes(bytes) {
   if (bytes === 0) return '0 B';
   const k = 1024;
   const sizes = ['B', 'KB', 'MB', 'GB'];
@@ -58,6 +64,67 @@ function formatMs(ms) {
   return `${(ms / 1000).toFixed(2)}s`;
 }
 
+// --- Core Web Vitals ---
+
+/**
+ * CLS: the largest session window of layout shifts. A window collects shifts
+ * less than 1s apart and spans at most 5s (the web-vitals definition).
+ */
+function cumulativeLayoutShift(shifts) {
+  let max = 0;
+  let windowValue = 0;
+  let windowStart = null;
+  let prevTime = null;
+  for (const shift of shifts) {
+    if (windowStart === null || shift.time - prevTime > 1000 || shift.time - windowStart > 5000) {
+      windowStart = shift.time;
+      windowValue = 0;
+    }
+    windowValue += shift.value;
+    prevTime = shift.time;
+    max = Math.max(max, windowValue);
+  }
+  return max;
+}
+
+/**
+ * INP: the slowest interaction, ignoring one outlier per 50 interactions
+ * (≈ 98th percentile). Event entries sharing an interactionId are one interaction.
+ */
+function interactionToNextPaint(events) {
+  const byInteraction = new Map();
+  for (const e of events) {
+    byInteraction.set(e.interactionId, Math.max(byInteraction.get(e.interactionId) || 0, e.value));
+  }
+  if (byInteraction.size === 0) return null;
+  const durations = [...byInteraction.values()].sort((a, b) => b - a);
+  return durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)];
+}
+
+/**
+ * Compute Core Web Vitals from PerformanceObserver entries reported by the page.
+ * Each entry is { type: 'lcp'|'fcp'|'ttfb'|'layout-shift'|'event', value, time, interactionId? }
+ * where `time` is an epoch timestamp (ms) and `value` the metric value.
+ * LCP takes the latest candidate, FCP and TTFB the first; missing vitals are null.
+ * @param {Object[]} entries - Vitals entries, in any order
+ * @returns {{ lcp, cls, inp, fcp, ttfb }}
+ */
+export function computeWebVitals(entries) {
+  const sorted = [...(entries || [])].sort((a, b) => a.time - b.time);
+  const ofType = (type) => sorted.filter(e => e.type === type);
+  const first = (type) => ofType(type)[0]?.value ?? null;
+  const lcp = ofType('lcp');
+  const shifts = ofType('layout-shift');
+  return {
+    lcp: lcp.length > 0 ? lcp[lcp.length - 1].value : null,
+    // No shifts in an observed scope is a perfect 0; no entries at all means nothing was observed
+    cls: shifts.length > 0 ? cumulativeLayoutShift(shifts) : (sorted.length > 0 ? 0 : null),
+    inp: interactionToNextPaint(ofType('event')),
+    fcp: first('fcp'),
+    ttfb: first('ttfb'),
+  };
+}
+
 /**
  * Extract a metric value from profile data using dot notation key.
  * @param {Object} profileData - Profile data with total/measured sections
@@ -185,7 +252,8 @@ const categoryLabels = {
   loading: '⏱️ Loading',
   memory: '🧠 Memory',
   computation: '⚡ Computation',
-  rendering: '🎨 Rendering'
+  rendering: '🎨 Rendering',
+  vitals: '🚦 Core Web Vitals'
 };
 
 export const categoryDescriptions = {
@@ -194,6 +262,7 @@ export const categoryDescriptions = {
   memory: 'JavaScript memory usage. Lower memory consumption reduces garbage collection pauses and improves stability.',
   computation: 'CPU time spent on JavaScript execution and browser tasks. Less computation means a more responsive page.',
   rendering: 'Time spent on visual layout and style calculations. Less rendering work means smoother interactions.',
+  vitals: 'Core Web Vitals from in-page PerformanceObserver entries: loading (LCP, FCP, TTFB), visual stability (CLS) and responsiveness (INP).',
 };
 
 /**
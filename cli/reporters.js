@@ -0,0 +1,168 @@
+/**
+ * Machine-readable race reports for CI dashboards: JUnit XML and TAP.
+ * Both report one testcase per measurement and racer. A testcase fails when the
+ * racer blew a budget, did not finish (DNF) or was disqualified (DQ), and errors
+ * when its runner reported an error; losing the race is not a failure.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { formatBudgetValue, isBudgetFloor } from './budgets.js';
+
+const REPORT_FILES = { junit: 'junit.xml', tap: 'results.tap' };
+
+function escXml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Flatten a summary into testcases:
+ * { measurement, racer, duration, value, unit, winner, rank, budgetFailures, dnf, dq, errors, stats }.
+ * raceMetric comparisons fill `value` and `unit` instead of `duration`.
+ * Budget keys that aren't measurements (profile metrics) get testcases of their own.
+ */
+export function buildTestcases(summary) {
+  const { racers, comparisons } = summary;
+  const violations = summary.budgets?.violations || [];
+  const errorsFor = racer => (summary.errors || [])
+    .filter(e => e.startsWith(`${racer}: `))
+    .map(e => e.slice(racer.length + 2));
+
+  const cases = [];
+  for (const comp of comparisons) {
+    racers.forEach((racer, i) => {
+      const rank = comp.rankings?.indexOf(racer) ?? -1;
+      cases.push({
+        measurement: comp.name,
+        racer,
+        duration: comp.metric ? null : (comp.racers[i]?.duration ?? null),
+        value: comp.metric ? (comp.racers[i]?.value ?? null) : null,
+        unit: comp.metric ? comp.metric.unit : null,
+        winner: comp.winner || null,
+        rank: rank >= 0 ? rank + 1 : null,
+        stats: comp.racers[i]?.stats || null,
+        budgetFailures: violations.filter(v => v.key === comp.name && v.racer === racer),
+        dnf: comp.dnf && racer in comp.dnf ? `DNF: ${summary.dnf?.[racer]?.reason || 'did not finish'}` : null,
+        dq: comp.disqualified?.includes(racer) ? `DQ: ${summary.disqualified?.[racer]?.reason || 'disqualified'}` : null,
+        errors: errorsFor(racer),
+      });
+    });
+  }
+
+  const measurementNames = new Set(comparisons.map(comp => comp.name));
+  for (const v of violations) {
+    if (measurementNames.has(v.key)) continue;
+    cases.push({
+      measurement: v.key, racer: v.racer, duration: null, value: null, unit: null, winner: null, rank: null, stats: null,
+      budgetFailures: [v], dnf: null, dq: null, errors: [],
+    });
+  }
+
+  // A racer that crashed before measuring anything still shows up with its errors
+  for (const racer of racers) {
+    const errors = errorsFor(racer);
+    if (errors.length > 0 && !cases.some(tc => tc.racer === racer)) {
+      cases.push({ measurement: 'race', racer, duration: null, value: null, unit: null, winner: null, rank: null, stats: null, budgetFailures: [], dnf: null, dq: null, errors });
+    }
+  }
+  return cases;
+}
+
+/** A metric testcase's value with its unit, e.g. "58 fps". */
+function formatValue(tc) {
+  return tc.unit ? `${tc.value} ${tc.unit}` : String(tc.value);
+}
+
+function budgetMessage(v) {
+  const value = formatBudgetValue(v.key, v.value, v.metric);
+  const budget = formatBudgetValue(v.key, v.budget, v.metric);
+  return isBudgetFloor(v) ? `${v.key} under budget: ${value} < ${budget}` : `${v.key} over budget: ${value} > ${budget}`;
+}
+
+/** JUnit XML with one <testsuite> per measurement. */
+export function buildJUnitXml(summary) {
+  const cases = buildTestcases(summary);
+  const count = (list, pred) => list.filter(pred).length;
+  const failed = tc => tc.budgetFailures.length > 0 || tc.dnf !== null || tc.dq !== null;
+  const errored = tc => tc.errors.length > 0;
+  const skipped = tc => tc.duration === null && tc.value === null && !failed(tc) && !errored(tc);
+  const seconds = list => list.reduce((sum, tc) => sum + (tc.duration || 0), 0).toFixed(3);
+
+  const suiteName = summary.runs ? `race (median of ${summary.runs} runs)` : 'race';
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<testsuites name="${escXml(suiteName)}" tests="${cases.length}" failures="${count(cases, failed)}" errors="${count(cases, errored)}" time="${seconds(cases)}">`);
+
+  const suites = [...new Set(cases.map(tc => tc.measurement))];
+  for (const name of suites) {
+    const suite = cases.filter(tc => tc.measurement === name);
+    lines.push(`  <testsuite name="${escXml(name)}" tests="${suite.length}" failures="${count(suite, failed)}" errors="${count(suite, errored)}" skipped="${count(suite, skipped)}" time="${seconds(suite)}" timestamp="${escXml(summary.timestamp || '')}">`);
+    for (const tc of suite) {
+      lines.push(`    <testcase classname="${escXml(tc.measurement)}" name="${escXml(tc.racer)}" time="${(tc.duration || 0).toFixed(3)}">`);
+      const props = [];
+      if (tc.duration !== null) props.push(['duration', tc.duration.toFixed(3)]);
+      if (tc.value !== null) props.push(['value', formatValue(tc)]);
+      if (tc.winner) props.push(['winner', tc.winner]);
+      if (tc.rank !== null) props.push(['rank', tc.rank]);
+      if (tc.stats) props.push(['runs', tc.stats.n], ['stddev', tc.stats.stddev.toFixed(3)]);
+      if (props.length > 0) {
+        lines.push('      <properties>');
+        for (const [k, v] of props) lines.push(`        <property name="${k}" value="${escXml(v)}"/>`);
+        lines.push('      </properties>');
+      }
+      for (const v of tc.budgetFailures) lines.push(`      <failure type="budget" message="${escXml(budgetMessage(v))}"/>`);
+      if (tc.dnf) lines.push(`      <failure type="dnf" message="${escXml(tc.dnf)}"/>`);
+      if (tc.dq) lines.push(`      <failure type="dq" message="${escXml(tc.dq)}"/>`);
+      for (const e of tc.errors) lines.push(`      <error type="runner" message="${escXml(e)}"/>`);
+      if (skipped(tc)) lines.push('      <skipped message="no data"/>');
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/** TAP version 13, with a YAML diagnostic block per testcase. */
+export function buildTap(summary) {
+  const cases = buildTestcases(summary);
+  const lines = ['TAP version 13', `1..${cases.length}`];
+  cases.forEach((tc, i) => {
+    const ok = tc.budgetFailures.length === 0 && !tc.dnf && !tc.dq && tc.errors.length === 0;
+    const detail = tc.duration !== null ? ` ${tc.duration.toFixed(3)}s` : tc.value !== null ? ` ${formatValue(tc)}` : '';
+    const skip = ok && tc.duration === null && tc.value === null ? ' # SKIP no data' : '';
+    lines.push(`${ok ? 'ok' : 'not ok'} ${i + 1} - ${tc.measurement} › ${tc.racer}${detail}${skip}`);
+
+    const yaml = [];
+    if (tc.duration !== null) yaml.push(`duration: ${tc.duration}`);
+    if (tc.value !== null) yaml.push(`value: ${tc.value}`, ...(tc.unit ? [`unit: ${JSON.stringify(tc.unit)}`] : []));
+    if (tc.winner) yaml.push(`winner: ${JSON.stringify(tc.winner)}`);
+    if (tc.rank !== null) yaml.push(`rank: ${tc.rank}`);
+    if (tc.stats) yaml.push(`runs: ${tc.stats.n}`, `stddev: ${tc.stats.stddev}`);
+    if (tc.budgetFailures.length > 0) {
+      yaml.push('budgets:');
+      for (const v of tc.budgetFailures) yaml.push(`  - ${JSON.stringify(budgetMessage(v))}`);
+    }
+    if (tc.dnf) yaml.push(`dnf: ${JSON.stringify(tc.dnf)}`);
+    if (tc.dq) yaml.push(`dq: ${JSON.stringify(tc.dq)}`);
+    if (tc.errors.length > 0) {
+      yaml.push('errors:');
+      for (const e of tc.errors) yaml.push(`  - ${JSON.stringify(e)}`);
+    }
+    if (yaml.length > 0) lines.push('  ---', ...yaml.map(l => `  ${l}`), '  ...');
+  });
+  return lines.join('\n') + '\n';
+}
+
+const BUILDERS = { junit: buildJUnitXml, tap: buildTap };
+
+/**
+ * Write the requested reports into dir. `reporters` is a list (or one name) from
+ * settings.reporters / --reporter. Returns the written file paths.
+ */
+export function writeReports(summary, dir, reporters = []) {
+  return [].concat(reporters).filter(r => BUILDERS[r]).map(r => {
+    const file = path.join(dir, REPORT_FILES[r]);
+    fs.writeFileSync(file, BUILDERS[r](summary));
+    return file;
+  });
+}
@@ -6,19 +6,16 @@ import fs from 'fs';
 import path from 'path';
 import { execFileSync } from 'child_process';
 import { c, FORMAT_EXTENSIONS, VIDEO_DEFAULTS } from './colors.js';
+import { finishedRacerResult } from './events.js';
 
-/** Move recordings from the runner's temp dir to the results folder. */
+/**
+ * Move recordings from the runner's temp dir to the results folder.
+ * Returns the racer's result with every field of the finished event; the file
+ * paths point into destDir once the files are there.
+ */
 export function moveResults(recordingsBase, racerName, destDir, browserResult) {
   const sourceDir = path.join(recordingsBase, racerName);
-  const data = {
-    videoPath: null,
-    fullVideoPath: null,
-    tracePath: null,
-    clickEvents: browserResult.clickEvents || [],
-    measurements: browserResult.measurements || [],
-    profileMetrics: browserResult.profileMetrics || null,
-    error: browserResult.error || null,
-  };
+  const data = { ...finishedRacerResult(browserResult), videoPath: null, fullVideoPath: null, tracePath: null };
 
   try {
     if (!fs.existsSync(sourceDir)) return data;
@@ -52,6 +49,10 @@ export function moveResults(recordingsBase, racerName, destDir, browserResult) {
 
     fs.writeFileSync(path.join(destDir, 'clicks.json'), JSON.stringify(data.clickEvents, null, 2));
     fs.writeFileSync(path.join(destDir, 'measurements.json'), JSON.stringify(data.measurements, null, 2));
+    fs.writeFileSync(path.join(destDir, 'messages.json'), JSON.stringify(data.messages, null, 2));
+    fs.writeFileSync(path.join(destDir, 'incidents.json'), JSON.stringify(data.incidents, null, 2));
+    fs.writeFileSync(path.join(destDir, 'expectations.json'), JSON.stringify(data.expectations, null, 2));
+    fs.writeFileSync(path.join(destDir, 'metrics.json'), JSON.stringify(data.metrics, null, 2));
     if (data.profileMetrics) {
       fs.writeFileSync(path.join(destDir, 'profile-metrics.json'), JSON.stringify(data.profileMetrics, null, 2));
     }
@@ -0,0 +1,185 @@
+/**
+ * Static file server for racing local builds. The runner starts one per racer
+ * before launch and hands its address to the spec as page.raceBaseUrl.
+ * Optional latency and compression let two builds race "gzip vs brotli" or
+ * "CDN vs origin" on one machine.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+export const COMPRESSIONS = ['gzip', 'br'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.wasm': 'application/wasm',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+};
+
+/** Already-compressed formats gain nothing from another pass. */
+const COMPRESSIBLE = /^(text\/|application\/(json|javascript|xml|wasm)|image\/svg)/;
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+/** Best compression, as a build step or CDN would precompress static assets. */
+const ENCODERS = {
+  gzip: buf => gzip(buf, { level: zlib.constants.Z_BEST_COMPRESSION }),
+  br: buf => brotliCompress(buf, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY } }),
+};
+/** Files compressed at once while starting; zlib runs them on the libuv thread pool. */
+const COMPRESS_CONCURRENCY = 4;
+
+/** Folders never served from a build: dependencies and dot-folders such as .git. */
+const SKIPPED_DIRS = /^(node_modules|\..*)$/;
+
+function contentType(file) {
+  return CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/** Resolve a URL path inside root; null when it escapes root or names no file. */
+export async function resolveFile(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath.split('?')[0].split('#')[0]);
+  } catch {
+    return null;
+  }
+  let file = path.resolve(root, `.${path.posix.normalize(`/${decoded}`)}`);
+  if (file !== root && !file.startsWith(root + path.sep)) return null;
+  try {
+    if ((await fs.promises.stat(file)).isDirectory()) file = path.join(file, 'index.html');
+    return (await fs.promises.stat(file)).isFile() ? file : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Compressible files under dir, leaving out SKIPPED_DIRS. */
+async function listCompressible(dir) {
+  const files = [];
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory() && !SKIPPED_DIRS.test(entry.name)) files.push(...await listCompressible(file));
+    else if (entry.isFile() && COMPRESSIBLE.test(contentType(file))) files.push(file);
+  }
+  return files;
+}
+
+/**
+ * A cache of compressed files, each stored with the mtime and size it was compressed
+ * at. get() only returns a body that is still current.
+ */
+function createCompressedCache(compression) {
+  const entries = new Map();
+  const pending = new Set();
+  const add = async (file) => {
+    pending.add(file);
+    try {
+      const { mtimeMs, size } = await fs.promises.stat(file);
+      entries.set(file, { mtimeMs, size, body: await ENCODERS[compression](await fs.promises.readFile(file)) });
+    } catch {
+      entries.delete(file);
+    } finally {
+      pending.delete(file);
+    }
+  };
+  return {
+    add,
+    /** Compress files, a few at a time. */
+    async addAll(files) {
+      const queue = [...files];
+      await Promise.all(Array.from({ length: COMPRESS_CONCURRENCY }, async () => {
+        while (queue.length > 0) await add(queue.shift());
+      }));
+    },
+    /** The compressed body of a file with this stat, or null (and recompress it in the background). */
+    get(file, stat) {
+      const entry = entries.get(file);
+      if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) return entry.body;
+      if (!pending.has(file)) add(file);
+      return null;
+    },
+  };
+}
+
+/**
+ * Start serving `dir` on a free localhost port.
+ * latency: milliseconds to hold every response; compression: 'gzip' or 'br'
+ * (best quality), used when the browser accepts it. Text files are compressed
+ * before the server listens (node_modules and dot-folders aside), so no request
+ * waits on the encoder. A file added or edited after that is served fresh but
+ * uncompressed until it has been compressed again in the background.
+ * Resolves to { url, close } — close() resolves once the server has stopped.
+ */
+export async function startStaticServer({ dir, latency = 0, compression = null }) {
+  const root = path.resolve(dir);
+  const compressed = compression ? createCompressedCache(compression) : null;
+  if (compressed) await compressed.addAll(await listCompressible(root));
+
+  const respond = async (req, res) => {
+    const file = req.method === 'GET' || req.method === 'HEAD' ? await resolveFile(root, req.url) : null;
+    if (!file) {
+      res.writeHead(req.method === 'GET' || req.method === 'HEAD' ? 404 : 405, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+    const type = contentType(file);
+    const headers = { 'Content-Type': type, 'Cache-Control': 'no-store' };
+    const accepts = String(req.headers['accept-encoding'] || '').split(',').map(e => e.trim().split(';')[0]);
+    if (compression && COMPRESSIBLE.test(type)) headers.Vary = 'Accept-Encoding';
+    let body = null;
+    if (compressed && COMPRESSIBLE.test(type) && accepts.includes(compression)) {
+      body = compressed.get(file, await fs.promises.stat(file));
+      if (body) headers['Content-Encoding'] = compression;
+    }
+    body ??= await fs.promises.readFile(file);
+    headers['Content-Length'] = body.length;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  };
+
+  const server = http.createServer((req, res) => {
+    const handle = () => respond(req, res).catch(() => {
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end();
+    });
+    if (latency > 0) setTimeout(handle, latency);
+    else handle();
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections?.();
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
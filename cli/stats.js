@@ -0,0 +1,138 @@
+/**
+ * Small statistics toolkit for multi-run races: spread, bootstrap confidence
+ * intervals and a Mann-Whitney U significance test.
+ * No dependencies — just enough math to tell a real win from noise.
+ */
+
+/** Percentile (0-100) of an ascending-sorted array, linearly interpolated. */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+export function median(values) {
+  return percentile([...values].sort((a, b) => a - b), 50);
+}
+
+/**
+ * Describe the spread of a sample.
+ * Returns { n, min, max, mean, stddev, p75, p95 } or null for an empty sample.
+ * stddev is the sample standard deviation (0 for a single value).
+ */
+export function describeSample(values) {
+  if (!values || values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1 ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  return {
+    n,
+    min: sorted[0],
+    max: sorted[n - 1],
+    mean,
+    stddev: Math.sqrt(variance),
+    p75: percentile(sorted, 75),
+    p95: percentile(sorted, 95),
+  };
+}
+
+/** Seeded PRNG (mulberry32) so bootstrap intervals are reproducible between reports. */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function resample(values, random) {
+  return values.map(() => values[Math.floor(random() * values.length)]);
+}
+
+/**
+ * Bootstrap confidence interval for median(b) - median(a).
+ * Returns { low, high, confidence }, or null if either sample is empty.
+ */
+export function bootstrapDiffCI(a, b, { iterations = 2000, confidence = 0.95, seed = 42 } = {}) {
+  if (a.length === 0 || b.length === 0) return null;
+  const random = seededRandom(seed);
+  const diffs = [];
+  for (let i = 0; i < iterations; i++) {
+    diffs.push(median(resample(b, random)) - median(resample(a, random)));
+  }
+  diffs.sort((x, y) => x - y);
+  const tail = (1 - confidence) / 2 * 100;
+  return { low: percentile(diffs, tail), high: percentile(diffs, 100 - tail), confidence };
+}
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation). */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/** Two-sided p-value for U via the normal approximation with continuity correction. */
+function uPValue(u, n1, n2, tieCorrection = 0) {
+  const mean = n1 * n2 / 2;
+  const n = n1 + n2;
+  const variance = n1 * n2 / 12 * ((n + 1) - tieCorrection / (n * (n - 1)));
+  if (variance <= 0) return 1;
+  const z = Math.max(0, Math.abs(u - mean) - 0.5) / Math.sqrt(variance);
+  return Math.min(1, 2 * (1 - normalCdf(z)));
+}
+
+/**
+ * Mann-Whitney U test for two independent samples.
+ * Returns { u, pValue, minPValue } where minPValue is the smallest p-value the
+ * sample sizes could ever produce — if that's above alpha, there are too few runs to tell.
+ */
+export function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 === 0 || n2 === 0) return null;
+
+  // Rank the pooled sample, averaging ranks for ties
+  const pooled = [...a.map(v => ({ v, g: 0 })), ...b.map(v => ({ v, g: 1 }))].sort((x, y) => x.v - y.v);
+  let rankSumA = 0;
+  let tieCorrection = 0;
+  for (let i = 0; i < pooled.length;) {
+    let j = i;
+    while (j + 1 < pooled.length && pooled[j + 1].v === pooled[i].v) j++;
+    const rank = (i + j) / 2 + 1;
+    const ties = j - i + 1;
+    tieCorrection += ties ** 3 - ties;
+    for (let k = i; k <= j; k++) if (pooled[k].g === 0) rankSumA += rank;
+    i = j + 1;
+  }
+
+  const u = rankSumA - n1 * (n1 + 1) / 2;
+  return { u, pValue: uPValue(u, n1, n2, tieCorrection), minPValue: uPValue(0, n1, n2) };
+}
+
+/**
+ * Decide whether the winner's lead over the runner-up is real.
+ * Returns { diffCI, pValue, verdict } where verdict is:
+ *   'significant'        — the runner-up is reliably slower
+ *   'too-close'          — the difference is within noise
+ *   'insufficient-runs'  — too few runs for the test to ever reach alpha
+ */
+export function compareSamples(winnerValues, runnerUpValues, alpha = 0.05) {
+  const test = mannWhitneyU(winnerValues, runnerUpValues);
+  if (!test) return null;
+  let verdict;
+  if (test.minPValue > alpha) verdict = 'insufficient-runs';
+  else verdict = test.pValue < alpha ? 'significant' : 'too-close';
+  return {
+    diffCI: bootstrapDiffCI(winnerValues, runnerUpValues),
+    pValue: test.pValue,
+    verdict,
+  };
+}
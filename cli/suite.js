@@ -0,0 +1,224 @@
+/**
+ * Suite mode: discover every race folder under a directory, filter them by
+ * name globs and settings.json tags, and aggregate the results into one
+ * scoreboard (terminal, summary.json, README.md and index.html).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { c } from './colors.js';
+import { escHtml, render } from './videoplayer.js';
+import { failedExpectations } from './summary.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATE = fs.readFileSync(path.join(__dirname, 'suite.html'), 'utf-8');
+
+/** Convert a race-name glob (`*`, `?`) into an anchored RegExp. URL rules use block.js's urlPatternToRegExp. */
+export function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+function matchesAny(name, globs) {
+  return globs.some(g => globToRegExp(g).test(name));
+}
+
+function readTags(dir) {
+  try {
+    const settings = JSON.parse(fs.readFileSync(path.join(dir, 'settings.json'), 'utf-8'));
+    return Array.isArray(settings.tags) ? settings.tags : [];
+  } catch {
+    return [];
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Suite filters from the suite folder's settings.json ({ include, exclude, tags }),
+ * with --include / --exclude / --tags (comma-separated) taking precedence.
+ */
+export function resolveSuiteFilters(suiteSettings = {}, kvFlags = {}) {
+  const pick = key => toList(kvFlags[key] !== undefined ? kvFlags[key] : suiteSettings[key]);
+  return { include: pick('include'), exclude: pick('exclude'), tags: pick('tags') };
+}
+
+function isRaceFolder(dir) {
+  const files = fs.readdirSync(dir).filter(f => !f.startsWith('.'));
+  return files.some(f => f.endsWith('.spec.js')) || files.filter(f => f.endsWith('.js')).length >= 2;
+}
+
+/**
+ * Find race folders directly under suiteDir.
+ * include/exclude are folder-name globs; tags keeps races whose settings.json
+ * `tags` share at least one entry. Returns [{ name, dir, tags }] sorted by name.
+ */
+export function discoverRaces(suiteDir, { include = [], exclude = [], tags = [] } = {}) {
+  return fs.readdirSync(suiteDir, { withFileTypes: true })
+    .filter(e => e.isDirectory() && !e.name.startsWith('.') && !e.name.startsWith('results-') && !e.name.startsWith('suite-results-'))
+    .map(e => ({ name: e.name, dir: path.join(suiteDir, e.name) }))
+    .filter(r => isRaceFolder(r.dir))
+    .map(r => ({ ...r, tags: readTags(r.dir) }))
+    .filter(r => include.length === 0 || matchesAny(r.name, include))
+    .filter(r => !matchesAny(r.name, exclude))
+    .filter(r => tags.length === 0 || r.tags.some(t => tags.includes(t)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function raceStatus(entry) {
+  if (entry.error) return 'failed';
+  if (failedExpectations(entry.summary).length > 0) return 'failed-expectations';
+  if (entry.summary.budgets?.violations.length > 0) return 'over-budget';
+  if (entry.summary.errors?.length > 0) return 'errors';
+  return 'ok';
+}
+
+/**
+ * Aggregate finished races into a suite summary.
+ * entries: [{ name, dir, tags, summary, error }] — summary is null when the race threw.
+ */
+export function buildSuiteSummary(entries, suiteDir, resultsDir) {
+  const races = entries.map(entry => {
+    const status = raceStatus(entry);
+    if (entry.error) return { name: entry.name, tags: entry.tags || [], status, error: entry.error, link: null };
+    const s = entry.summary;
+    return {
+      name: entry.name,
+      tags: entry.tags || [],
+      status,
+      error: null,
+      // Relative to the suite report, with forward slashes so it works as a URL
+      link: s.resultsDir ? path.relative(resultsDir, path.join(s.resultsDir, 'index.html')).split(path.sep).join('/') : null,
+      racers: s.racers,
+      overallWinner: s.overallWinner,
+      wins: s.wins,
+      measurements: s.comparisons.length,
+      errors: s.errors || [],
+      budgetViolations: s.budgets?.violations.length || 0,
+      runs: s.runs || 1,
+    };
+  });
+
+  // Racer names repeat across races (e.g. one spec per engine), so tally them suite-wide
+  const scoreboard = {};
+  for (const r of races) {
+    if (r.status === 'failed') continue;
+    for (const racer of r.racers) {
+      const row = scoreboard[racer] ||= { races: 0, raceWins: 0, measurementWins: 0 };
+      row.races++;
+      if (r.overallWinner === racer) row.raceWins++;
+      row.measurementWins += r.wins?.[racer] || 0;
+    }
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    suiteDir,
+    resultsDir,
+    races,
+    scoreboard,
+    totals: {
+      races: races.length,
+      ok: races.filter(r => r.status === 'ok').length,
+      failed: races.filter(r => r.status === 'failed').length,
+      overBudget: races.filter(r => r.status === 'over-budget').length,
+      withErrors: races.filter(r => r.status === 'errors').length,
+      failedExpectations: races.filter(r => r.status === 'failed-expectations').length,
+    },
+  };
+}
+
+const STATUS_LABELS = { ok: '✅ ok', 'failed-expectations': '⛔ expectations failed', 'over-budget': '💸 over budget', errors: '⚠️ errors', failed: '❌ failed' };
+
+/** The totals line; failed expectations only appear when a race has them. */
+function describeTotals(totals, dash) {
+  const expectations = totals.failedExpectations > 0 ? `, ${totals.failedExpectations} with failed expectations` : '';
+  return `${totals.races} races ${dash} ${totals.ok} ok, ${totals.overBudget} over budget${expectations}, ${totals.withErrors} with errors, ${totals.failed} failed`;
+}
+
+function winnerText(r) {
+  if (r.status === 'failed') return '-';
+  if (r.overallWinner === 'tie') return 'tie';
+  return r.overallWinner || '-';
+}
+
+/** Scoreboard rows sorted by race wins, then measurement wins. */
+function sortedScoreboard(suite) {
+  return Object.entries(suite.scoreboard)
+    .sort(([, a], [, b]) => (b.raceWins - a.raceWins) || (b.measurementWins - a.measurementWins));
+}
+
+export function printSuiteSummary(suite) {
+  const write = (s) => process.stderr.write(s);
+  const w = 54;
+  write(`\n  ${c.bold}🏟  Suite Results${c.reset} ${c.dim}(${suite.totals.races} races)${c.reset}\n`);
+  write(`  ${c.dim}${'─'.repeat(w)}${c.reset}\n`);
+  for (const r of suite.races) {
+    const tone = r.status === 'ok' ? c.green : r.status === 'failed' || r.status === 'failed-expectations' ? c.red : c.yellow;
+    const detail = r.error ? `${c.red}${r.error}${c.reset}` : `🏆 ${winnerText(r)}`;
+    write(`  ${tone}${STATUS_LABELS[r.status]}${c.reset}  ${c.bold}${r.name.padEnd(24)}${c.reset} ${detail}\n`);
+  }
+  const board = sortedScoreboard(suite);
+  if (board.length > 0) {
+    write(`  ${c.dim}${'─'.repeat(w)}${c.reset}\n`);
+    for (const [racer, row] of board) {
+      write(`  ${racer.padEnd(24)} ${c.bold}${row.raceWins}${c.reset}/${row.races} races  ${c.dim}${row.measurementWins} measurements${c.reset}\n`);
+    }
+  }
+  write(`  ${c.dim}${'─'.repeat(w)}${c.reset}\n`);
+}
+
+export function buildSuiteMarkdown(suite) {
+  const lines = ['# Race Suite', ''];
+  const { totals } = suite;
+  lines.push(describeTotals(totals, '—'));
+  lines.push('');
+  lines.push('### Races');
+  lines.push('');
+  lines.push('| Race | Winner | Measurements | Status | Results |');
+  lines.push('|---|---|---|---|---|');
+  for (const r of suite.races) {
+    const results = r.link ? `[report](${r.link})` : '-';
+    const status = r.error ? `${STATUS_LABELS[r.status]}: ${r.error}` : STATUS_LABELS[r.status];
+    lines.push(`| ${r.name} | ${winnerText(r)} | ${r.measurements ?? '-'} | ${status} | ${results} |`);
+  }
+  lines.push('');
+
+  const board = sortedScoreboard(suite);
+  if (board.length > 0) {
+    lines.push('### Scoreboard');
+    lines.push('');
+    lines.push('| Racer | Races Won | Races Entered | Measurements Won |');
+    lines.push('|---|---|---|---|');
+    for (const [racer, row] of board) {
+      lines.push(`| ${racer} | ${row.raceWins} | ${row.races} | ${row.measurementWins} |`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+export function buildSuiteHtml(suite) {
+  const { totals } = suite;
+  const raceRows = suite.races.map(r => {
+    const name = r.link ? `<a href="${escHtml(r.link)}">${escHtml(r.name)}</a>` : escHtml(r.name);
+    const status = r.error ? `${STATUS_LABELS[r.status]}: ${escHtml(r.error)}` : STATUS_LABELS[r.status];
+    return `<tr class="status-${r.status}"><td>${name}</td><td>${escHtml(winnerText(r))}</td><td>${r.measurements ?? '-'}</td><td>${status}</td></tr>`;
+  }).join('\n      ');
+  const scoreRows = sortedScoreboard(suite).map(([racer, row]) =>
+    `<tr><td>${escHtml(racer)}</td><td>${row.raceWins}</td><td>${row.races}</td><td>${row.measurementWins}</td></tr>`
+  ).join('\n      ');
+
+  return render(TEMPLATE, {
+    title: `Race Suite (${totals.races} races)`,
+    totals: describeTotals(totals, '&mdash;'),
+    raceRows,
+    scoreboard: scoreRows
+      ? `<div class="section">\n  <h2>Scoreboard</h2>\n  <table>\n    <thead><tr><th>Racer</th><th>Races Won</th><th>Races Entered</th><th>Measurements Won</th></tr></thead>\n    <tbody>\n      ${scoreRows}\n    </tbody>\n  </table>\n</div>`
+      : '',
+  });
+}
@@ -5,33 +5,292 @@
 import fs from 'fs';
 import path from 'path';
 import { c, RACER_COLORS } from './colors.js';
-import { buildProfileComparison, printProfileAnalysis, buildProfileMarkdown } from './profile-analysis.js';
+import { buildProfileComparison, printProfileAnalysis, buildProfileMarkdown, formatBytes } from './profile-analysis.js';
+import { describeSample, compareSamples, median } from './stats.js';
+import { formatBaselineDelta } from './baseline.js';
+import { formatBudgetValue, isBudgetFloor } from './budgets.js';
+import { resolveNetwork, networkProfileLabel } from './config.js';
 
 // --- Helper functions to eliminate duplication ---
 
+/** How repeated laps of one measurement are reduced to the time that decides the winner. */
+export const LAP_BASES = ['median', 'mean', 'best', 'worst'];
+
+function aggregateTimes(values, basis = 'median') {
+  if (basis === 'best') return Math.min(...values);
+  if (basis === 'worst') return Math.max(...values);
+  if (basis === 'mean') return values.reduce((a, b) => a + b, 0) / values.length;
+  return median(values);
+}
+
+/** Best, mean, median and worst of a racer's lap times; bestLap is 1-based. */
+export function describeLaps(durations) {
+  const best = Math.min(...durations);
+  return {
+    count: durations.length,
+    best,
+    bestLap: durations.indexOf(best) + 1,
+    mean: aggregateTimes(durations, 'mean'),
+    median: median(durations),
+    worst: Math.max(...durations),
+  };
+}
+
+/**
+ * Turn a measurement's splits into sectors, F1 style: each split closes a sector
+ * and the finish closes the last one. Returns [{ label, duration, elapsed, time }] or null.
+ */
+export function splitsToSectors(measurement) {
+  const splits = measurement?.splits;
+  if (!splits || splits.length === 0) return null;
+  const bounds = [...splits, { label: 'Finish', elapsed: measurement.duration, time: measurement.endTime }];
+  return bounds.map((b, i) => ({
+    label: b.label,
+    duration: b.elapsed - (i > 0 ? bounds[i - 1].elapsed : 0),
+    elapsed: b.elapsed,
+    ...(b.time !== undefined && { time: b.time }),
+  }));
+}
+
+/**
+ * Combine sector lists from several laps or runs into one, per label, using the
+ * given basis (median across runs; the lap basis across laps). Null when none had splits.
+ */
+function combineSectors(sectorLists, basis = 'median') {
+  const lists = sectorLists.filter(Boolean);
+  if (lists.length === 0) return null;
+  const labels = [...new Set(lists.flatMap(sectors => sectors.map(s => s.label)))];
+  return labels.map(label => {
+    const hits = lists.map(sectors => sectors.find(s => s.label === label)).filter(Boolean);
+    return { label, duration: aggregateTimes(hits.map(s => s.duration), basis), elapsed: aggregateTimes(hits.map(s => s.elapsed), basis) };
+  });
+}
+
+/** One racer's entry for a measurement run as several laps; duration is the lap basis. */
+function buildLapResult(laps, basis) {
+  const durations = laps.map(l => l.duration);
+  const sectors = combineSectors(laps.map(splitsToSectors), basis);
+  const waits = laps.map(l => l.startWait).filter(w => w !== undefined);
+  const nodeDurations = laps.map(l => l.nodeDuration).filter(d => d !== undefined);
+  return {
+    duration: aggregateTimes(durations, basis),
+    startTime: laps[0].startTime,
+    endTime: laps[laps.length - 1].endTime,
+    laps: laps.map(l => ({ duration: l.duration, startTime: l.startTime, endTime: l.endTime, ...nodeClockOf(l), ...startLineOf(l), ...(l.penalty && { penalty: l.penalty }) })),
+    lapStats: describeLaps(durations),
+    ...(sectors && { sectors }),
+    ...(nodeDurations.length === laps.length && { nodeDuration: aggregateTimes(nodeDurations, basis) }),
+    // The longest this racer stood at any lap's starting line
+    ...(waits.length > 0 && { startWait: Math.max(...waits) }),
+    ...(laps.some(l => l.startTimedOut) && { startTimedOut: true }),
+  };
+}
+
+/**
+ * Measurement names timed on the page clock by every racer. Any other name is
+ * compared on the Node clock for all racers, so one failed page read never puts
+ * two clocks into the same comparison. Unfinished (DNF) measurements don't vote.
+ */
+function pageClockNames(results) {
+  const all = results.flatMap(r => r.measurements || []).filter(m => !m.dnf);
+  return new Set(all.map(m => m.name).filter(name => all.every(m => m.name !== name || m.pageDuration !== undefined)));
+}
+
+/**
+ * Prefer the page's performance.now() duration when every racer has one for this
+ * measurement. startTime/endTime stay on the Node clock, which is what the video is
+ * aligned to; the Node duration is kept as nodeDuration so the harness overhead can be reported.
+ */
+function preferPageClock(m, pageNames) {
+  if (m.pageDuration === undefined || !pageNames.has(m.name)) return m;
+  return { ...m, duration: m.pageDuration, nodeDuration: m.duration };
+}
+
+function nodeClockOf(m) {
+  return m.nodeDuration !== undefined ? { nodeDuration: m.nodeDuration } : {};
+}
+
+/** Starting-line fields of a measurement (only set for synchronized parallel starts). */
+function startLineOf(m) {
+  return {
+    ...(m.startWait !== undefined && { startWait: m.startWait }),
+    ...(m.startTimedOut && { startTimedOut: true }),
+  };
+}
+
+/**
+ * Starting-line skew for a measurement: the longest any racer waited for the
+ * others at raceStart, i.e. the gap between the first and last arrival.
+ * Returns { skew, timedOut } or null when the start wasn't synchronized.
+ */
+function startLineSkew(vals) {
+  const waits = vals.map(v => v?.startWait).filter(w => w !== undefined);
+  if (waits.length === 0) return null;
+  return { skew: Math.max(...waits), timedOut: vals.some(v => v?.startTimedOut === true) };
+}
+
 /**
  * Compute comparison stats for a single measurement across racers.
- * Returns { name, racers, winner, diff, diffPercent, rankings }.
+ * Racers with `sectors` are also compared sector by sector, matched by label.
+ * Disqualified racers are never placed: their values are dropped and they are
+ * listed in `disqualified` instead.
+ * A raceMetric comparison passes `metric` ({ unit, better }); its racers hold
+ * `value` instead of `duration` and rank in the metric's direction.
+ * Returns { name, metric?, racers, winner, diff, diffPercent, rankings, sectors?, disqualified? }.
  */
-function computeComparison(name, vals, racerNames) {
-  const comp = { name, racers: vals, winner: null, diff: null, diffPercent: null, rankings: [] };
+function computeComparison(name, racerVals, racerNames, disqualified = [], metric = null) {
+  const vals = racerVals.map((v, i) => (disqualified.includes(racerNames[i]) ? null : v));
+  const comp = { name, ...(metric && { metric }), racers: vals, winner: null, diff: null, diffPercent: null, rankings: [] };
+  const sectorLabels = [...new Set(vals.flatMap(v => v?.sectors?.map(s => s.label) || []))];
+  if (sectorLabels.length > 0) {
+    comp.sectors = sectorLabels.map(label =>
+      computeComparison(label, vals.map(v => v?.sectors?.find(s => s.label === label) || null), racerNames));
+  }
   const racersWithData = vals
-    .map((v, i) => v ? { index: i, duration: v.duration } : null)
+    .map((v, i) => v ? { index: i, value: resultValue(comp, v) } : null)
     .filter(Boolean)
-    .sort((a, b) => a.duration - b.duration);
+    .sort((a, b) => compareResults(comp, a.value, b.value));
 
   if (racersWithData.length >= 2) {
-    const winIdx = racersWithData[0].index;
-    const loseIdx = racersWithData[racersWithData.length - 1].index;
-    comp.winner = racerNames[winIdx];
-    comp.diff = vals[loseIdx].duration - vals[winIdx].duration;
-    comp.diffPercent = vals[winIdx].duration > 0
-      ? (comp.diff / vals[winIdx].duration * 100) : 0;
+    const best = racersWithData[0];
+    const worst = racersWithData[racersWithData.length - 1];
+    comp.winner = racerNames[best.index];
+    comp.diff = Math.abs(worst.value - best.value);
+    comp.diffPercent = best.value !== 0 ? (comp.diff / Math.abs(best.value) * 100) : 0;
     comp.rankings = racersWithData.map(r => racerNames[r.index]);
   }
+  const ruledOut = racerNames.filter(r => disqualified.includes(r));
+  if (ruledOut.length > 0) {
+    comp.disqualified = ruledOut;
+    awardLoneFinisher(comp, racerNames);
+  }
   return comp;
 }
 
+/** The number a comparison ranks racers on: a measurement's time, or a raceMetric's value. */
+export function resultValue(comp, v) {
+  return comp.metric ? v.value : v.duration;
+}
+
+/** Sort comparator for two values of a comparison, best first: lower times, or the metric's better direction. */
+export function compareResults(comp, a, b) {
+  return comp.metric?.better === 'higher' ? b - a : a - b;
+}
+
+/** A comparison's value in its unit: seconds for measurements, e.g. "58.2 fps" for metrics. */
+export function formatResult(comp, value) {
+  if (!comp.metric) return `${value.toFixed(3)}s`;
+  const number = String(Number(value.toFixed(3)));
+  return comp.metric.unit ? `${number} ${comp.metric.unit}` : number;
+}
+
+/** A signed difference in the comparison's unit, e.g. "+0.120s" or "-12 fps". */
+export function formatGap(comp, gap) {
+  return `${gap < 0 ? '-' : '+'}${formatResult(comp, Math.abs(gap))}`;
+}
+
+export const INCIDENT_TYPES = ['console', 'pageerror', 'requestfailed'];
+const INCIDENT_LABELS = { console: 'console error', pageerror: 'page error', requestfailed: 'failed request' };
+
+/**
+ * Incident rules from settings.incidents:
+ * { types: [...INCIDENT_TYPES], penalty: seconds per incident, disqualify: true | count }.
+ * Only incidents of `types` during a measurement count towards penalties and disqualification.
+ */
+function incidentRules(spec) {
+  const s = spec && typeof spec === 'object' ? spec : {};
+  const types = Array.isArray(s.types) ? s.types.filter(t => INCIDENT_TYPES.includes(t)) : INCIDENT_TYPES;
+  const penalty = typeof s.penalty === 'number' && s.penalty > 0 ? s.penalty : 0;
+  const disqualify = s.disqualify === true ? 1 : Number.isInteger(s.disqualify) && s.disqualify > 0 ? s.disqualify : null;
+  return { types, penalty, disqualify };
+}
+
+function incidentsDuring(m, incidents) {
+  return incidents.filter(x => x.time >= m.startTime && x.time <= m.endTime);
+}
+
+/** Add the time penalty for incidents during a measurement to both of its clocks. */
+function applyPenalty(m, counted, rules) {
+  const penalty = rules.penalty * incidentsDuring(m, counted).length;
+  if (penalty === 0) return m;
+  return { ...m, duration: m.duration + penalty, ...(m.nodeDuration !== undefined && { nodeDuration: m.nodeDuration + penalty }), penalty };
+}
+
+/**
+ * Per-racer incident tally: { total, measured, types: { <type>: n }, penalty, entries }.
+ * `measured` counts incidents of the rule types during any measurement.
+ */
+function tallyIncidents(incidents, measurements, counted) {
+  const measured = counted.filter(x => measurements.some(m => x.time >= m.startTime && x.time <= m.endTime));
+  const penalty = measurements.reduce((sum, m) => sum + (m.penalty || 0), 0);
+  return {
+    total: incidents.length,
+    measured: measured.length,
+    types: Object.fromEntries(INCIDENT_TYPES.map(t => [t, incidents.filter(x => x.type === t).length])),
+    ...(penalty > 0 && { penalty }),
+    entries: incidents,
+  };
+}
+
+export function describeIncidents(tally) {
+  const parts = INCIDENT_TYPES.filter(t => tally.types[t] > 0).map(t => `${tally.types[t]} ${INCIDENT_LABELS[t]}${tally.types[t] === 1 ? '' : 's'}`);
+  return `${parts.join(', ')}${tally.runs ? ` across ${tally.runs === 1 ? '1 run' : `${tally.runs} runs`}` : ''}`;
+}
+
+/** Sum of byte counts, or null when any of them is unknown. */
+function sumBytes(values) {
+  return values.some(b => b === null || b === undefined) ? null : values.reduce((sum, b) => sum + b, 0);
+}
+
+/**
+ * Per-racer block rule results: totals over the runner's [{ rule, requests, bytes }].
+ * bytes is null when a rule's sizes are unknown (they are only known from a replayed HAR).
+ */
+function tallyBlocked(rules) {
+  return {
+    requests: rules.reduce((sum, r) => sum + r.requests, 0),
+    bytes: sumBytes(rules.map(r => r.bytes)),
+    rules,
+  };
+}
+
+/** Blocked bytes for display: "1.2 KB", or "size unknown". */
+export function formatBlockedBytes(bytes) {
+  return bytes === null || bytes === undefined ? 'size unknown' : formatBytes(bytes);
+}
+
+export function describeBlocked(tally) {
+  const runs = tally.runs ? ` across ${tally.runs === 1 ? '1 run' : `${tally.runs} runs`}` : '';
+  return `${tally.requests} ${tally.requests === 1 ? 'request' : 'requests'} blocked (${formatBlockedBytes(tally.bytes)})${runs}`;
+}
+
+/** Per-racer raceExpect results: { passed, failed, entries }. */
+function tallyExpectations(entries) {
+  const failed = entries.filter(x => !x.passed).length;
+  return { passed: entries.length - failed, failed, entries };
+}
+
+/** Racers with at least one failed raceExpect — any of them fails the race (non-zero exit code). */
+export function failedExpectations(summary) {
+  return Object.entries(summary.expectations || {}).filter(([, t]) => t.failed > 0).map(([racer]) => racer);
+}
+
+/** Why a racer has no time for a measurement: 'DQ', a DNF label, or null when it simply has no data. */
+export function unplacedLabel(comp, racer) {
+  if (comp.disqualified?.includes(racer)) return 'DQ';
+  return dnfLabel(comp, racer);
+}
+
+/** Finishing beats retiring: a lone finisher wins a measurement the others didn't finish. */
+function awardLoneFinisher(comp, racerNames) {
+  if (comp.rankings.length > 0) return;
+  const finishers = racerNames.filter((_, i) => comp.racers[i]);
+  if (finishers.length === 1) {
+    comp.winner = finishers[0];
+    comp.rankings = finishers;
+  }
+}
+
 /**
  * Compute display order from best to worst using average ranking position
  * across all comparisons. Each comparison's `rankings` array gives the full
@@ -83,12 +342,13 @@ function buildResultsTable(comparisons, racers, clickCounts = null) {
   lines.push(`| ${headerCols.join(' | ')} |`);
   lines.push(`|${headerCols.map(() => '---').join('|')}|`);
   for (const comp of comparisons) {
-    const durations = racers.map((_, i) =>
-      comp.racers[i] ? `${comp.racers[i].duration.toFixed(3)}s` : '-'
+    const durations = racers.map((r, i) =>
+      comp.racers[i] ? formatResult(comp, resultValue(comp, comp.racers[i])) : (unplacedLabel(comp, r) || '-')
     );
-    const winner = comp.winner || '-';
+    const winner = comp.winner || (isTooClose(comp) ? 'too close to call' : '-');
     const diff = comp.diffPercent !== null ? `${comp.diffPercent.toFixed(1)}%` : '-';
-    lines.push(`| ${comp.name} | ${durations.join(' | ')} | ${winner} | ${diff} |`);
+    const name = comp.metric ? `${comp.name} (${comp.metric.better} is better)` : comp.name;
+    lines.push(`| ${name} | ${durations.join(' | ')} | ${winner} | ${diff} |`);
   }
   if (clickCounts) {
     const clickValues = racers.map(r => clickCounts[r]);
@@ -97,21 +357,383 @@ function buildResultsTable(comparisons, racers, clickCounts = null) {
   return lines;
 }
 
+function isTooClose(comp) {
+  return comp.significance?.verdict === 'too-close';
+}
+
+/** Why a racer was retired or disqualified, e.g. "over the 60s time limit (2 runs)". */
+export function describeDnf(dnf) {
+  return dnf.runs ? `${dnf.reason} (${dnf.runs === 1 ? '1 run' : `${dnf.runs} runs`})` : dnf.reason;
+}
+
+/** "DNF", with the time reached when it was cut off mid-measurement; null if the racer finished. */
+export function dnfLabel(comp, racer) {
+  if (!comp.dnf || !(racer in comp.dnf)) return null;
+  const elapsed = comp.dnf[racer];
+  return elapsed != null ? `DNF (${elapsed.toFixed(3)}s)` : 'DNF';
+}
+
+const VERDICT_LABELS = {
+  significant: 'significant',
+  'too-close': 'too close to call',
+  'insufficient-runs': 'too few runs to tell',
+};
+
+/**
+ * One-line description of a multi-run comparison's significance, e.g.
+ * "a vs b: gap +0.110s … +0.310s (95% CI), p=0.008 — significant".
+ */
+export function describeSignificance(comp) {
+  const sig = comp.significance;
+  if (!sig) return '';
+  const parts = [];
+  if (sig.diffCI) {
+    const pct = Math.round(sig.diffCI.confidence * 100);
+    parts.push(`gap ${formatGap(comp, sig.diffCI.low)} … ${formatGap(comp, sig.diffCI.high)} (${pct}% CI)`);
+  }
+  parts.push(`p=${sig.pValue.toFixed(3)}`);
+  return `${comp.rankings[0]} vs ${sig.against}: ${parts.join(', ')} — ${VERDICT_LABELS[sig.verdict]}`;
+}
+
+/** True when no overall winner was crowned because the leads were within noise. */
+export function isTooCloseToCall(summary) {
+  return !summary.overallWinner && (summary.comparisons || []).some(isTooClose);
+}
+
+/**
+ * True when the overall winner took a measurement with too few runs for the
+ * significance test to tell: the median crown stands but isn't verified.
+ */
+export function isUnverifiedWin(summary) {
+  const { overallWinner } = summary;
+  if (!overallWinner || overallWinner === 'tie') return false;
+  return (summary.comparisons || []).some(comp => comp.winner === overallWinner && comp.significance?.verdict === 'insufficient-runs');
+}
+
+/** Markdown spread table plus one significance line per measurement. */
+function buildStatisticsSection(comparisons, racers) {
+  const lines = ['### Statistics', ''];
+  lines.push('| Measurement | Racer | Median | Min | Max | Std Dev | p75 | p95 |');
+  lines.push('|---|---|---|---|---|---|---|---|');
+  for (const comp of comparisons) {
+    racers.forEach((r, i) => {
+      const st = comp.racers[i]?.stats;
+      if (!st) return;
+      const cols = [resultValue(comp, comp.racers[i]), st.min, st.max, st.stddev, st.p75, st.p95].map(v => formatResult(comp, v));
+      lines.push(`| ${comp.name} | ${r} | ${cols.join(' | ')} |`);
+    });
+  }
+  lines.push('');
+  for (const comp of comparisons) {
+    if (comp.significance) lines.push(`- **${comp.name}**: ${describeSignificance(comp)}`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/** Markdown lap summary and lap-by-lap times for measurements run as laps; each racer's best lap is bold. */
+function buildLapsSection(comparisons, racers) {
+  const lines = ['### Laps', ''];
+  for (const comp of comparisons) {
+    if (!comp.lapBasis) continue;
+    lines.push(`**${comp.name}** — ranked by ${comp.lapBasis} lap`, '');
+    lines.push('| Racer | Laps | Best | Mean | Median | Worst |');
+    lines.push('|---|---|---|---|---|---|');
+    racers.forEach((r, i) => {
+      const st = comp.racers[i]?.lapStats;
+      if (!st) return;
+      const times = [st.best, st.mean, st.median, st.worst].map(v => `${v.toFixed(3)}s`);
+      times[0] += ` (lap ${st.bestLap})`;
+      lines.push(`| ${r} | ${st.count} | ${times.join(' | ')} |`);
+    });
+    lines.push('');
+    const count = Math.max(...comp.racers.map(v => v?.laps?.length || 0));
+    lines.push(`| Lap | ${racers.join(' | ')} |`);
+    lines.push(`|${['Lap', ...racers].map(() => '---').join('|')}|`);
+    for (let lap = 0; lap < count; lap++) {
+      const cells = racers.map((_, i) => {
+        const v = comp.racers[i];
+        const l = v?.laps?.[lap];
+        if (!l) return '-';
+        const time = `${l.duration.toFixed(3)}s`;
+        return v.lapStats.bestLap === lap + 1 ? `**${time}**` : time;
+      });
+      lines.push(`| ${lap + 1} | ${cells.join(' | ')} |`);
+    }
+    lines.push('');
+  }
+  return lines;
+}
+
+function formatOverhead(v) {
+  const ms = (v.nodeDuration - v.duration) * 1000;
+  return `${ms >= 0 ? '+' : ''}${ms.toFixed(1)}ms`;
+}
+
+/** Markdown comparison of in-page and Node durations, i.e. what the harness adds to each timing. */
+function buildClocksSection(comparisons, racers) {
+  const lines = ['### Clocks', ''];
+  lines.push('Durations are timed in the page with `performance.now()`. The Node clock (used to line up the video) also counts harness overhead.');
+  lines.push('');
+  lines.push('| Measurement | Racer | In-page | Node | Overhead |');
+  lines.push('|---|---|---|---|---|');
+  for (const comp of comparisons) {
+    racers.forEach((r, i) => {
+      const v = comp.racers[i];
+      if (v?.nodeDuration === undefined) return;
+      lines.push(`| ${comp.name} | ${r} | ${v.duration.toFixed(3)}s | ${v.nodeDuration.toFixed(3)}s | ${formatOverhead(v)} |`);
+    });
+  }
+  lines.push('');
+  return lines;
+}
+
+/** Markdown table of how long each racer waited at each synchronized starting line. */
+function buildStartLineSection(comparisons, racers) {
+  const lines = ['### Starting Line', ''];
+  lines.push(`| Measurement | ${racers.map(r => `${r} waited`).join(' | ')} | Skew |`);
+  lines.push(`|${['Measurement', ...racers, 'Skew'].map(() => '---').join('|')}|`);
+  for (const comp of comparisons) {
+    if (!comp.startLine) continue;
+    const cells = racers.map((_, i) => {
+      const wait = comp.racers[i]?.startWait;
+      return wait === undefined ? '-' : `${wait.toFixed(3)}s`;
+    });
+    const skew = `${comp.startLine.skew.toFixed(3)}s${comp.startLine.timedOut ? ' ⏰ timed out' : ''}`;
+    lines.push(`| ${comp.name} | ${cells.join(' | ')} | ${skew} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/** Markdown raceExpect results: every check for single runs, pass/fail counts for multi-run medians. */
+function buildExpectationsSection(expectations) {
+  const lines = ['### Expectations', ''];
+  const detailed = Object.values(expectations).some(t => t.entries);
+  if (detailed) {
+    lines.push('| Racer | Expectation | Result |');
+    lines.push('|---|---|---|');
+    for (const [racer, t] of Object.entries(expectations)) {
+      for (const x of t.entries || []) {
+        const result = x.passed ? '✅ passed' : `❌ failed${x.error ? ` (${x.error})` : ''}`;
+        lines.push(`| ${racer} | ${x.message.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ')} | ${result} |`);
+      }
+    }
+  } else {
+    lines.push('| Racer | Passed | Failed | Runs |');
+    lines.push('|---|---|---|---|');
+    for (const [racer, t] of Object.entries(expectations)) lines.push(`| ${racer} | ${t.passed} | ${t.failed} | ${t.runs} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/** Markdown requests and bytes each block rule kept from each racer. */
+function buildBlockedSection(blocked) {
+  const lines = ['### Blocked Requests', ''];
+  lines.push('| Racer | Rule | Requests | Bytes |');
+  lines.push('|---|---|---|---|');
+  for (const [racer, t] of Object.entries(blocked)) {
+    for (const r of t.rules) lines.push(`| ${racer} | \`${r.rule}\` | ${r.requests} | ${formatBlockedBytes(r.bytes)} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+const INCIDENT_DETAIL_LIMIT = 10;
+
+/** Markdown incident counts per racer, then the first few incidents of each in time order. */
+function buildIncidentsSection(incidents) {
+  const lines = ['### Incidents', ''];
+  lines.push('| Racer | Console errors | Page errors | Failed requests | During measurements | Penalty |');
+  lines.push('|---|---|---|---|---|---|');
+  for (const [racer, t] of Object.entries(incidents)) {
+    const penalty = t.penalty ? `+${t.penalty.toFixed(3)}s` : '-';
+    lines.push(`| ${racer} | ${t.types.console} | ${t.types.pageerror} | ${t.types.requestfailed} | ${t.measured} | ${penalty} |`);
+  }
+  lines.push('');
+  for (const [racer, t] of Object.entries(incidents)) {
+    if (!t.entries?.length) continue;
+    for (const x of t.entries.slice(0, INCIDENT_DETAIL_LIMIT)) {
+      lines.push(`- ${x.time.toFixed(1)}s · **${racer}** · ${INCIDENT_LABELS[x.type]}: ${x.text.replace(/\s*\n\s*/g, ' ')}`);
+    }
+    if (t.entries.length > INCIDENT_DETAIL_LIMIT) lines.push(`- … ${t.entries.length - INCIDENT_DETAIL_LIMIT} more for **${racer}** in \`${racer}/incidents.json\``);
+  }
+  if (Object.values(incidents).some(t => t.entries?.length)) lines.push('');
+  return lines;
+}
+
+/**
+ * Every racer's raceMessage output in race order (run by run for multi-run races,
+ * whose messages carry `run`); multi-line messages are flattened to fit a table cell.
+ */
+function buildMessagesSection(messages) {
+  const rows = Object.entries(messages)
+    .flatMap(([racer, list]) => list.map(m => ({ racer, ...m })))
+    .sort((a, b) => (a.run || 0) - (b.run || 0) || a.elapsed - b.elapsed);
+  const runs = rows.some(m => m.run);
+  const lines = ['### Messages', ''];
+  lines.push(runs ? '| Run | Time | Racer | Message |' : '| Time | Racer | Message |');
+  lines.push(runs ? '|---|---|---|---|' : '|---|---|---|');
+  for (const m of rows) {
+    lines.push(`| ${runs ? `${m.run} | ` : ''}${m.elapsed.toFixed(1)}s | ${m.racer} | ${m.text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ')} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/** Markdown sector tables, one per measurement with splits; the fastest sector time is bold. */
+function buildSectorsSection(comparisons, racers) {
+  const lines = ['### Sectors', ''];
+  for (const comp of comparisons) {
+    if (!comp.sectors) continue;
+    lines.push(`**${comp.name}**`, '');
+    lines.push(`| Sector | ${racers.join(' | ')} | Fastest |`);
+    lines.push(`|${['Sector', ...racers, 'Fastest'].map(() => '---').join('|')}|`);
+    for (const sector of comp.sectors) {
+      const cells = racers.map((r, i) => {
+        const v = sector.racers[i];
+        if (!v) return '-';
+        const time = `${v.duration.toFixed(3)}s`;
+        return sector.winner === r ? `**${time}**` : time;
+      });
+      lines.push(`| ${sector.name} | ${cells.join(' | ')} | ${sector.winner || '-'} |`);
+    }
+    lines.push('');
+  }
+  return lines;
+}
+
+/** Markdown table of per-racer deltas against a baseline run. */
+function buildBaselineSection(baseline) {
+  const name = baseline.dir ? path.basename(baseline.dir) : 'baseline';
+  const lines = ['### Baseline', ''];
+  const regressions = baseline.regressions === 1 ? '1 regression' : `${baseline.regressions} regressions`;
+  lines.push(`Compared with \`${name}\` (±${baseline.threshold}% threshold): **${regressions}**`);
+  lines.push('');
+  if (baseline.deltas.length > 0) {
+    lines.push('| Measurement | Racer | Baseline | Current | Change | Status |');
+    lines.push('|---|---|---|---|---|---|');
+    for (const d of baseline.deltas) {
+      const status = d.regression ? '🔴 regression' : d.improvement ? '🟢 improvement' : '-';
+      lines.push(`| ${d.measurement} | ${d.racer} | ${d.baseline.toFixed(3)}s | ${d.current.toFixed(3)}s | ${formatBaselineDelta(d)} | ${status} |`);
+    }
+    lines.push('');
+  }
+  return lines;
+}
+
+/**
+ * The network settings in words, e.g. "fast-3g · hunt: 4g · HAR replay, throttled",
+ * or null for an unthrottled live race.
+ */
+export function describeNetwork(network) {
+  const { preset, racers, record, replay, throttleReplay } = resolveNetwork(network);
+  const parts = preset !== 'none' ? [networkProfileLabel(preset)] : [];
+  const own = Object.entries(racers).map(([racer, profile]) => `${racer}: ${networkProfileLabel(profile)}`);
+  if (own.length > 0) parts.push(own.join(', '));
+  if (record || replay) {
+    const pacing = preset === 'none' && own.length === 0 ? '' : throttleReplay ? ', throttled' : ', unthrottled';
+    parts.push(`HAR ${record ? 'record & replay' : 'replay'}${pacing}`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+/** An emulated device in words, e.g. "Pixel 7 · 412×839 @2.625x, mobile, touch". */
+export function describeDevice(device) {
+  if (typeof device === 'string') return device;
+  const traits = [device.isMobile && 'mobile', device.hasTouch && 'touch'].filter(Boolean);
+  const size = device.viewport ? ` · ${device.viewport.width}×${device.viewport.height} @${device.deviceScaleFactor ?? 1}x` : '';
+  return `${device.name || 'custom'}${size}${traits.length > 0 ? `, ${traits.join(', ')}` : ''}`;
+}
+
+/**
+ * Race info rows for the emulated devices in settings.devices (racer → device):
+ * one "Device" row when every racer shares one, else a row per racer that has one.
+ */
+export function describeDevices(settings, racers) {
+  const devices = settings?.devices || {};
+  const described = racers.map(r => (devices[r] ? describeDevice(devices[r]) : null));
+  if (described.every(d => d === null)) return [];
+  if (described.every(d => d === described[0])) return [{ label: 'Device', text: described[0] }];
+  return racers.flatMap((r, i) => (described[i] ? [{ label: `Device (${r})`, text: described[i] }] : []));
+}
+
+/**
+ * Label a racer with its browser engine, but only when the race isn't all-Chromium
+ * — default races keep their plain names.
+ */
+export function racerLabel(name, browsers) {
+  if (!browsers || Object.values(browsers).every(b => b === 'chromium')) return name;
+  return `${name} (${browsers[name] || 'chromium'})`;
+}
+
 // --- Main summary functions ---
 
 export function buildSummary(racerNames, results, settings, resultsDir) {
-  const measurements = results.map(r => r.measurements || []);
+  const rules = incidentRules(settings?.incidents);
+  const incidents = results.map(r => r.incidents || []);
+  const counted = incidents.map(list => list.filter(x => rules.types.includes(x.type)));
+  const pageNames = pageClockNames(results);
+  const measurements = results.map((r, i) => (r.measurements || []).map(m => preferPageClock(m, pageNames)).map(m => applyPenalty(m, counted[i], rules)));
+  const tallies = incidents.map((list, i) => tallyIncidents(list, measurements[i], counted[i]));
+  // Disqualified racers keep their incidents and measurements on record but are never placed
+  const disqualified = results.map((r, i) => {
+    if (r.disqualified) return r.disqualified;
+    const failed = (r.expectations || []).filter(x => !x.passed);
+    if (failed.length > 0) {
+      return { reason: `failed expectation: ${failed[0].message}${failed.length > 1 ? ` (+${failed.length - 1} more)` : ''}` };
+    }
+    const n = tallies[i].measured;
+    if (!rules.disqualify || n < rules.disqualify) return null;
+    return { reason: `${n} ${n === 1 ? 'incident' : 'incidents'} during measurements (limit ${rules.disqualify})` };
+  });
+  const ruledOut = racerNames.filter((_, i) => disqualified[i]);
+  const lapBasis = LAP_BASES.includes(settings?.lapBasis) ? settings.lapBasis : 'median';
 
-  // Group measurements by name across all racers
+  // Group measurements by name across all racers; a name measured repeatedly is a lap race
   const allNames = new Set(measurements.flat().map(m => m.name));
   const comparisons = [...allNames].map(name => {
-    const vals = racerNames.map((_, i) => {
-      const m = measurements[i].find(m => m.name === name);
-      return m ? { duration: m.duration, startTime: m.startTime, endTime: m.endTime } : null;
+    const laps = measurements.map(ms => ms.filter(m => m.name === name));
+    // A retired racer didn't finish the measurement they were cut off in, nor any they never reached
+    const retired = laps.map((racerLaps, i) => !!results[i].dnf && (racerLaps.length === 0 || racerLaps.some(m => m.dnf)));
+    const lapped = laps.some((l, i) => !retired[i] && l.length > 1);
+    const vals = laps.map((racerLaps, i) => {
+      if (racerLaps.length === 0 || retired[i]) return null;
+      if (lapped) return buildLapResult(racerLaps, lapBasis);
+      const m = racerLaps[0];
+      const sectors = splitsToSectors(m);
+      return { duration: m.duration, startTime: m.startTime, endTime: m.endTime, ...(sectors && { sectors }), ...nodeClockOf(m), ...startLineOf(m), ...(m.penalty && { penalty: m.penalty }) };
     });
-    return computeComparison(name, vals, racerNames);
+    const comp = computeComparison(name, vals, racerNames, ruledOut);
+    if (lapped) comp.lapBasis = lapBasis;
+    const line = startLineSkew(vals);
+    if (line) comp.startLine = line;
+    if (retired.some(Boolean)) {
+      comp.dnf = Object.fromEntries(racerNames.flatMap((r, i) =>
+        retired[i] ? [[r, laps[i].find(m => m.dnf)?.duration ?? null]] : []));
+      awardLoneFinisher(comp, racerNames);
+    }
+    return comp;
   });
 
+  // raceMetric values are compared after the measurements, in their own unit and direction.
+  // The first racer to report a metric sets its unit and direction. A retired racer
+  // didn't finish the race, so its metrics are DNF like the measurements it missed.
+  const metricNames = [...new Set(results.flatMap(r => (r.metrics || []).map(m => m.name)))];
+  const clashes = metricNames.filter(name => allNames.has(name));
+  for (const name of metricNames.filter(n => !allNames.has(n))) {
+    const reported = results.map(r => (r.metrics || []).find(m => m.name === name) || null);
+    const { unit, better } = reported.find(Boolean);
+    const vals = reported.map((m, i) => (m && !results[i].dnf ? { value: m.value } : null));
+    const comp = computeComparison(name, vals, racerNames, ruledOut, { unit: unit || '', better: better === 'higher' ? 'higher' : 'lower' });
+    if (results.some(r => r.dnf)) {
+      comp.dnf = Object.fromEntries(racerNames.flatMap((r, i) => (results[i].dnf ? [[r, null]] : [])));
+      awardLoneFinisher(comp, racerNames);
+    }
+    comparisons.push(comp);
+  }
+
   const wins = racerNames.map(name => comparisons.filter(x => x.winner === name).length);
   const overallWinner = determineOverallWinner(wins, racerNames, comparisons);
 
@@ -123,26 +745,93 @@ export function buildSummary(racerNames, results, settings, resultsDir) {
     comparisons,
     overallWinner,
     wins: Object.fromEntries(racerNames.map((n, i) => [n, wins[i]])),
-    errors: results.flatMap((r, i) => r.error ? [`${racerNames[i]}: ${r.error}`] : []),
+    errors: [
+      ...results.flatMap((r, i) => r.error ? [`${racerNames[i]}: ${r.error}`] : []),
+      ...clashes.map(name => `raceMetric "${name}" has the same name as a measurement and was left out`),
+    ],
     videos: Object.fromEntries(results.flatMap((r, i) => [
       [racerNames[i], r.videoPath || null],
       [`${racerNames[i]}_full`, r.fullVideoPath || null],
     ])),
     clickCounts: Object.fromEntries(racerNames.map((n, i) => [n, (results[i].clickEvents || []).length])),
+    browsers: Object.fromEntries(racerNames.map((n, i) => [n, results[i].browser || 'chromium'])),
+    unavailable: Object.fromEntries(racerNames.flatMap((n, i) => results[i].unavailable?.length ? [[n, results[i].unavailable]] : [])),
+    har: Object.fromEntries(racerNames.flatMap((n, i) => results[i].har ? [[n, results[i].har]] : [])),
+    blocked: Object.fromEntries(racerNames.flatMap((n, i) => results[i].blocked ? [[n, tallyBlocked(results[i].blocked)]] : [])),
+    dnf: Object.fromEntries(racerNames.flatMap((n, i) => results[i].dnf ? [[n, results[i].dnf]] : [])),
+    messages: Object.fromEntries(racerNames.flatMap((n, i) => results[i].messages?.length ? [[n, results[i].messages]] : [])),
+    networkChanges: Object.fromEntries(racerNames.flatMap((n, i) => results[i].networkChanges?.length ? [[n, results[i].networkChanges]] : [])),
+    incidents: Object.fromEntries(racerNames.flatMap((n, i) => tallies[i].total > 0 ? [[n, tallies[i]]] : [])),
+    expectations: Object.fromEntries(racerNames.flatMap((n, i) => results[i].expectations?.length ? [[n, tallyExpectations(results[i].expectations)]] : [])),
+    disqualified: Object.fromEntries(racerNames.flatMap((n, i) => disqualified[i] ? [[n, disqualified[i]]] : [])),
     profileMetrics: results.map(r => r.profileMetrics || null),
     profileComparison: buildProfileComparison(racerNames, results.map(r => r.profileMetrics || null)),
   };
 }
 
-function printBar(label, duration, maxDuration, color, isWinner, width = 30) {
-  const filled = maxDuration > 0 ? Math.round((duration / maxDuration) * width) : 0;
+function printBar(label, duration, maxDuration, color, isWinner, width = 30, formatted = `${duration.toFixed(3)}s`) {
+  const filled = maxDuration > 0 ? Math.max(0, Math.round((duration / maxDuration) * width)) : 0;
   const bar = '▓'.repeat(filled) + '░'.repeat(width - filled);
   const medal = isWinner ? ' 🏆' : '';
-  return `    ${color}${c.bold}${label.padEnd(12)}${c.reset} ${color}${bar}${c.reset}  ${c.bold}${duration.toFixed(3)}s${c.reset}${medal}`;
+  return `    ${color}${c.bold}${label.padEnd(12)}${c.reset} ${color}${bar}${c.reset}  ${c.bold}${formatted}${c.reset}${medal}`;
+}
+
+function printBaseline(baseline, racers) {
+  const write = (s) => process.stderr.write(s);
+  const name = baseline.dir ? path.basename(baseline.dir) : 'baseline';
+  write(`  ${c.bold}📐 vs ${name}${c.reset} ${c.dim}(±${baseline.threshold}% threshold)${c.reset}\n`);
+  if (baseline.deltas.length === 0) {
+    write(`    ${c.dim}No matching measurements.${c.reset}\n`);
+  }
+  for (const d of baseline.deltas) {
+    const color = RACER_COLORS[racers.indexOf(d.racer) % RACER_COLORS.length];
+    const tone = d.regression ? c.red : d.improvement ? c.green : c.dim;
+    const flag = d.regression ? ' ▲ regression' : d.improvement ? ' ▼ improvement' : '';
+    write(`    ${color}${d.racer.padEnd(12)}${c.reset} ${c.dim}${d.measurement}${c.reset}  ${d.baseline.toFixed(3)}s → ${d.current.toFixed(3)}s  ${tone}${formatBaselineDelta(d)}${flag}${c.reset}\n`);
+  }
+  write('\n');
+}
+
+const SPARK = '▁▂▃▄▅▆▇█';
+
+// Skews below this are normal scheduling jitter; don't clutter the terminal with them
+const SKEW_NOTICE = 0.01;
+
+/** Lap chart under a measurement: a sparkline of each racer's lap times (taller = slower). */
+function printLaps(comp, racers) {
+  const write = (s) => process.stderr.write(s);
+  const all = comp.racers.flatMap(r => r?.laps?.map(l => l.duration) || []);
+  const min = Math.min(...all);
+  const max = Math.max(...all);
+  write(`    ${c.dim}🔁 Laps — ranked by ${comp.lapBasis} lap${c.reset}\n`);
+  racers.forEach((r, i) => {
+    const v = comp.racers[i];
+    if (!v?.laps) return;
+    const color = RACER_COLORS[i % RACER_COLORS.length];
+    const spark = v.laps.map(l => SPARK[max > min ? Math.round((l.duration - min) / (max - min) * (SPARK.length - 1)) : 0]).join('');
+    const st = v.lapStats;
+    write(`    ${color}${r.padEnd(12)}${c.reset} ${color}${spark}${c.reset}  ${c.dim}best${c.reset} ${st.best.toFixed(3)}s ${c.dim}(lap ${st.bestLap}) · mean${c.reset} ${st.mean.toFixed(3)}s ${c.dim}· median${c.reset} ${st.median.toFixed(3)}s ${c.dim}· worst${c.reset} ${st.worst.toFixed(3)}s\n`);
+  });
+}
+
+/** Sector times under a measurement's bars; the fastest in each sector is purple, like F1. */
+function printSectors(comp, racers) {
+  const write = (s) => process.stderr.write(s);
+  const header = racers.map((r, i) => `${RACER_COLORS[i % RACER_COLORS.length]}${r.slice(0, 10).padStart(10)}${c.reset}`).join(' ');
+  write(`    ${c.dim}${'Sector'.padEnd(16)}${c.reset}${header}\n`);
+  for (const sector of comp.sectors) {
+    const cells = racers.map((r, i) => {
+      const v = sector.racers[i];
+      if (!v) return `${c.dim}${'-'.padStart(10)}${c.reset}`;
+      const cell = `${v.duration.toFixed(3)}s`.padStart(10);
+      return sector.winner === r ? `${c.magenta}${c.bold}${cell}${c.reset}` : cell;
+    }).join(' ');
+    write(`    ${c.dim}${sector.name.slice(0, 16).padEnd(16)}${c.reset}${cells}\n`);
+  }
 }
 
 export function printSummary(summary) {
-  const { racers, comparisons, overallWinner, wins, errors, clickCounts, profileComparison } = summary;
+  const { racers, comparisons, overallWinner, wins, errors, clickCounts, profileComparison, unavailable, baseline, budgets } = summary;
   const w = 54;
 
   const write = (s) => process.stderr.write(s);
@@ -155,37 +844,66 @@ export function printSummary(summary) {
     errors.forEach(err => write(`    ${c.red}${err}${c.reset}\n`));
   }
 
+  if (unavailable && Object.keys(unavailable).length > 0) {
+    write(`  ${c.yellow}${c.bold}⚠ Unavailable:${c.reset}\n`);
+    for (const [name, features] of Object.entries(unavailable)) {
+      write(`    ${c.yellow}${racerLabel(name, summary.browsers)}: ${features.join(', ')}${c.reset}\n`);
+    }
+  }
+
   if (comparisons.length === 0) {
     write(`  ${c.dim}No measurements recorded.${c.reset}\n`);
     write(`  ${c.dim}Use page.raceStart() / page.raceEnd() in scripts.${c.reset}\n`);
   } else {
     for (const comp of comparisons) {
-      const maxDur = Math.max(...comp.racers.map(r => r?.duration || 0));
+      const maxDur = Math.max(...comp.racers.map(r => (r ? resultValue(comp, r) : 0)));
 
-      // Sort racers by duration ascending (best/fastest first), nulls last
+      // Sort racers best first (fastest, or the metric's better end), nulls last
       const sorted = racers
         .map((name, i) => ({ name, index: i, racer: comp.racers[i] }))
         .sort((a, b) => {
           if (!a.racer) return 1;
           if (!b.racer) return -1;
-          return a.racer.duration - b.racer.duration;
+          return compareResults(comp, resultValue(comp, a.racer), resultValue(comp, b.racer));
         });
-      const bestDur = sorted[0].racer ? sorted[0].racer.duration : null;
+      const bestDur = sorted[0].racer ? resultValue(comp, sorted[0].racer) : null;
 
-      write(`  ${c.dim}⏱ ${comp.name}${c.reset}\n`);
+      write(`  ${c.dim}${comp.metric ? '📏' : '⏱'} ${comp.name}${comp.metric ? ` (${comp.metric.better} is better)` : ''}${c.reset}\n`);
       for (const entry of sorted) {
         const color = RACER_COLORS[entry.index % RACER_COLORS.length];
         if (entry.racer) {
           const isWinner = comp.winner === entry.name;
+          const value = resultValue(comp, entry.racer);
           let delta = '';
-          if (bestDur !== null && entry.racer.duration !== bestDur) {
-            delta = ` ${c.dim}(+${(entry.racer.duration - bestDur).toFixed(3)}s)${c.reset}`;
+          if (bestDur !== null && value !== bestDur) {
+            delta = ` ${c.dim}(${formatGap(comp, value - bestDur)})${c.reset}`;
           }
-          write(`${printBar(entry.name, entry.racer.duration, maxDur, color, isWinner)}${delta}\n`);
+          const spread = entry.racer.stats?.n > 1 ? ` ${c.dim}±${formatResult(comp, entry.racer.stats.stddev)}${c.reset}` : '';
+          write(`${printBar(entry.name, value, maxDur, color, isWinner, 30, formatResult(comp, value))}${delta}${spread}\n`);
+        } else if (unplacedLabel(comp, entry.name)) {
+          const label = unplacedLabel(comp, entry.name);
+          write(`    ${color}${c.bold}${entry.name.padEnd(12)}${c.reset} ${c.red}${c.bold}${label === 'DQ' ? '⛔' : '🚩'} ${label}${c.reset}\n`);
         } else {
           write(`    ${color}${c.bold}${entry.name.padEnd(12)}${c.reset} ${c.dim}(no data)${c.reset}\n`);
         }
       }
+      if (comp.significance) {
+        const icon = isTooClose(comp) ? `${c.yellow}🤷` : `${c.dim}📊`;
+        write(`    ${icon} ${describeSignificance(comp)}${c.reset}\n`);
+      }
+      if (comp.startLine && (comp.startLine.timedOut || comp.startLine.skew >= SKEW_NOTICE)) {
+        const tone = comp.startLine.timedOut ? c.yellow : c.dim;
+        const note = comp.startLine.timedOut ? ' — timed out, not everyone reached the line' : '';
+        write(`    ${tone}🚦 start skew ${comp.startLine.skew.toFixed(3)}s${note}${c.reset}\n`);
+      }
+      if (comp.lapBasis) printLaps(comp, racers);
+      if (comp.sectors) printSectors(comp, racers);
+    }
+    const timed = comparisons.flatMap(comp => comp.racers.filter(v => v?.nodeDuration !== undefined));
+    if (timed.length > 0) {
+      const overheads = timed.map(v => (v.nodeDuration - v.duration) * 1000);
+      const avg = overheads.reduce((a, b) => a + b, 0) / overheads.length;
+      write(`  ${c.dim}⏲ Timed in-page · harness overhead avg ${avg.toFixed(1)}ms, max ${Math.max(...overheads).toFixed(1)}ms${c.reset}\n`);
     }
   }
 
@@ -195,10 +913,52 @@ export function printSummary(summary) {
   } else if (overallWinner) {
     const winnerIdx = racers.indexOf(overallWinner);
     const winColor = RACER_COLORS[winnerIdx % RACER_COLORS.length];
-    write(`  🏆 ${winColor}${c.bold}${overallWinner.toUpperCase()}${c.reset} ${c.bold}wins!${c.reset}\n`);
+    const unverified = isUnverifiedWin(summary) ? ` ${c.dim}(unverified — too few runs to tell)${c.reset}` : '';
+    write(`  🏆 ${winColor}${c.bold}${overallWinner.toUpperCase()}${c.reset} ${c.bold}wins!${c.reset}${unverified}\n`);
+  } else if (isTooCloseToCall(summary)) {
+    write(`  ${c.yellow}${c.bold}🤷 Too close to call${c.reset}\n`);
+  }
+  for (const [racer, dnf] of Object.entries(summary.dnf || {})) {
+    const color = RACER_COLORS[racers.indexOf(racer) % RACER_COLORS.length];
+    write(`  🚩 ${color}${c.bold}${racer}${c.reset} ${c.red}DNF${c.reset} ${c.dim}— ${describeDnf(dnf)}${c.reset}\n`);
+  }
+  for (const [racer, dq] of Object.entries(summary.disqualified || {})) {
+    const color = RACER_COLORS[racers.indexOf(racer) % RACER_COLORS.length];
+    write(`  ⛔ ${color}${c.bold}${racer}${c.reset} ${c.red}DQ${c.reset} ${c.dim}— ${describeDnf(dq)}${c.reset}\n`);
+  }
+  for (const [racer, tally] of Object.entries(summary.expectations || {})) {
+    const color = RACER_COLORS[racers.indexOf(racer) % RACER_COLORS.length];
+    const total = tally.passed + tally.failed;
+    const tone = tally.failed > 0 ? c.red : c.green;
+    write(`  ${tally.failed > 0 ? '❌' : '✅'} ${color}${c.bold}${racer}${c.reset} ${tone}${tally.passed}/${total} expectations passed${c.reset}\n`);
+    for (const x of (tally.entries || []).filter(e => !e.passed)) {
+      write(`     ${c.red}✗ ${x.message}${c.reset}${x.error ? ` ${c.dim}(${x.error})${c.reset}` : ''}\n`);
+    }
+  }
+  for (const [racer, tally] of Object.entries(summary.blocked || {})) {
+    const color = RACER_COLORS[racers.indexOf(racer) % RACER_COLORS.length];
+    const rules = tally.rules.map(r => `${r.rule}: ${r.requests}`).join(' · ');
+    write(`  🚫 ${color}${c.bold}${racer}${c.reset} ${describeBlocked(tally)} ${c.dim}· ${rules}${c.reset}\n`);
+  }
+  for (const [racer, tally] of Object.entries(summary.incidents || {})) {
+    const color = RACER_COLORS[racers.indexOf(racer) % RACER_COLORS.length];
+    const penalty = tally.penalty ? ` · +${tally.penalty.toFixed(3)}s penalty` : '';
+    write(`  ⚠️  ${color}${c.bold}${racer}${c.reset} ${c.yellow}${describeIncidents(tally)}${c.reset} ${c.dim}· ${tally.measured} during measurements${penalty}${c.reset}\n`);
   }
   write(`  ${c.dim}${'─'.repeat(w)}${c.reset}\n`);
 
+  if (baseline) printBaseline(baseline, racers);
+
+  if (budgets?.violations.length > 0) {
+    write(`  ${c.red}${c.bold}💸 Over budget:${c.reset}\n`);
+    for (const v of budgets.violations) {
+      write(`    ${c.red}${v.racer} · ${v.key}: ${formatBudgetValue(v.key, v.value, v.metric)} ${isBudgetFloor(v) ? '<' : '>'} ${formatBudgetValue(v.key, v.budget, v.metric)}${c.reset}\n`);
+    }
+    write('\n');
+  } else if (budgets?.checked > 0) {
+    write(`  ${c.green}✓ All ${budgets.checked} budget checks passed${c.reset}\n\n`);
+  }
+
   // Click events — only show if there are any
   const totalClicks = racers.reduce((sum, r) => sum + (clickCounts[r] || 0), 0);
   if (totalClicks > 0) {
@@ -217,7 +977,7 @@ export function printSummary(summary) {
 }
 
 export function buildMarkdownSummary(summary, sideBySideName) {
-  const { racers, comparisons, overallWinner, wins, errors, videos, clickCounts, settings, timestamp, profileComparison } = summary;
+  const { racers, comparisons, overallWinner, wins, errors, videos, clickCounts, settings, timestamp, profileComparison, browsers, unavailable, baseline, budgets } = summary;
   const lines = [];
 
   // ASCII art header
@@ -236,7 +996,9 @@ export function buildMarkdownSummary(summary, sideBySideName) {
     lines.push(`## It's a Tie! ${winsStr}`);
   } else if (overallWinner) {
     const winsStr = racers.map(r => wins[r]).join(' - ');
-    lines.push(`## Winner: ${overallWinner} (${winsStr})`);
+    lines.push(`## Winner: ${overallWinner} (${winsStr})${isUnverifiedWin(summary) ? ' — unverified, too few runs to tell' : ''}`);
+  } else if (isTooCloseToCall(summary)) {
+    lines.push('## Too Close to Call');
   }
   lines.push('');
 
@@ -246,12 +1008,14 @@ export function buildMarkdownSummary(summary, sideBySideName) {
   lines.push(`| | |`);
   lines.push(`|---|---|`);
   lines.push(`| **Date** | ${new Date(timestamp).toLocaleString()} |`);
-  racers.forEach((r, i) => lines.push(`| **Racer ${i + 1}** | ${r} |`));
+  racers.forEach((r, i) => lines.push(`| **Racer ${i + 1}** | ${racerLabel(r, browsers)} |`));
 
   if (settings) {
     const mode = settings.parallel === false ? 'sequential' : 'parallel';
     lines.push(`| **Mode** | ${mode} |`);
-    if (settings.network && settings.network !== 'none') lines.push(`| **Network** | ${settings.network} |`);
+    const network = describeNetwork(settings.network);
+    if (network) lines.push(`| **Network** | ${network} |`);
+    for (const { label, text } of describeDevices(settings, racers)) lines.push(`| **${label}** | ${text} |`);
     if (settings.cpuThrottle && settings.cpuThrottle > 1) lines.push(`| **CPU Throttle** | ${settings.cpuThrottle}x |`);
     if (settings.format && settings.format !== 'webm') lines.push(`| **Format** | ${settings.format} |`);
     if (settings.headless) lines.push(`| **Headless** | yes |`);
@@ -267,6 +1031,16 @@ export function buildMarkdownSummary(summary, sideBySideName) {
     lines.push('');
   }
 
+  // Features the racer's browser engine couldn't provide
+  if (unavailable && Object.keys(unavailable).length > 0) {
+    lines.push('### Unavailable');
+    lines.push('');
+    for (const [name, features] of Object.entries(unavailable)) {
+      lines.push(`- ${racerLabel(name, browsers)}: ${features.join(', ')}`);
+    }
+    lines.push('');
+  }
+
   // Results
   if (comparisons.length > 0) {
     lines.push('### Results');
@@ -275,6 +1049,51 @@ export function buildMarkdownSummary(summary, sideBySideName) {
     lines.push('');
   }
 
+  if (summary.dnf && Object.keys(summary.dnf).length > 0) {
+    lines.push('### Did Not Finish');
+    lines.push('');
+    for (const [racer, dnf] of Object.entries(summary.dnf)) lines.push(`- 🚩 **${racer}** — ${describeDnf(dnf)}`);
+    lines.push('');
+  }
+
+  if (summary.disqualified && Object.keys(summary.disqualified).length > 0) {
+    lines.push('### Disqualified');
+    lines.push('');
+    for (const [racer, dq] of Object.entries(summary.disqualified)) lines.push(`- ⛔ **${racer}** — ${describeDnf(dq)}`);
+    lines.push('');
+  }
+
+  if (summary.expectations && Object.keys(summary.expectations).length > 0) lines.push(...buildExpectationsSection(summary.expectations));
+  if (summary.incidents && Object.keys(summary.incidents).length > 0) lines.push(...buildIncidentsSection(summary.incidents));
+  if (summary.blocked && Object.keys(summary.blocked).length > 0) lines.push(...buildBlockedSection(summary.blocked));
+
+  if (summary.messages && Object.keys(summary.messages).length > 0) lines.push(...buildMessagesSection(summary.messages));
+
+  if (comparisons.some(comp => comp.racers.some(v => v?.nodeDuration !== undefined))) lines.push(...buildClocksSection(comparisons, racers));
+  if (comparisons.some(comp => comp.startLine)) lines.push(...buildStartLineSection(comparisons, racers));
+  if (comparisons.some(comp => comp.lapBasis)) lines.push(...buildLapsSection(comparisons, racers));
+  if (comparisons.some(comp => comp.sectors)) lines.push(...buildSectorsSection(comparisons, racers));
+
+  // Run-to-run spread and significance — only multi-run summaries carry stats
+  if (comparisons.some(comp => comp.significance || comp.racers.some(r => r?.stats))) {
+    lines.push(...buildStatisticsSection(comparisons, racers));
+  }
+
+  if (baseline) lines.push(...buildBaselineSection(baseline));
+
+  if (budgets) {
+    lines.push('### Budgets');
+    lines.push('');
+    if (budgets.violations.length === 0) {
+      lines.push(`All ${budgets.checked} budget checks passed.`);
+    } else {
+      for (const v of budgets.violations) {
+        lines.push(`- ❌ **${v.racer}** · ${v.key}: ${formatBudgetValue(v.key, v.value, v.metric)} (${isBudgetFloor(v) ? 'floor' : 'budget'} ${formatBudgetValue(v.key, v.budget, v.metric)})`);
+      }
+    }
+    lines.push('');
+  }
+
   // Profile analysis
   if (profileComparison && profileComparison.comparisons.length > 0) {
     lines.push(buildProfileMarkdown(profileComparison, racers));
@@ -328,27 +1147,183 @@ export function findMedianRunIndex(summaries, medianSummary) {
   return bestIdx;
 }
 
-/** Compute median of each measurement across multiple runs. */
+/** Median time of each lap number across runs, or null when no run had laps. */
+function medianLaps(runLaps) {
+  const runs = runLaps.filter(Boolean);
+  if (runs.length === 0) return null;
+  const count = Math.max(...runs.map(laps => laps.length));
+  return Array.from({ length: count }, (_, lap) => ({
+    duration: median(runs.filter(laps => laps[lap]).map(laps => laps[lap].duration)),
+  }));
+}
+
+/**
+ * Racers retired (key 'dnf') or disqualified (key 'disqualified') in any run:
+ * the first run's reason, and how many runs it happened in.
+ */
+function mergeRunFlags(summaries, key) {
+  const merged = {};
+  for (const s of summaries) {
+    for (const [racer, flag] of Object.entries(s[key] || {})) {
+      if (merged[racer]) merged[racer].runs++;
+      else merged[racer] = { ...flag, runs: 1 };
+    }
+  }
+  return merged;
+}
+
+/** Expectation counts summed over runs; the individual checks stay in each run's summary. */
+function mergeExpectations(summaries) {
+  const merged = {};
+  for (const s of summaries) {
+    for (const [racer, tally] of Object.entries(s.expectations || {})) {
+      const m = merged[racer] ||= { passed: 0, failed: 0, runs: 0 };
+      m.passed += tally.passed;
+      m.failed += tally.failed;
+      m.runs++;
+    }
+  }
+  return merged;
+}
+
+/** Incident counts summed over runs; the individual entries stay in each run's summary. */
+function mergeIncidents(summaries) {
+  const merged = {};
+  for (const s of summaries) {
+    for (const [racer, tally] of Object.entries(s.incidents || {})) {
+      const m = merged[racer] ||= { total: 0, measured: 0, types: Object.fromEntries(INCIDENT_TYPES.map(t => [t, 0])), runs: 0 };
+      m.total += tally.total;
+      m.measured += tally.measured;
+      for (const t of INCIDENT_TYPES) m.types[t] += tally.types[t] || 0;
+      m.runs++;
+    }
+  }
+  return merged;
+}
+
+/** Each racer's entries from every run in run order, each tagged with its `run` number. */
+function mergeRunLists(summaries, key) {
+  const merged = {};
+  summaries.forEach((s, i) => {
+    for (const [racer, list] of Object.entries(s[key] || {})) {
+      (merged[racer] ||= []).push(...list.map(entry => ({ ...entry, run: i + 1 })));
+    }
+  });
+  return merged;
+}
+
+/** How many runs each racer recorded or replayed its HAR. */
+function mergeHar(summaries) {
+  const merged = {};
+  for (const s of summaries) {
+    for (const [racer, mode] of Object.entries(s.har || {})) {
+      const m = merged[racer] ||= { record: 0, replay: 0, runs: 0 };
+      m[mode]++;
+      m.runs++;
+    }
+  }
+  return merged;
+}
+
+/** Blocked requests and bytes summed over runs, per rule; bytes unknown in any run stay unknown. */
+function mergeBlocked(summaries) {
+  const merged = {};
+  for (const s of summaries) {
+    for (const [racer, tally] of Object.entries(s.blocked || {})) {
+      const m = merged[racer] ||= { requests: 0, bytes: 0, rules: tally.rules.map(r => ({ rule: r.rule, requests: 0, bytes: 0 })), runs: 0 };
+      m.requests += tally.requests;
+      m.bytes = sumBytes([m.bytes, tally.bytes]);
+      for (const r of tally.rules) {
+        const rule = m.rules.find(x => x.rule === r.rule);
+        if (rule) {
+          rule.requests += r.requests;
+          rule.bytes = sumBytes([rule.bytes, r.bytes]);
+        }
+      }
+      m.runs++;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Per racer, the median of each profile metric over the runs that captured it,
+ * in the runner's { measured, total } shape; null for a racer with none.
+ */
+function medianProfileMetrics(summaries) {
+  return summaries[0].racers.map((_, i) => {
+    const runs = summaries.map(s => s.profileMetrics?.[i]).filter(Boolean);
+    if (runs.length === 0) return null;
+    const merged = {};
+    for (const scope of ['measured', 'total']) {
+      const keys = new Set(runs.flatMap(p => Object.keys(p[scope] || {})));
+      for (const key of keys) {
+        const values = runs.map(p => p[scope]?.[key]).filter(v => typeof v === 'number');
+        if (values.length > 0) (merged[scope] ||= {})[key] = median(values);
+      }
+    }
+    return merged;
+  });
+}
+
+/**
+ * Compute median of each measurement across multiple runs.
+ * Each racer also carries the spread of its samples, and each comparison a
+ * significance test of the winner against the runner-up. A lead that is within
+ * run-to-run noise is not counted as a win ("too close to call").
+ */
 export function buildMedianSummary(summaries, resultsDir) {
   const racers = summaries[0].racers;
   const allNames = new Set(summaries.flatMap(s => s.comparisons.map(c => c.name)));
 
   const comparisons = [...allNames].map(name => {
-    const vals = racers.map((_, i) => {
-      const durations = summaries
-        .map(s => s.comparisons.find(c => c.name === name)?.racers[i]?.duration)
-        .filter(d => d != null)
-        .sort((a, b) => a - b);
+    const runComps = summaries.map(s => s.comparisons.find(c => c.name === name)).filter(Boolean);
+    const metric = runComps.find(comp => comp.metric)?.metric || null;
+    const samples = racers.map((_, i) => runComps
+      .map(comp => (comp.racers[i] ? resultValue(comp, comp.racers[i]) : null))
+      .filter(d => d != null));
+    const vals = samples.map((durations, i) => {
       if (durations.length === 0) return null;
-      const mid = Math.floor(durations.length / 2);
-      const median = durations.length % 2 === 1 ? durations[mid] : (durations[mid - 1] + durations[mid]) / 2;
-      return { duration: median };
+      if (metric) return { value: median(durations), stats: describeSample(durations) };
+      const sectors = combineSectors(runComps.map(comp => comp.racers[i]?.sectors));
+      const laps = medianLaps(runComps.map(comp => comp.racers[i]?.laps));
+      const waits = runComps.map(comp => comp.racers[i]?.startWait).filter(w => w !== undefined);
+      const nodeDurations = runComps.map(comp => comp.racers[i]?.nodeDuration).filter(d => d !== undefined);
+      return {
+        duration: median(durations),
+        stats: describeSample(durations),
+        ...(sectors && { sectors }),
+        ...(laps && { laps, lapStats: describeLaps(laps.map(l => l.duration)) }),
+        ...(nodeDurations.length === durations.length && { nodeDuration: median(nodeDurations) }),
+        ...(waits.length > 0 && { startWait: median(waits) }),
+      };
     });
-    return computeComparison(name, vals, racers);
+    // A racer disqualified in any run is DQ here too, even with clean runs to take a median from
+    const disqualified = racers.filter(r => summaries.some(s => s.disqualified?.[r]) || runComps.some(comp => comp.disqualified?.includes(r)));
+    const comp = computeComparison(name, vals, racers, disqualified, metric);
+    const lapBasis = runComps.find(comp => comp.lapBasis)?.lapBasis;
+    if (lapBasis) comp.lapBasis = lapBasis;
+    const lines = runComps.map(comp => comp.startLine).filter(Boolean);
+    if (lines.length > 0) comp.startLine = { skew: median(lines.map(l => l.skew)), timedOut: lines.some(l => l.timedOut) };
+    // Only a racer who never finished this measurement in any run is DNF here
+    const retired = racers.filter((r, i) => samples[i].length === 0 && runComps.some(comp => comp.dnf && r in comp.dnf));
+    if (retired.length > 0) {
+      comp.dnf = Object.fromEntries(retired.map(r => [r, null]));
+      awardLoneFinisher(comp, racers);
+    }
+
+    if (comp.rankings.length >= 2) {
+      // Higher-is-better samples are negated so the gap is always the winner's lead
+      const [first, second] = comp.rankings.slice(0, 2).map(r => samples[racers.indexOf(r)].map(v => (metric?.better === 'higher' ? -v : v)));
+      comp.significance = { against: comp.rankings[1], ...compareSamples(first, second) };
+      if (isTooClose(comp)) comp.winner = null;
+    }
+    return comp;
   });
 
   const wins = racers.map(name => comparisons.filter(x => x.winner === name).length);
   const overallWinner = determineOverallWinner(wins, racers, comparisons);
+  const profileMetrics = medianProfileMetrics(summaries);
 
   return {
     timestamp: new Date().toISOString(),
@@ -361,6 +1336,18 @@ export function buildMedianSummary(summaries, resultsDir) {
     errors: summaries.flatMap(s => s.errors || []),
     videos: {},
     clickCounts: Object.fromEntries(racers.map(n => [n, 0])),
+    profileMetrics,
+    profileComparison: buildProfileComparison(racers, profileMetrics),
+    browsers: summaries[0].browsers,
+    unavailable: summaries[0].unavailable,
+    dnf: mergeRunFlags(summaries, 'dnf'),
+    incidents: mergeIncidents(summaries),
+    blocked: mergeBlocked(summaries),
+    har: mergeHar(summaries),
+    messages: mergeRunLists(summaries, 'messages'),
+    networkChanges: mergeRunLists(summaries, 'networkChanges'),
+    expectations: mergeExpectations(summaries),
+    disqualified: mergeRunFlags(summaries, 'disqualified'),
     runs: summaries.length,
   };
 }
@@ -444,7 +1431,7 @@ export function printRecentRaces(raceDir) {
       write(`  ${num}  ${c.dim}${dateStr}${c.reset}  ${badge}\n`);
 
       for (const comp of s.comparisons) {
-        const durations = comp.racers.map((r, j) => r ? `${r.duration.toFixed(3)}s` : '-');
+        const durations = comp.racers.map((r, j) => r ? formatResult(comp, resultValue(comp, r)) : (unplacedLabel(comp, racers[j]) || '-'));
         // Assign medals based on ranking
         const medals = racers.map(r => {
           if (!comp.rankings || comp.rankings.length === 0) return '';
@@ -11,7 +11,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { PROFILE_METRICS, categoryDescriptions } from './profile-analysis.js';
-import { getPlacementOrder } from './summary.js';
+import { getPlacementOrder, racerLabel, describeSignificance, isTooCloseToCall, isUnverifiedWin, unplacedLabel, describeDnf, describeIncidents, describeBlocked, formatBlockedBytes, resultValue, formatResult, describeNetwork, describeDevices } from './summary.js';
+import { formatBaselineDelta } from './baseline.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TEMPLATE = fs.readFileSync(path.join(__dirname, 'player.html'), 'utf-8');
@@ -22,7 +23,7 @@ const RACER_CSS_COLORS = ['#e74c3c', '#3498db', '#27ae60', '#f1c40f', '#9b59b6']
 // Template renderer — replaces {{key}} placeholders with values
 // ---------------------------------------------------------------------------
 
-function render(template, data) {
+export function render(template, data) {
   return template.replace(/\{\{(\w+)\}\}/g, (_, key) => data[key] ?? '');
 }
 
@@ -31,7 +32,7 @@ function render(template, data) {
 // ---------------------------------------------------------------------------
 
 /** Escape a string for safe embedding in HTML text/attribute contexts. */
-function escHtml(str) {
+export function escHtml(str) {
   return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
@@ -43,10 +44,11 @@ function buildMetricRowsHtml(entries, winner, formatDelta) {
   let html = '';
   for (const entry of entries) {
     const color = RACER_CSS_COLORS[entry.index % RACER_CSS_COLORS.length];
-    const barPct = entry.val !== null && maxVal > 0 ? Math.round((entry.val / maxVal) * 100) : 0;
+    const barPct = entry.val !== null && maxVal > 0 ? Math.max(0, Math.round((entry.val / maxVal) * 100)) : 0;
     let delta = '';
     if (entry.val !== null && bestVal !== null && entry.val !== bestVal) {
-      delta = `<span class="profile-delta">(+${formatDelta(entry.val - bestVal)})</span>`;
+      const gap = entry.val - bestVal;
+      delta = `<span class="profile-delta">(${gap < 0 ? '-' : '+'}${formatDelta(Math.abs(gap))})</span>`;
     }
     html += `
         <div class="profile-row">
@@ -61,14 +63,14 @@ function buildMetricRowsHtml(entries, winner, formatDelta) {
   return html;
 }
 
-/** Sort racers by value ascending (best first), nulls last. */
-function sortByValue(racers, getValue) {
+/** Sort racers best first (by value ascending, or descending when higher is better), nulls last. */
+function sortByValue(racers, getValue, higherIsBetter = false) {
   return racers
     .map((name, i) => ({ name, index: i, ...getValue(i) }))
     .sort((a, b) => {
       if (a.val === null) return 1;
       if (b.val === null) return -1;
-      return a.val - b.val;
+      return higherIsBetter ? b.val - a.val : a.val - b.val;
     });
 }
 
@@ -101,19 +103,24 @@ function buildRunNavHtml(runNav) {
 }
 
 function buildRaceInfoHtml(summary) {
-  const { racers, settings, timestamp } = summary;
+  const { racers, settings, timestamp, browsers, unavailable } = summary;
   const rows = [];
   if (timestamp) rows.push(`<tr><td>Date</td><td>${escHtml(new Date(timestamp).toISOString())}</td></tr>`);
-  racers.forEach((r, i) => rows.push(`<tr><td>Racer ${i + 1}</td><td>${escHtml(r)}</td></tr>`));
+  racers.forEach((r, i) => rows.push(`<tr><td>Racer ${i + 1}</td><td>${escHtml(racerLabel(r, browsers))}</td></tr>`));
   if (settings) {
     const mode = settings.parallel === false ? 'sequential' : 'parallel';
     rows.push(`<tr><td>Mode</td><td>${mode}</td></tr>`);
-    if (settings.network && settings.network !== 'none') rows.push(`<tr><td>Network</td><td>${escHtml(settings.network)}</td></tr>`);
+    const network = describeNetwork(settings.network);
+    if (network) rows.push(`<tr><td>Network</td><td>${escHtml(network)}</td></tr>`);
+    for (const { label, text } of describeDevices(settings, racers)) rows.push(`<tr><td>${escHtml(label)}</td><td>${escHtml(text)}</td></tr>`);
     if (settings.cpuThrottle && settings.cpuThrottle > 1) rows.push(`<tr><td>CPU Throttle</td><td>${settings.cpuThrottle}x</td></tr>`);
     if (settings.format && settings.format !== 'webm') rows.push(`<tr><td>Format</td><td>${escHtml(settings.format)}</td></tr>`);
     if (settings.headless) rows.push(`<tr><td>Headless</td><td>yes</td></tr>`);
     if (settings.runs && settings.runs > 1) rows.push(`<tr><td>Runs</td><td>${settings.runs}</td></tr>`);
   }
+  for (const [name, features] of Object.entries(unavailable || {})) {
+    rows.push(`<tr><td>Unavailable</td><td>${escHtml(name)}: ${escHtml(features.join(', '))}</td></tr>`);
+  }
   if (rows.length === 0) return '';
   return `<div class="race-info"><table>${rows.join('')}</table></div>`;
 }
@@ -123,15 +130,190 @@ function buildErrorsHtml(errors) {
   return `<div class="errors"><ul>${errors.map(e => `<li>${escHtml(e)}</li>`).join('')}</ul></div>`;
 }
 
+/** Sector times for one measurement; the fastest time in each sector is purple, like F1. */
+function buildSectorTableHtml(comp, racers) {
+  if (!comp.sectors) return '';
+  const head = racers.map((r, i) => `<th style="color: ${RACER_CSS_COLORS[i % RACER_CSS_COLORS.length]}">${escHtml(r)}</th>`).join('');
+  const rows = comp.sectors.map(sector => {
+    const cells = racers.map((r, i) => {
+      const v = sector.racers[i];
+      if (!v) return '<td>-</td>';
+      const cls = sector.winner === r ? ' class="sector-fastest"' : '';
+      return `<td${cls}>${v.duration.toFixed(3)}s</td>`;
+    }).join('');
+    return `<tr><td>${escHtml(sector.name)}</td>${cells}</tr>`;
+  }).join('');
+  return `\n        <table class="sector-table"><thead><tr><th>Sector</th>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Lap chart for a measurement run as laps: an SVG line per racer (lap number
+ * across, lap time down — faster is higher), plus best/mean/median/worst.
+ */
+function buildLapChartHtml(comp, racers) {
+  if (!comp.lapBasis) return '';
+  const series = racers
+    .map((r, i) => ({ racer: r, color: RACER_CSS_COLORS[i % RACER_CSS_COLORS.length], value: comp.racers[i] }))
+    .filter(sr => sr.value?.laps);
+  if (series.length === 0) return '';
+
+  const W = 420, H = 130, PAD_X = 48, PAD_Y = 14;
+  const all = series.flatMap(sr => sr.value.laps.map(l => l.duration));
+  const min = Math.min(...all);
+  const max = Math.max(...all);
+  const count = Math.max(...series.map(sr => sr.value.laps.length));
+  const x = lap => PAD_X + (count > 1 ? lap / (count - 1) : 0.5) * (W - PAD_X - 12);
+  const y = d => max > min ? PAD_Y + ((d - min) / (max - min)) * (H - 2 * PAD_Y) : H / 2;
+
+  const lines = series.map(sr => {
+    const pts = sr.value.laps.map((l, lap) => `${x(lap).toFixed(1)},${y(l.duration).toFixed(1)}`);
+    const dots = sr.value.laps.map((l, lap) =>
+      `<circle cx="${x(lap).toFixed(1)}" cy="${y(l.duration).toFixed(1)}" r="3" fill="${sr.color}"><title>${escHtml(sr.racer)} lap ${lap + 1}: ${l.duration.toFixed(3)}s</title></circle>`
+    ).join('');
+    return `<polyline points="${pts.join(' ')}" fill="none" stroke="${sr.color}" stroke-width="2"/>${dots}`;
+  }).join('');
+  const lapLabels = Array.from({ length: count }, (_, lap) =>
+    `<text x="${x(lap).toFixed(1)}" y="${H - 1}" text-anchor="middle">${lap + 1}</text>`).join('');
+  const axis = `<text x="4" y="${PAD_Y + 4}">${min.toFixed(3)}s</text><text x="4" y="${H - PAD_Y}">${max.toFixed(3)}s</text>`;
+
+  const stats = series.map(sr => {
+    const st = sr.value.lapStats;
+    return `<div class="lap-stats"><span style="color: ${sr.color}">${escHtml(sr.racer)}</span> best ${st.best.toFixed(3)}s (lap ${st.bestLap}) &middot; mean ${st.mean.toFixed(3)}s &middot; median ${st.median.toFixed(3)}s &middot; worst ${st.worst.toFixed(3)}s</div>`;
+  }).join('');
+
+  return `\n        <div class="profile-metric-desc">Laps — ranked by ${escHtml(comp.lapBasis)} lap</div>
+        <svg class="lap-chart" viewBox="0 0 ${W} ${H + 4}" role="img" aria-label="${escHtml(comp.name)} lap times">${axis}${lapLabels}${lines}</svg>${stats}`;
+}
+
+/**
+ * Timeline markers for every split and lap end, in video time. The finish is
+ * skipped — the clip end already marks it. Returns [{ time, elapsed, label, racer, color }].
+ */
+function buildSplitMarkers(summary) {
+  const markers = [];
+  for (const comp of summary.comparisons || []) {
+    summary.racers.forEach((racer, i) => {
+      const sectors = comp.racers[i]?.sectors || [];
+      sectors.slice(0, -1).forEach(s => {
+        if (s.time === undefined) return;
+        markers.push({ time: s.time, elapsed: s.elapsed, label: `${comp.name} · ${s.label}`, racer, color: RACER_CSS_COLORS[i % RACER_CSS_COLORS.length] });
+      });
+      // Lap races also mark where each lap ends
+      const laps = comp.racers[i]?.laps || [];
+      laps.slice(0, -1).forEach((l, lap) => {
+        if (l.endTime === undefined) return;
+        markers.push({ time: l.endTime, elapsed: l.duration, label: `${comp.name} · Lap ${lap + 1}`, racer, color: RACER_CSS_COLORS[i % RACER_CSS_COLORS.length] });
+      });
+    });
+  }
+  return markers;
+}
+
+/** JSON for embedding in the player <script>; escapes `<` so script text can't close the tag. */
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/** Timeline markers for each racer's raceMessage calls, drawn as dots beside the split ticks. */
+function buildMessageMarkers(summary) {
+  return summary.racers.flatMap((racer, i) => (summary.messages?.[racer] || []).map(m => ({
+    time: m.time, elapsed: m.elapsed, label: m.text, racer, color: RACER_CSS_COLORS[i % RACER_CSS_COLORS.length], kind: 'message',
+  })));
+}
+
+/** Timeline markers for incidents (console errors, page errors, failed requests). */
+function buildIncidentMarkers(summary) {
+  return summary.racers.flatMap((racer, i) => (summary.incidents?.[racer]?.entries || []).map(x => ({
+    time: x.time, elapsed: x.time, label: `${x.type}: ${x.text}`, racer, color: RACER_CSS_COLORS[i % RACER_CSS_COLORS.length], kind: 'incident',
+  })));
+}
+
+const INCIDENT_PANEL_LIMIT = 20;
+
+/** Incidents panel: each racer's counts, then its first incidents — clicking one seeks the videos there. */
+function buildIncidentsHtml(incidents, racers) {
+  if (!incidents || Object.keys(incidents).length === 0) return '';
+  let html = `<h3>Incidents</h3>
+<div class="profile-scope-desc">Console errors, uncaught page errors and failed requests</div>\n`;
+  for (const [racer, tally] of Object.entries(incidents)) {
+    const color = RACER_CSS_COLORS[racers.indexOf(racer) % RACER_CSS_COLORS.length];
+    const penalty = tally.penalty ? ` &middot; +${tally.penalty.toFixed(3)}s penalty` : '';
+    html += `<div class="profile-metric">
+        <div class="profile-metric-name" style="color: ${color}">${escHtml(racer)}</div>
+        <div class="profile-metric-desc">${escHtml(describeIncidents(tally))} &middot; ${tally.measured} during measurements${penalty}</div>`;
+    for (const x of (tally.entries || []).slice(0, INCIDENT_PANEL_LIMIT)) {
+      html += `
+        <div class="profile-row incident-row" data-time="${x.time}">
+          <span class="profile-racer">${x.time.toFixed(1)}s</span>
+          <span class="profile-value incident-${x.type}">${escHtml(x.type)}: ${escHtml(x.text)}</span>
+        </div>`;
+    }
+    html += `</div>\n`;
+  }
+  return html;
+}
+
+/** Blocked requests panel: what each racer's block rules kept off the page. */
+function buildBlockedHtml(blocked, racers) {
+  if (!blocked || Object.keys(blocked).length === 0) return '';
+  let html = `<h3>Blocked Requests</h3>
+<div class="profile-scope-desc">Requests aborted by the block rules in settings.json</div>\n`;
+  for (const [racer, tally] of Object.entries(blocked)) {
+    const color = RACER_CSS_COLORS[racers.indexOf(racer) % RACER_CSS_COLORS.length];
+    html += `<div class="profile-metric">
+        <div class="profile-metric-name" style="color: ${color}">${escHtml(racer)}</div>
+        <div class="profile-metric-desc">${escHtml(describeBlocked(tally))}</div>`;
+    for (const r of tally.rules) {
+      html += `
+        <div class="profile-row">
+          <span class="profile-racer">${escHtml(r.rule)}</span>
+          <span class="profile-value">${r.requests} &middot; ${formatBlockedBytes(r.bytes)}</span>
+        </div>`;
+    }
+    html += `</div>\n`;
+  }
+  return html;
+}
+
+/** Expectations panel: each racer's page.raceExpect checks, failures first — clicking one seeks the videos there. */
+function buildExpectationsHtml(expectations, racers) {
+  if (!expectations || Object.keys(expectations).length === 0) return '';
+  let html = `<h3>Expectations</h3>
+<div class="profile-scope-desc">page.raceExpect checks &mdash; a failed one disqualifies the racer</div>\n`;
+  for (const [racer, tally] of Object.entries(expectations)) {
+    const color = RACER_CSS_COLORS[racers.indexOf(racer) % RACER_CSS_COLORS.length];
+    html += `<div class="profile-metric">
+        <div class="profile-metric-name" style="color: ${color}">${escHtml(racer)}</div>
+        <div class="profile-metric-desc">${tally.passed}/${tally.passed + tally.failed} passed</div>`;
+    const entries = [...(tally.entries || [])].sort((a, b) => a.passed - b.passed);
+    for (const x of entries) {
+      const detail = x.error ? ` (${escHtml(x.error)})` : '';
+      html += `
+        <div class="profile-row expectation-row" data-time="${x.time}">
+          <span class="profile-racer">${x.time.toFixed(1)}s</span>
+          <span class="profile-value expectation-${x.passed ? 'passed' : 'failed'}">${x.passed ? '✅' : '❌'} ${escHtml(x.message)}${detail}</span>
+        </div>`;
+    }
+    html += `</div>\n`;
+  }
+  return html;
+}
+
 function buildResultsHtml(comparisons, racers, clickCounts) {
   let html = '';
   for (const comp of comparisons) {
     const sorted = sortByValue(racers, i => {
       const r = comp.racers[i];
-      return { val: r ? r.duration : null, formatted: r ? `${r.duration.toFixed(3)}s` : '-' };
-    });
+      const spread = r?.stats?.n > 1 ? ` ±${formatResult(comp, r.stats.stddev)}` : '';
+      const val = r ? resultValue(comp, r) : null;
+      return { val, formatted: r ? `${formatResult(comp, val)}${spread}` : (unplacedLabel(comp, racers[i]) || '-') };
+    }, comp.metric?.better === 'higher');
+    const sig = comp.significance
+      ? `<div class="profile-metric-desc">${escHtml(describeSignificance(comp))}</div>`
+      : '';
+    const direction = comp.metric ? `<div class="profile-metric-desc">${comp.metric.better} is better</div>` : '';
     html += `<div class="profile-metric">
-        <div class="profile-metric-name">${escHtml(comp.name)}</div>${buildMetricRowsHtml(sorted, comp.winner, v => `${v.toFixed(3)}s`)}</div>\n`;
+        <div class="profile-metric-name">${escHtml(comp.name)}</div>${direction}${sig}${buildMetricRowsHtml(sorted, comp.winner, v => formatResult(comp, v))}${buildLapChartHtml(comp, racers)}${buildSectorTableHtml(comp, racers)}</div>\n`;
   }
   if (clickCounts) {
     const total = racers.reduce((sum, r) => sum + (clickCounts[r] || 0), 0);
@@ -156,6 +338,30 @@ function buildResultsHtml(comparisons, racers, clickCounts) {
   return html;
 }
 
+function buildBaselineHtml(baseline, racers) {
+  if (!baseline) return '';
+  const name = baseline.dir ? path.basename(baseline.dir) : 'baseline';
+  let html = `<h3>vs Baseline</h3>
+<div class="profile-scope-desc">Compared with ${escHtml(name)} (&plusmn;${baseline.threshold}% threshold) &mdash; ${baseline.regressions} regression${baseline.regressions === 1 ? '' : 's'}</div>\n`;
+  const names = [...new Set(baseline.deltas.map(d => d.measurement))];
+  for (const measurement of names) {
+    html += `<div class="profile-metric">
+        <div class="profile-metric-name">${escHtml(measurement)}</div>`;
+    for (const d of baseline.deltas.filter(x => x.measurement === measurement)) {
+      const color = RACER_CSS_COLORS[racers.indexOf(d.racer) % RACER_CSS_COLORS.length];
+      const cls = d.regression ? 'profile-delta baseline-regression' : d.improvement ? 'profile-delta baseline-improvement' : 'profile-delta';
+      const flag = d.regression ? ' &#9650;' : d.improvement ? ' &#9660;' : '';
+      html += `
+        <div class="profile-row">
+          <span class="profile-racer" style="color: ${color}">${escHtml(d.racer)}</span>
+          <span class="profile-value">${d.baseline.toFixed(3)}s &rarr; ${d.current.toFixed(3)}s<span class="${cls}">${escHtml(formatBaselineDelta(d))}${flag}</span></span>
+        </div>`;
+    }
+    html += `</div>\n`;
+  }
+  return html;
+}
+
 function buildProfileHtml(profileComparison, racers) {
   if (!profileComparison) return '';
   const { measured, total } = profileComparison;
@@ -287,7 +493,26 @@ ${placementOrder.map((origIdx, displayIdx) => {
 // Player Section Builder — returns player container + controls (or '' if no videos)
 // ---------------------------------------------------------------------------
 
-function buildPlayerSectionHtml(videoElements, mergedVideoElement, debugPanelHtml) {
+/** <track> elements for a video's WebVTT captions and chapters (see cli/vtt.js). */
+function buildTrackElements(tracks) {
+  if (!tracks) return '';
+  return `
+    <track kind="captions" src="${escHtml(tracks.captions)}" srclang="en" label="Race captions">
+    <track kind="chapters" src="${escHtml(tracks.chapters)}" srclang="en" label="Chapters">`;
+}
+
+/** Chapter picker: one entry per chapter title across all racers, in order of first appearance. */
+function buildChapterSelectHtml(chapterLists) {
+  const titles = [...new Set(chapterLists.flatMap(list => list.map(ch => ch.text)))];
+  if (titles.length === 0) return '';
+  return `
+  <select class="speed-select chapter-select" id="chapterSelect" title="Jump to a chapter">
+    <option value="">Chapters</option>
+${titles.map(t => `    <option value="${escHtml(t)}">${escHtml(t)}</option>`).join('\n')}
+  </select>`;
+}
+
+function buildPlayerSectionHtml(videoElements, mergedVideoElement, debugPanelHtml, chapterSelectHtml = '') {
   return `<div class="player-container" id="playerContainer">
 ${videoElements}
 </div>
@@ -299,7 +524,10 @@ ${debugPanelHtml || ''}
     <button class="frame-btn" id="prevFrame" title="-0.1s (\u2190)">\u25C0\u25C0</button>
     <button class="play-btn" id="playBtn">\u25B6</button>
     <button class="frame-btn" id="nextFrame" title="+0.1s (\u2192)">\u25B6\u25B6</button>
-    <input type="range" class="scrubber" id="scrubber" min="0" max="1000" value="0">
+    <div class="scrubber-track">
+      <input type="range" class="scrubber" id="scrubber" min="0" max="1000" value="0">
+      <div class="timeline-markers" id="timelineMarkers"></div>
+    </div>
   </div>
   <span class="time-display" id="timeDisplay">0:00.000 / 0:00.000</span>
   <span class="frame-display" id="frameDisplay">0.0s</span>
@@ -308,7 +536,7 @@ ${debugPanelHtml || ''}
     <option value="0.5">0.5x</option>
     <option value="1" selected>1x</option>
     <option value="2">2x</option>
-  </select>
+  </select>${chapterSelectHtml}
   <button class="export-btn" id="exportBtn" title="Export side-by-side video">Export</button>
 </div>`;
 }
@@ -318,7 +546,7 @@ ${debugPanelHtml || ''}
 // ---------------------------------------------------------------------------
 
 function buildPlayerScript(config) {
-  const { videoVars, videoArray, raceVideoPaths, fullVideoPaths, clipTimesJson, racerNamesJson, racerColorsJson } = config;
+  const { videoVars, videoArray, raceVideoPaths, fullVideoPaths, clipTimesJson, racerNamesJson, racerColorsJson, splitMarkersJson, captionsJson, chaptersJson, mergedChaptersJson } = config;
   return `<script>
 (function() {
   ${videoVars}
@@ -328,6 +556,10 @@ function buildPlayerScript(config) {
   const clipTimes = ${clipTimesJson};
   const racerNames = ${racerNamesJson || '[]'};
   const racerColors = ${racerColorsJson || '[]'};
+  const splitMarkers = ${splitMarkersJson || '[]'};
+  const captions = ${captionsJson || '[]'};
+  const chapters = ${chaptersJson || '[]'};
+  const mergedChapters = ${mergedChaptersJson || '[]'};
   const mergedVideo = document.getElementById('mergedVideo');
   const playerContainer = document.getElementById('playerContainer');
   const mergedContainer = document.getElementById('mergedContainer');
@@ -339,11 +571,13 @@ function buildPlayerScript(config) {
   const timeDisplay = document.getElementById('timeDisplay');
   const frameDisplay = document.getElementById('frameDisplay');
   const speedSelect = document.getElementById('speedSelect');
+  const timelineMarkers = document.getElementById('timelineMarkers');
 
   let playing = false;
   let duration = 0;
   let activeClip = null; // { start, end } when clipping is active
   const STEP = 0.1; // 100ms step — reliable even with dropped frames
+  const CAPTION_SECONDS = 3; // how long a raceMessage stays on screen
 
   function fmt(s) {
     const m = Math.floor(s / 60);
@@ -370,6 +604,7 @@ function buildPlayerScript(config) {
     const d = clipDuration();
     timeDisplay.textContent = fmt(Math.max(0, t)) + ' / ' + fmt(d);
     frameDisplay.textContent = getTime(Math.max(0, t));
+    updateCaptions();
   }
 
   function seekAll(t) {
@@ -390,6 +625,44 @@ function buildPlayerScript(config) {
     duration = Math.max(...videos.filter(v => v).map(v => v.duration || 0));
     updateTimeDisplay();
     updateDebugStats();
+    renderMarkers();
+  }
+
+  // Split markers sit above the scrubber at their video time; hidden for the merged video
+  function renderMarkers() {
+    if (!timelineMarkers) return;
+    timelineMarkers.innerHTML = '';
+    const d = clipDuration();
+    if (!d || (mergedVideo && videos.includes(mergedVideo))) return;
+    splitMarkers.forEach(function(m) {
+      const pos = (m.time - clipOffset()) / d;
+      if (pos < 0 || pos > 1) return;
+      const el = document.createElement('span');
+      el.className = m.kind ? 'timeline-marker timeline-' + m.kind : 'timeline-marker';
+      el.style.left = (pos * 100) + '%';
+      el.style.background = m.color;
+      el.title = m.racer + ': ' + m.label + ' (' + m.elapsed.toFixed(3) + 's)';
+      el.addEventListener('click', function() { seekAll(m.time); });
+      timelineMarkers.appendChild(el);
+    });
+  }
+
+  // Show each racer's latest raceMessage over its video for a few seconds; hidden for the merged video
+  function updateCaptions() {
+    const merged = mergedVideo && videos.includes(mergedVideo);
+    captions.forEach(function(list, i) {
+      const el = document.getElementById('caption' + i);
+      if (!el) return;
+      const t = raceVideos[i] ? raceVideos[i].currentTime : 0;
+      let text = '';
+      if (!merged) {
+        list.forEach(function(m) {
+          if (m.time <= t && t - m.time < CAPTION_SECONDS) text = m.text;
+        });
+      }
+      el.textContent = text;
+      el.style.display = text ? 'block' : 'none';
+    });
   }
 
   function attachVideoListeners() {
@@ -666,6 +939,32 @@ function buildPlayerScript(config) {
     videos.forEach(v => v && (v.playbackRate = rate));
   });
 
+  document.querySelectorAll('.incident-row[data-time], .expectation-row[data-time]').forEach(function(row) {
+    row.addEventListener('click', function() { seekAll(parseFloat(row.dataset.time)); });
+  });
+
+  // Chapters come from the race videos' tracks, so they don't apply to separate full recordings.
+  // Each racer jumps to its own start of the chapter.
+  const chapterSelect = document.getElementById('chapterSelect');
+  if (chapterSelect) {
+    chapterSelect.addEventListener('change', function() {
+      const title = chapterSelect.value;
+      chapterSelect.value = '';
+      if (!title) return;
+      const find = function(list) { return list.find(function(ch) { return ch.text === title; }); };
+      if (mergedVideo && videos.includes(mergedVideo)) {
+        const ch = find(mergedChapters);
+        if (ch) seekAll(ch.start);
+      } else if (!(fullVideoPaths && modeFull && modeFull.classList.contains('active'))) {
+        videos.forEach(function(v, i) {
+          const ch = v && find(chapters[i] || []);
+          if (ch) v.currentTime = ch.start;
+        });
+      }
+      updateTimeDisplay();
+    });
+  }
+
   function stepFrame(delta) {
     if (playing) { videos.forEach(v => v && v.pause()); playing = false; playBtn.textContent = '\\u25B6'; }
     const minT = clipOffset();
@@ -879,7 +1178,7 @@ function buildPlayerScript(config) {
 // ---------------------------------------------------------------------------
 
 export function buildPlayerHtml(summary, videoFiles, altFormat, altFiles, options = {}) {
-  const { fullVideoFiles, mergedVideoFile, traceFiles, runNavigation, medianRunLabel, clipTimes } = options;
+  const { fullVideoFiles, mergedVideoFile, traceFiles, runNavigation, medianRunLabel, clipTimes, timelineSummary, textTracks } = options;
   const racers = summary.racers;
   const count = racers.length;
 
@@ -896,8 +1195,10 @@ export function buildPlayerHtml(summary, videoFiles, altFormat, altFiles, option
   const winnerBanner = summary.overallWinner === 'tie'
     ? `<span class="trophy">&#129309;</span> It's a Tie!`
     : summary.overallWinner
-      ? `<span class="trophy">&#127942;</span> ${escHtml(summary.overallWinner.toUpperCase())} wins!`
-      : '';
+      ? `<span class="trophy">&#127942;</span> ${escHtml(summary.overallWinner.toUpperCase())} wins!${isUnverifiedWin(summary) ? ' <span class="unverified">(unverified — too few runs to tell)</span>' : ''}`
+      : isTooCloseToCall(summary)
+        ? `<span class="trophy">&#129335;</span> Too close to call`
+        : '';
 
   // Video elements — ordered by placement (winner first)
   const hasVideos = videoFiles && videoFiles.length > 0;
@@ -915,19 +1216,26 @@ export function buildPlayerHtml(summary, videoFiles, altFormat, altFiles, option
     const videoElements = placementOrder.map((origIdx, displayIdx) => {
       const color = RACER_CSS_COLORS[origIdx % RACER_CSS_COLORS.length];
       const racer = racers[origIdx];
+      const dnf = summary.dnf?.[racer];
+      const dq = summary.disqualified?.[racer];
+      const dnfBadge = dq ? ` <span class="dnf-badge" title="${escHtml(describeDnf(dq))}">DQ</span>`
+        : dnf ? ` <span class="dnf-badge" title="${escHtml(describeDnf(dnf))}">DNF</span>` : '';
       return `  <div class="racer">
-    <div class="racer-label" style="color: ${color}">${escHtml(racer)}</div>
-    <video id="v${displayIdx}" src="${escHtml(videoFiles[origIdx])}" preload="auto" muted></video>
+    <div class="racer-label" style="color: ${color}">${escHtml(racer)}${dnfBadge}</div>
+    <video id="v${displayIdx}" src="${escHtml(videoFiles[origIdx])}" preload="auto" muted>${buildTrackElements(textTracks?.racers?.[origIdx])}</video>
+    <div class="racer-caption" id="caption${displayIdx}"></div>
   </div>`;
     }).join('\n');
 
     const mergedVideoElement = mergedVideoFile ? `
 <div class="merged-container" id="mergedContainer" style="display: none;">
-  <video id="mergedVideo" src="${escHtml(mergedVideoFile)}" preload="auto" muted></video>
+  <video id="mergedVideo" src="${escHtml(mergedVideoFile)}" preload="auto" muted>${buildTrackElements(textTracks?.sideBySide)}</video>
 </div>` : '';
 
     const debugPanelHtml = hasClipTimes ? buildDebugPanelHtml(racers, placementOrder, clipTimes) : '';
-    playerSection = buildPlayerSectionHtml(videoElements, mergedVideoElement, debugPanelHtml);
+    const orderedChapters = placementOrder.map(i => textTracks?.racers?.[i]?.chapterCues || []);
+    const mergedChapters = (mergedVideoFile && textTracks?.sideBySide?.chapterCues) || [];
+    playerSection = buildPlayerSectionHtml(videoElements, mergedVideoElement, debugPanelHtml, buildChapterSelectHtml([...orderedChapters, mergedChapters]));
 
     // Player script config — use JSON.stringify for safe path embedding
     const videoIds = placementOrder.map((_, i) => `v${i}`);
@@ -937,6 +1245,8 @@ export function buildPlayerHtml(summary, videoFiles, altFormat, altFiles, option
     // Order clip times to match placement order
     const orderedClipTimes = clipTimes ? placementOrder.map(i => clipTimes[i] || null) : null;
 
+    const timeline = timelineSummary || summary;
+
     // Racer names/colors in placement order for export labels
     const orderedRacerNames = placementOrder.map(i => racers[i]);
     const orderedRacerColors = placementOrder.map(i => RACER_CSS_COLORS[i % RACER_CSS_COLORS.length]);
@@ -953,6 +1263,11 @@ export function buildPlayerHtml(summary, videoFiles, altFormat, altFiles, option
         : 'null',
       racerNamesJson: JSON.stringify(orderedRacerNames),
       racerColorsJson: JSON.stringify(orderedRacerColors),
+      // Multi-run pages show one run's videos, so its splits (not the medians) place the markers
+      splitMarkersJson: scriptJson([...buildSplitMarkers(timeline), ...buildMessageMarkers(timeline), ...buildIncidentMarkers(timeline)]),
+      captionsJson: scriptJson(placementOrder.map(i => (timeline.messages?.[racers[i]] || []).map(m => ({ time: m.time, text: m.text })))),
+      chaptersJson: scriptJson(orderedChapters),
+      mergedChaptersJson: scriptJson(mergedChapters),
     });
   }
 
@@ -981,7 +1296,7 @@ export function buildPlayerHtml(summary, videoFiles, altFormat, altFiles, option
     errors: buildErrorsHtml(summary.errors),
     modeToggle,
     playerSection,
-    results: buildResultsHtml(summary.comparisons || [], racers, summary.clickCounts),
+    results: buildResultsHtml(summary.comparisons || [], racers, summary.clickCounts) + buildBaselineHtml(summary.baseline, racers) + buildExpectationsHtml((timelineSummary || summary).expectations, racers) + buildIncidentsHtml((timelineSummary || summary).incidents, racers) + buildBlockedHtml((timelineSummary || summary).blocked, racers),
     profile: buildProfileHtml(summary.profileComparison || null, racers),
     files: buildFilesHtml(racers, videoFiles, {
       fullVideoFiles, mergedVideoFile, traceFiles, altFormat, altFiles, placementOrder,
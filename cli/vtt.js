@@ -0,0 +1,143 @@
+/**
+ * WebVTT text tracks for race videos: captions (measurement starts, finish
+ * times, raceMessage output, raceNetwork switches) and chapters (one per measurement), for each
+ * racer video and for the side-by-side video.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/** How long a start, finish or message caption stays up, in seconds. */
+const CUE_SECONDS = 2;
+
+/** Seconds → WebVTT timestamp (HH:MM:SS.mmm). */
+export function formatVttTime(seconds) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Map a recording time onto a video trimmed to `segments` (concatenated, as --ffmpeg does).
+ * Untrimmed videos (no segments) keep recording time; times outside every segment return null.
+ */
+export function toVideoTime(time, segments) {
+  if (!segments || segments.length === 0) return time;
+  let offset = 0;
+  for (const seg of segments) {
+    if (time >= seg.start && time <= seg.end) return offset + (time - seg.start);
+    offset += seg.end - seg.start;
+  }
+  return null;
+}
+
+/** Serialize cues ({ start, end, text }) as a WebVTT file; cue text can't contain blank lines or "-->". */
+export function buildVtt(cues) {
+  const body = cues.map(cue => {
+    const text = cue.text.replace(/-->/g, '->').replace(/\n\s*\n/g, '\n').trim() || ' ';
+    return `${formatVttTime(cue.start)} --> ${formatVttTime(Math.max(cue.end, cue.start + 0.001))}\n${text}`;
+  });
+  return ['WEBVTT', '', ...body.flatMap(b => [b, ''])].join('\n');
+}
+
+/** Chapter titles: repeated measurements (laps) are numbered so each chapter is unique. */
+function chapterTitles(measurements) {
+  const totals = {};
+  for (const m of measurements) totals[m.name] = (totals[m.name] || 0) + 1;
+  const seen = {};
+  return measurements.map(m => {
+    seen[m.name] = (seen[m.name] || 0) + 1;
+    return totals[m.name] > 1 ? `${m.name} · Lap ${seen[m.name]}` : m.name;
+  });
+}
+
+/**
+ * Caption and chapter cues for one racer's video.
+ * data: { measurements, messages, networkChanges } from the runner; segments: the racer's recording
+ * segments when the video was trimmed to them. Chapters are sorted by start and
+ * clipped at the next one, since players expect chapters not to overlap.
+ */
+export function buildRacerCues(data, segments = null) {
+  const at = time => (time === undefined || time === null ? null : toVideoTime(time, segments));
+  const measurements = data.measurements || [];
+  const captions = [];
+  measurements.forEach(m => {
+    const start = at(m.startTime);
+    const end = at(m.endTime);
+    if (start !== null) captions.push({ start, end: start + CUE_SECONDS, text: `raceStart: ${m.name}` });
+    if (end !== null) captions.push({ start: end, end: end + CUE_SECONDS, text: m.dnf ? `🚩 DNF ${m.name}` : `🏁 ${m.duration.toFixed(3)}s` });
+  });
+  for (const msg of data.messages || []) {
+    const time = at(msg.time);
+    if (time !== null) captions.push({ start: time, end: time + CUE_SECONDS, text: msg.text });
+  }
+  for (const change of data.networkChanges || []) {
+    const time = at(change.time);
+    if (time !== null) captions.push({ start: time, end: time + CUE_SECONDS, text: `📶 ${change.profile}` });
+  }
+  captions.sort((a, b) => a.start - b.start);
+
+  const titles = chapterTitles(measurements);
+  const chapters = measurements
+    .map((m, i) => ({ start: at(m.startTime), end: at(m.endTime), text: titles[i] }))
+    .filter(ch => ch.start !== null && ch.end !== null)
+    .sort((a, b) => a.start - b.start);
+  chapters.forEach((ch, i) => {
+    if (chapters[i + 1]) ch.end = Math.min(ch.end, chapters[i + 1].start);
+  });
+  return { captions, chapters };
+}
+
+/**
+ * Cues for the side-by-side video: every racer's captions prefixed with their name,
+ * and one chapter per measurement spanning the earliest start to the latest finish.
+ * slowmo stretches times the way createSideBySide stretches the video.
+ */
+export function buildSideBySideCues(racerNames, racerCues, slowmo = 0) {
+  const scale = slowmo > 0 ? slowmo : 1;
+  const captions = racerCues
+    .flatMap((cues, i) => cues.captions.map(cue => ({ start: cue.start * scale, end: cue.end * scale, text: `${racerNames[i]}: ${cue.text}` })))
+    .sort((a, b) => a.start - b.start);
+
+  const spans = new Map();
+  for (const cues of racerCues) {
+    for (const ch of cues.chapters) {
+      const span = spans.get(ch.text);
+      if (span) {
+        span.start = Math.min(span.start, ch.start);
+        span.end = Math.max(span.end, ch.end);
+      } else {
+        spans.set(ch.text, { ...ch });
+      }
+    }
+  }
+  const chapters = [...spans.values()]
+    .map(ch => ({ start: ch.start * scale, end: ch.end * scale, text: ch.text }))
+    .sort((a, b) => a.start - b.start);
+  chapters.forEach((ch, i) => {
+    if (chapters[i + 1]) ch.end = Math.min(ch.end, chapters[i + 1].start);
+  });
+  return { captions, chapters };
+}
+
+/**
+ * Write <racer>/<racer>.captions.vtt and .chapters.vtt for every racer, plus tracks
+ * named after the side-by-side video when there is one. Returns the track paths
+ * (relative to runDir) and chapter cues, in racer order, for the HTML player.
+ */
+export function writeRaceTracks(runDir, racerNames, results, { segments = [], sideBySideName = null, slowmo = 0 } = {}) {
+  const racerCues = results.map((data, i) => buildRacerCues(data, segments[i] || null));
+  const writeTracks = (base, cues) => {
+    fs.writeFileSync(path.join(runDir, `${base}.captions.vtt`), buildVtt(cues.captions));
+    fs.writeFileSync(path.join(runDir, `${base}.chapters.vtt`), buildVtt(cues.chapters));
+    return { captions: `${base}.captions.vtt`, chapters: `${base}.chapters.vtt`, chapterCues: cues.chapters };
+  };
+
+  const racers = racerNames.map((name, i) => writeTracks(`${name}/${name}`, racerCues[i]));
+  const sideBySide = sideBySideName
+    ? writeTracks(sideBySideName.replace(/\.[^.]+$/, ''), buildSideBySideCues(racerNames, racerCues, slowmo))
+    : null;
+  return { racers, sideBySide };
+}
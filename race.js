@@ -12,6 +12,14 @@
  *   node race.js ./races/my-race --parallel   Run both browsers simultaneously
  *   node race.js ./races/my-race --headless   Run headless
  *   node race.js ./races/my-race --network=fast-3g --cpu=4
+ *   node race.js ./races/my-race --browser=webkit
+ *   node race.js ./races/my-race --baseline=latest
+ *   node race.js ./races --all --tags=smoke      Run every race folder as a suite
+ *
+ * Programmatic use:
+ *   import { race } from 'race-for-the-prize';
+ *   const summary = await race({ dir: './races/my-race', settings: { runs: 3 } });
+ *   const suite = await raceSuite({ dir: './races', tags: ['smoke'] });
  */
 
 import fs from 'fs';
@@ -20,11 +28,18 @@ import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { RaceAnimation, startProgress } from './cli/animation.js';
 import { c, FORMAT_EXTENSIONS } from './cli/colors.js';
-import { parseArgs, discoverRacers, applyOverrides } from './cli/config.js';
-import { buildSummary, printSummary, buildMarkdownSummary, buildMedianSummary, buildMultiRunMarkdown, printRecentRaces, getPlacementOrder, findMedianRunIndex } from './cli/summary.js';
+import { parseArgs, discoverRacers, applyOverrides, resolveBrowsers, resolveTimeLimit, resolveNetwork, resolveHar, resolveServe, resolveBlock, racerNetworkProfile, networkConditions, networkProfileLabel } from './cli/config.js';
+import { racerDevice, resolveDevice } from './cli/device.js';
+import { buildSummary, printSummary, buildMarkdownSummary, buildMedianSummary, buildMultiRunMarkdown, printRecentRaces, getPlacementOrder, findMedianRunIndex, failedExpectations } from './cli/summary.js';
 import { createSideBySide } from './cli/sidebyside.js';
+import { writeRaceTracks } from './cli/vtt.js';
 import { moveResults, convertVideos } from './cli/results.js';
 import { buildPlayerHtml } from './cli/videoplayer.js';
+import { resolveBaselineDir, loadBaseline, compareToBaseline, DEFAULT_BASELINE_THRESHOLD } from './cli/baseline.js';
+import { checkBudgets } from './cli/budgets.js';
+import { writeReports } from './cli/reporters.js';
+import { EVENT_FD, createEventReader } from './cli/events.js';
+import { discoverRaces, resolveSuiteFilters, buildSuiteSummary, buildSuiteMarkdown, buildSuiteHtml, printSuiteSummary } from './cli/suite.js';
 
 /** Format a Date as YYYY-MM-DD_HH-MM-SS for directory naming. */
 export function formatTimestamp(date) {
@@ -44,144 +59,96 @@ export function buildResultsPaths(resultsDir, cwd = process.cwd()) {
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Check if running as main module (not imported)
-const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
-
-if (isMainModule) {
-
-// --- Argument parsing ---
-
-const { positional, boolFlags, kvFlags } = parseArgs(process.argv.slice(2));
-
-if (positional.length === 0) {
-  console.error(`
-${c.yellow}    ____                   ____              _   _            ____       _          ${c.reset}
-${c.yellow}   / __ \\____ _________   / __/___  _____   / |_/ /_  ___   / __ \\_____(_)_______   ${c.reset}
-${c.yellow}  / /_/ / __ \`/ ___/ _ \\ / /_/ __ \\/ ___/  / __/ __ \\/ _ \\ / /_/ / ___/ / ___/ _ \\  ${c.reset}
-${c.yellow} / _, _/ /_/ / /__/  __// __/ /_/ / /     / /_/ / / /  __// ____/ /  / / /__/  __/  ${c.reset}
-${c.yellow}/_/ |_|\\__,_/\\___/\\___//_/  \\____/_/      \\__/_/ /_/\\___//_/   /_/  /_/\\___/\\___/   ${c.reset}
-
-${c.dim}  Race two browsers. Measure everything. Crown a winner.  🏎️ 💨${c.reset}
-
-${c.bold}  Quick Start:${c.reset}
-${c.dim}  ─────────────────────────────────────────────────────────────${c.reset}
-  ${c.bold}1.${c.reset} Create a race folder with two Playwright spec scripts:
-
-     ${c.cyan}races/my-race/${c.reset}
-       ${c.green}contender-a.spec.js${c.reset}  ${c.dim}# Racer 1 (name = filename without .spec.js)${c.reset}
-       ${c.blue}contender-b.spec.js${c.reset}  ${c.dim}# Racer 2${c.reset}
-       ${c.dim}settings.json${c.reset}        ${c.dim}# Optional: { parallel, network, cpuThrottle }${c.reset}
-
-  ${c.bold}2.${c.reset} Each script gets a Playwright ${c.cyan}page${c.reset} with race helpers:
-
-     ${c.dim}await${c.reset} page.goto(${c.green}'https://...'${c.reset});
-     ${c.dim}await${c.reset} page.raceRecordingStart();       ${c.dim}// optional: start video segment${c.reset}
-     ${c.dim}await${c.reset} page.raceStart(${c.green}'Load Time'${c.reset});     ${c.dim}// start measurement${c.reset}
-     ${c.dim}await${c.reset} page.click(${c.green}'.button'${c.reset});
-     ${c.dim}await${c.reset} page.waitForSelector(${c.green}'.result'${c.reset});
-     page.raceEnd(${c.green}'Load Time'${c.reset});              ${c.dim}// end measurement (sync)${c.reset}
-     page.raceMessage(${c.green}'I win!'${c.reset});              ${c.dim}// send message to CLI${c.reset}
-     ${c.dim}await${c.reset} page.raceRecordingEnd();          ${c.dim}// optional: end video segment${c.reset}
-
-     ${c.dim}If raceRecordingStart/End are omitted, recording wraps raceStart to raceEnd.${c.reset}
-
-  ${c.bold}3.${c.reset} Run it!
-
-     ${c.bold}$${c.reset} ${c.cyan}node race.js ./races/lauda-vs-hunt${c.reset}
-
-${c.bold}  Commands:${c.reset}
-${c.dim}  ─────────────────────────────────────────────────────────────${c.reset}
-  node race.js ${c.cyan}<dir>${c.reset}                       Run a race
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--results${c.reset}            View recent results
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--parallel${c.reset}           Run both browsers simultaneously
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--headless${c.reset}           Hide browsers
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--network${c.reset}=${c.green}slow-3g${c.reset}   Network: none, slow-3g, fast-3g, 4g
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--cpu${c.reset}=${c.green}4${c.reset}              CPU throttle multiplier (1=none)
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--format${c.reset}=${c.green}mov${c.reset}          Output format: webm (default), mov, gif
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--runs${c.reset}=${c.green}3${c.reset}            Run multiple times, report median
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--slowmo${c.reset}=${c.green}2${c.reset}           Slow-motion side-by-side replay (2x, 3x, etc.)
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--no-profile${c.reset}         Disable performance profiling (on by default)
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--no-overlay${c.reset}         Record videos without overlays
-  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--ffmpeg${c.reset}             Enable FFmpeg processing (trim, merge, convert)
-
-${c.dim}  CLI flags override settings.json values.${c.reset}
-${c.dim}  Try the example:  node race.js ./races/lauda-vs-hunt${c.reset}
-`);
-  process.exit(1);
-}
-
-const raceDir = path.resolve(positional[0]);
+// --- Race setup ---
 
-if (!fs.existsSync(raceDir)) {
-  console.error(`${c.red}Error: Race directory not found: ${raceDir}${c.reset}`);
-  process.exit(1);
-}
-
-if (boolFlags.has('results')) {
-  printRecentRaces(raceDir);
-  process.exit(0);
+/** Read settings.json from a race directory, or {} if there is none. */
+function readSettings(raceDir) {
+  const settingsPath = path.join(raceDir, 'settings.json');
+  if (!fs.existsSync(settingsPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+  } catch (e) {
+    console.error(`${c.yellow}Warning: Could not parse settings.json: ${e.message}${c.reset}`);
+    return {};
+  }
 }
 
-// --- Discover racers ---
-
-const { racerFiles, racerNames } = discoverRacers(raceDir);
+/**
+ * Work out who's racing: specs discovered in raceDir, or inline { name, script, browser }
+ * definitions. Returns { racerNames, racerBrowsers, scripts }.
+ */
+function resolveRacers(raceDir, inlineRacers, settings) {
+  let racerNames, racerBrowsers, scripts;
+  if (inlineRacers) {
+    // Inline racers may name their own engine; a browsers array still races each one per engine
+    const perRacer = Object.fromEntries(inlineRacers.filter(r => r.browser).map(r => [r.name, r.browser]));
+    const browsers = Array.isArray(settings.browsers) ? settings.browsers : { ...settings.browsers, ...perRacer };
+    ({ racerFiles: scripts, racerNames, browsers: racerBrowsers } = resolveBrowsers(
+      inlineRacers.map(r => r.script), inlineRacers.map(r => r.name), { ...settings, browsers }
+    ));
+  } else {
+    const discovered = discoverRacers(raceDir);
+    // A browsers array races each spec once per engine, so one spec can fill the grid
+    let racerFiles;
+    ({ racerFiles, racerNames, browsers: racerBrowsers } = resolveBrowsers(discovered.racerFiles, discovered.racerNames, settings));
+    scripts = racerFiles.map(f => fs.readFileSync(path.join(raceDir, f), 'utf-8'));
+  }
 
-if (racerFiles.length < 2) {
-  console.error(`${c.red}Error: Need at least 2 .spec.js (or .js) script files in ${raceDir}, found ${racerFiles.length}${c.reset}`);
-  process.exit(1);
-}
-if (racerFiles.length > 5) {
-  console.error(`${c.yellow}Warning: Found ${racerFiles.length} script files, using first five: ${racerFiles.slice(0, 5).join(', ')}${c.reset}`);
+  if (racerNames.length < 2) {
+    throw new Error(inlineRacers
+      ? `Need at least 2 racers, got ${racerNames.length}`
+      : `Need at least 2 .spec.js (or .js) script files in ${raceDir}, found ${racerNames.length}`);
+  }
+  if (racerNames.length > 5) {
+    console.error(`${c.yellow}Warning: Found ${racerNames.length} racers, using first five: ${racerNames.slice(0, 5).join(', ')}${c.reset}`);
+    racerNames = racerNames.slice(0, 5);
+    racerBrowsers = racerBrowsers.slice(0, 5);
+    scripts = scripts.slice(0, 5);
+  }
+  return { racerNames, racerBrowsers, scripts };
 }
-const scripts = racerFiles.map(f => fs.readFileSync(path.join(raceDir, f), 'utf-8'));
-
-// --- Settings (settings.json, overridden by CLI flags) ---
 
-let settings = {};
-const settingsPath = path.join(raceDir, 'settings.json');
-if (fs.existsSync(settingsPath)) {
+/** Load the --baseline summary, warning (not failing) when it can't be used. */
+function readBaseline(raceDir, settings) {
+  const dir = resolveBaselineDir(raceDir, settings.baseline);
+  if (settings.baseline && !dir) {
+    console.error(`${c.yellow}Warning: No baseline summary.json found for "${settings.baseline}", skipping comparison${c.reset}`);
+    return null;
+  }
+  if (!dir) return null;
   try {
-    settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+    return { dir, summary: loadBaseline(dir) };
   } catch (e) {
-    console.error(`${c.yellow}Warning: Could not parse settings.json: ${e.message}${c.reset}`);
+    console.error(`${c.yellow}Warning: Could not read baseline ${dir}: ${e.message}${c.reset}`);
+    return null;
   }
 }
 
-settings = applyOverrides(settings, boolFlags, kvFlags);
-
-// --- Results directory ---
-
-const resultsDir = path.join(raceDir, `results-${formatTimestamp(new Date())}`);
-const totalRuns = settings.runs || 1;
-
-// --- Build runner config ---
-
-// Parallel mode is more spectacular (side-by-side race), but sequential is more
-// accurate since browsers don't compete for CPU/memory/network resources.
-const isParallel = settings.parallel ?? false;
-const executionMode = isParallel ? 'parallel' : 'sequential';
-const throttle = { network: settings.network || 'none', cpu: settings.cpuThrottle || 1 };
-
-const runnerConfig = {
-  browsers: racerNames.map((name, i) => ({ id: name, script: scripts[i] })),
-  executionMode,
-  throttle,
-  headless: settings.headless || false,
-  profile: settings.profile || false,
-  slowmo: settings.slowmo || 0,
-  noOverlay: settings.noOverlay || false,
-  ffmpeg: settings.ffmpeg || false,
-};
-
 // --- Race execution ---
 
-/** Spawn the runner process, show animation, return parsed JSON result. */
-function runRace() {
+/**
+ * Spawn the runner process and return the result from its `finished` event.
+ * Runner events are forwarded to ctx.emit and, in the terminal, drive the animation.
+ */
+function runRace(ctx) {
+  const { settings, racerNames, racerBrowsers, totalRuns } = ctx;
+  // Each racer records its HAR on the first run and replays it from then on
+  const runnerConfig = {
+    ...ctx.runnerConfig,
+    browsers: ctx.runnerConfig.browsers.map(b => ({ ...b, har: resolveHar(ctx.network, ctx.harDir, b.id) })),
+  };
+  const { executionMode, throttle } = runnerConfig;
   const format = settings.format || 'webm';
   const flags = [executionMode];
+  if (racerBrowsers.some(b => b !== 'chromium')) flags.push(racerBrowsers.join('/'));
   if (format !== 'webm') flags.push(format);
   if (totalRuns > 1) flags.push(`${totalRuns} runs`);
-  if (throttle.network !== 'none') flags.push(`net:${throttle.network}`);
+  const networks = [...new Set(runnerConfig.browsers.map(b => networkProfileLabel(b.network)))];
+  if (networks.some(n => n !== 'none')) flags.push(`net:${networks.join('/')}`);
+  const harModes = [...new Set(runnerConfig.browsers.map(b => b.har?.mode).filter(Boolean))];
+  if (harModes.length > 0) flags.push(`har:${harModes.join('/')}`);
+  const deviceNames = [...new Set(runnerConfig.browsers.map(b => b.device?.name).filter(Boolean))];
+  if (deviceNames.length > 0) flags.push(`device:${deviceNames.join('/')}`);
   if (throttle.cpu > 1) flags.push(`cpu:${throttle.cpu}x`);
   if (settings.slowmo) flags.push(`slowmo:${settings.slowmo}x`);
   if (settings.profile) flags.push('profile');
@@ -189,74 +156,94 @@ function runRace() {
   if (settings.noOverlay) flags.push('no-overlay');
   if (settings.ffmpeg) flags.push('ffmpeg');
 
-  const animation = new RaceAnimation(racerNames, flags.join(' · '));
-  animation.start();
+  const animation = ctx.terminal ? new RaceAnimation(racerNames, flags.join(' · ')) : null;
+  animation?.start();
 
   const runnerPath = path.join(__dirname, 'runner.cjs');
 
   return new Promise((resolve, reject) => {
     const child = spawn('node', [runnerPath, JSON.stringify(runnerConfig)], {
       cwd: __dirname,
-      stdio: ['ignore', 'pipe', 'pipe'],
+      stdio: ['ignore', 'ignore', 'pipe', 'pipe'],
+      env: { ...process.env, RACE_EVENT_FD: String(EVENT_FD) },
     });
 
-    let stdout = '';
-    child.stdout.on('data', d => { stdout += d; });
-    child.stderr.on('data', d => {
-      const text = d.toString();
-      racerNames.forEach((name, i) => {
-        if (text.includes(`[${name}] Context closed`)) animation.racerFinished(i);
-        const msgPrefix = `[${name}] __raceMessage__[`;
-        const msgIdx = text.indexOf(msgPrefix);
-        if (msgIdx !== -1) {
-          const payload = text.slice(msgIdx + msgPrefix.length).split('\n')[0];
-          const match = payload.match(/^([\d.]+)\]:(.*)$/);
-          if (match) {
-            animation.addMessage(i, name, match[2], match[1]);
-          }
+    let result = null;
+    // A throwing onEvent callback stops the race and rejects race(), instead of
+    // escaping the pipe listener as an uncaught exception
+    let callbackError = null;
+    const onEvent = (event) => {
+      if (callbackError) return;
+      if (event.type === 'finished') {
+        result = event.result;
+      } else {
+        try {
+          ctx.emit(event);
+        } catch (e) {
+          callbackError = e;
+          child.kill('SIGTERM');
+          return;
         }
-      });
+      }
+      if (!animation) return;
+      const i = racerNames.indexOf(event.id);
+      if (event.type === 'racer-finished' && i !== -1) animation.racerFinished(i);
+      if (event.type === 'message' && i !== -1) {
+        animation.addMessage(i, event.id, String(event.text).split('\n')[0], Number(event.elapsed).toFixed(1));
+      }
+      if (event.type === 'expectation' && i !== -1 && !event.passed) {
+        animation.addMessage(i, event.id, `❌ ${String(event.message).split('\n')[0]}`, Number(event.time).toFixed(1));
+      }
+      if (event.type === 'metric' && i !== -1) {
+        animation.addMessage(i, event.id, `📏 ${event.name}: ${event.value}${event.unit ? ` ${event.unit}` : ''}`, Number(event.time).toFixed(1));
+      }
+      if (event.type === 'network' && i !== -1) {
+        animation.addMessage(i, event.id, `📶 ${event.profile}`, Number(event.time).toFixed(1));
+      }
+      if (event.type === 'dnf' && i !== -1) {
+        animation.addMessage(i, event.id, `🚩 DNF — ${event.reason}`, Number(event.time).toFixed(1));
+      }
       if (animation.finished.every(Boolean) && animation.interval) animation.stop();
-    });
+    };
+    child.stdio[EVENT_FD].setEncoding('utf-8');
+    child.stdio[EVENT_FD].on('data', createEventReader(onEvent));
+
+    // Runner logs are only needed to explain a run that ended without a result
+    let stderrTail = '';
+    child.stderr.on('data', d => { stderrTail = (stderrTail + d).slice(-2000); });
 
     const sigHandler = () => child.kill('SIGTERM');
     process.on('SIGINT', sigHandler);
 
     child.on('close', () => {
       process.removeListener('SIGINT', sigHandler);
-      if (animation.interval) animation.stop();
-
-      // Parse the last valid JSON line from runner stdout
-      const lines = stdout.trim().split('\n');
-      for (let i = lines.length - 1; i >= 0; i--) {
-        try {
-          return resolve(JSON.parse(lines[i]));
-        } catch (e) {
-          if (i === 0) console.error(`Warning: Could not parse runner output`);
-        }
-      }
-      reject(new Error('Could not parse runner output'));
+      if (animation?.interval) animation.stop();
+      if (callbackError) return reject(callbackError);
+      if (result) return resolve(result);
+      const lastLine = stderrTail.trim().split('\n').pop();
+      reject(new Error(`Runner exited without a result${lastLine ? `: ${lastLine}` : ''}`));
     });
   });
 }
 
 /** Run one race, collect results into runDir, return summary. */
-async function runSingleRace(runDir, runNavigation = null) {
+async function runSingleRace(ctx, runDir, runNavigation = null) {
+  const { settings, racerNames } = ctx;
   const format = settings.format || 'webm';
   const racerRunDirs = racerNames.map(name => path.join(runDir, name));
   racerRunDirs.forEach(d => fs.mkdirSync(d, { recursive: true }));
 
-  const result = await runRace();
+  const result = await runRace(ctx);
 
   const ffmpeg = settings.ffmpeg || false;
 
-  const progress = startProgress('Processing recordings…');
+  const progress = ctx.progress('Processing recordings…');
   const recordingsBase = path.join(__dirname, 'recordings');
   const results = racerNames.map((name, i) =>
     moveResults(recordingsBase, name, racerRunDirs[i], result.browsers?.[i] || {})
   );
 
-  const summary = buildSummary(racerNames, results, settings, runDir);
+  const summary = ctx.annotateSummary(buildSummary(racerNames, results, settings, runDir));
   fs.writeFileSync(path.join(runDir, 'summary.json'), JSON.stringify(summary, null, 2));
   progress.done('Recordings processed');
 
@@ -271,7 +258,7 @@ async function runSingleRace(runDir, runNavigation = null) {
     sideBySidePath = createSideBySide(videoPaths, path.join(runDir, sideBySideName), format, settings.slowmo || 0);
 
     if (format !== 'webm') {
-      const convertProgress = startProgress(`Converting videos to ${format}…`);
+      const convertProgress = ctx.progress(`Converting videos to ${format}…`);
       convertVideos(results, format);
       convertProgress.done(`Videos converted to ${format}`);
     }
@@ -292,7 +279,15 @@ async function runSingleRace(runDir, runNavigation = null) {
     altFiles = null;       // no format conversion without ffmpeg
   }
 
-  const traceFiles = settings.profile ? racerNames.map(name => `${name}/${name}.trace.json`) : null;
+  // Caption and chapter tracks follow the race videos: trimmed to the recording segments with --ffmpeg
+  const textTracks = writeRaceTracks(runDir, racerNames, results, {
+    segments: ffmpeg ? racerNames.map((_, i) => result.browsers?.[i]?.recordingSegments || null) : [],
+    sideBySideName: sideBySidePath ? sideBySideName : null,
+    slowmo: settings.slowmo || 0,
+  });
+
+  // Only Chromium racers produce traces; others get no profile link
+  const traceFiles = settings.profile ? racerNames.map((name, i) => results[i].tracePath ? `${name}/${name}.trace.json` : null) : null;
 
   // Collect clip times from recording segments for player-level trimming (default mode).
   // Uses only the first segment per racer — multiple non-contiguous segments are not
@@ -309,81 +304,378 @@ async function runSingleRace(runDir, runNavigation = null) {
     traceFiles,
     runNavigation,
     clipTimes,
+    textTracks,
   };
   fs.writeFileSync(path.join(runDir, 'index.html'), buildPlayerHtml(summary, videoFiles, ffmpeg && format !== 'webm' ? format : null, altFiles, playerOptions));
 
-  return { summary, sideBySidePath, sideBySideName, clipTimes };
+  return { summary, sideBySidePath, sideBySideName, clipTimes, textTracks };
 }
 
-// --- Main ---
+/**
+ * Run a race and return its summary — the same object written to summary.json
+ * (the median summary for multi-run races).
+ *
+ * Options:
+ *   dir        race directory: racers are discovered there and settings.json is read
+ *   racers     inline racers instead of discovery: [{ name, script, browser? }]
+ *   settings   settings merged over settings.json (same keys, e.g. { runs: 3, network: '4g' })
+ *   resultsDir where to write results (default: <dir>/results-<timestamp>, or ./ for inline racers)
+ *   onEvent    progress callback: runner events (see cli/events.js) tagged with `run`,
+ *              plus run-started, run-finished and race-finished
+ *              (a throwing callback stops the race and rejects)
+ *   terminal   draw the animation, progress and summaries on stderr like the CLI
+ *
+ * Runs share the runner's recordings folder, so run one race at a time.
+ */
+export async function race(options = {}) {
+  const { racers: inlineRacers = null, onEvent = () => {}, terminal = false } = options;
+  const raceDir = options.dir ? path.resolve(options.dir) : null;
+  if (!raceDir && !inlineRacers) throw new Error('race() needs a race directory (dir) or inline racers');
+  if (raceDir && !fs.existsSync(raceDir)) throw new Error(`Race directory not found: ${raceDir}`);
+
+  const settings = { ...(raceDir ? readSettings(raceDir) : {}), ...options.settings };
+  const { racerNames, racerBrowsers, scripts } = resolveRacers(raceDir, inlineRacers, settings);
+  const baseDir = raceDir || process.cwd();
+  const resultsDir = options.resultsDir
+    ? path.resolve(options.resultsDir)
+    : path.join(baseDir, `results-${formatTimestamp(new Date())}`);
+  const totalRuns = settings.runs || 1;
+  const network = resolveNetwork(settings.network);
+  // Resolved devices go into the settings, so every summary records what each racer emulated
+  const devices = Object.fromEntries(racerNames.flatMap(name => {
+    const device = resolveDevice(racerDevice(settings, name));
+    return device ? [[name, device]] : [];
+  }));
+  if (Object.keys(devices).length > 0) settings.devices = devices;
+  // Fail before any results are written when a HAR to replay or a network profile is missing
+  racerNames.forEach(name => {
+    resolveHar(network, baseDir, name);
+    networkConditions(racerNetworkProfile(network, name), settings.networkProfiles);
+  });
 
-async function main() {
-  try {
-    if (totalRuns === 1) {
-      const { summary, sideBySidePath, sideBySideName } = await runSingleRace(resultsDir);
-      printSummary(summary);
-      const md = buildMarkdownSummary(summary, sideBySidePath ? sideBySideName : null);
-      fs.writeFileSync(path.join(resultsDir, 'README.md'), md);
-    } else {
-      fs.mkdirSync(resultsDir, { recursive: true });
-      const summaries = [];
-      const sideBySideNames = [];
-      const allClipTimes = [];
-
-      for (let i = 0; i < totalRuns; i++) {
-        console.error(`\n  ${c.bold}${c.cyan}── Run ${i + 1} of ${totalRuns} ──${c.reset}`);
-        const runNav = { currentRun: i + 1, totalRuns, pathPrefix: '../' };
-        const { summary, sideBySidePath, sideBySideName, clipTimes: runClipTimes } = await runSingleRace(path.join(resultsDir, String(i + 1)), runNav);
-        printSummary(summary);
-        summaries.push(summary);
-        sideBySideNames.push(sideBySidePath ? sideBySideName : null);
-        allClipTimes.push(runClipTimes);
-      }
+  // Resolved before this race writes its own results, so "latest" means the previous race
+  const baseline = readBaseline(baseDir, settings);
+  const baselineThreshold = settings.baselineThreshold ?? DEFAULT_BASELINE_THRESHOLD;
+
+  // Parallel mode is more spectacular (side-by-side race), but sequential is more
+  // accurate since browsers don't compete for CPU/memory/network resources.
+  const isParallel = settings.parallel ?? false;
+  const runnerConfig = {
+    browsers: racerNames.map((name, i) => ({
+      id: name, script: scripts[i], browser: racerBrowsers[i], timeLimit: resolveTimeLimit(settings.timeLimit, name),
+      serve: resolveServe(settings.serve, name, baseDir),
+      block: resolveBlock(settings.block, name),
+      network: racerNetworkProfile(network, name),
+      networkProfiles: settings.networkProfiles || {},
+      device: devices[name] || null,
+    })),
+    executionMode: isParallel ? 'parallel' : 'sequential',
+    throttle: { network: network.preset, cpu: settings.cpuThrottle || 1 },
+    headless: settings.headless || false,
+    profile: settings.profile || false,
+    slowmo: settings.slowmo || 0,
+    noOverlay: settings.noOverlay || false,
+    ffmpeg: settings.ffmpeg || false,
+    syncStart: settings.syncStart ?? true,
+    syncTimeout: settings.syncTimeout ?? 30,
+  };
+
+  let currentRun = 1;
+  const ctx = {
+    settings, racerNames, racerBrowsers, runnerConfig, totalRuns, terminal, network, harDir: baseDir,
+    emit: (event) => onEvent({ ...event, run: currentRun }),
+    progress: terminal ? startProgress : () => ({ update() {}, done() {}, fail() {} }),
+    /** Attach baseline deltas and budget checks to a summary before it's written. */
+    annotateSummary(summary) {
+      if (baseline) summary.baseline = compareToBaseline(summary, baseline.summary, { dir: baseline.dir, threshold: baselineThreshold });
+      if (settings.budgets) summary.budgets = checkBudgets(summary, settings.budgets);
+      return summary;
+    },
+  };
+  const log = (s) => { if (terminal) console.error(s); };
+
+  let finalSummary;
+  if (totalRuns === 1) {
+    ctx.emit({ type: 'run-started', totalRuns });
+    const { summary, sideBySidePath, sideBySideName } = await runSingleRace(ctx, resultsDir);
+    ctx.emit({ type: 'run-finished', summary });
+    finalSummary = summary;
+    if (terminal) printSummary(summary);
+    const md = buildMarkdownSummary(summary, sideBySidePath ? sideBySideName : null);
+    fs.writeFileSync(path.join(resultsDir, 'README.md'), md);
+  } else {
+    fs.mkdirSync(resultsDir, { recursive: true });
+    const summaries = [];
+    const sideBySideNames = [];
+    const allClipTimes = [];
+    const allTextTracks = [];
+
+    for (let i = 0; i < totalRuns; i++) {
+      currentRun = i + 1;
+      log(`\n  ${c.bold}${c.cyan}── Run ${i + 1} of ${totalRuns} ──${c.reset}`);
+      ctx.emit({ type: 'run-started', totalRuns });
+      const runNav = { currentRun: i + 1, totalRuns, pathPrefix: '../' };
+      const { summary, sideBySidePath, sideBySideName, clipTimes: runClipTimes, textTracks: runTextTracks } = await runSingleRace(ctx, path.join(resultsDir, String(i + 1)), runNav);
+      ctx.emit({ type: 'run-finished', summary });
+      if (terminal) printSummary(summary);
+      summaries.push(summary);
+      sideBySideNames.push(sideBySidePath ? sideBySideName : null);
+      allClipTimes.push(runClipTimes);
+      allTextTracks.push(runTextTracks);
+    }
+
+    const medianSummary = ctx.annotateSummary(buildMedianSummary(summaries, resultsDir));
+    finalSummary = medianSummary;
+    fs.writeFileSync(path.join(resultsDir, 'summary.json'), JSON.stringify(medianSummary, null, 2));
+
+    // Find the run closest to median to use its videos on the median page
+    const medianRunIdx = findMedianRunIndex(summaries, medianSummary);
+    const medianRunDir = String(medianRunIdx + 1);
+    const ffmpeg = settings.ffmpeg || false;
+    const format = settings.format || 'webm';
+    const ext = FORMAT_EXTENSIONS[format] || FORMAT_EXTENSIONS.webm;
+    const medianVideoFiles = racerNames.map(name => `${medianRunDir}/${name}/${name}.race${FORMAT_EXTENSIONS.webm}`);
+    const medianFullVideoFiles = ffmpeg ? racerNames.map(name => `${medianRunDir}/${name}/${name}.full${FORMAT_EXTENSIONS.webm}`) : null;
+    const medianAltFiles = ffmpeg && format !== 'webm' ? racerNames.map(name => `${medianRunDir}/${name}/${name}.race${ext}`) : null;
+    const medianMergedFile = sideBySideNames[medianRunIdx] ? `${medianRunDir}/${sideBySideNames[medianRunIdx]}` : null;
+    const inMedianRun = tracks => tracks && { ...tracks, captions: `${medianRunDir}/${tracks.captions}`, chapters: `${medianRunDir}/${tracks.chapters}` };
+    const medianTextTracks = {
+      racers: allTextTracks[medianRunIdx].racers.map(inMedianRun),
+      sideBySide: inMedianRun(allTextTracks[medianRunIdx].sideBySide),
+    };
+
+    // Create top-level median index.html with navigation and videos from median run
+    const medianNav = { currentRun: 'median', totalRuns, pathPrefix: '' };
+    const medianPlayerOptions = {
+      fullVideoFiles: medianFullVideoFiles,
+      mergedVideoFile: medianMergedFile,
+      runNavigation: medianNav,
+      medianRunLabel: `Run ${medianRunIdx + 1}`,
+      clipTimes: allClipTimes[medianRunIdx] || null,
+      timelineSummary: summaries[medianRunIdx],
+      textTracks: medianTextTracks,
+    };
+    fs.writeFileSync(
+      path.join(resultsDir, 'index.html'),
+      buildPlayerHtml(medianSummary, medianVideoFiles, ffmpeg && format !== 'webm' ? format : null, medianAltFiles, medianPlayerOptions)
+    );
+
+    log(`\n  ${c.bold}${c.cyan}── Median Results (${totalRuns} runs) ──${c.reset}`);
+    if (terminal) printSummary(medianSummary);
+
+    const md = buildMultiRunMarkdown(medianSummary, summaries);
+    fs.writeFileSync(path.join(resultsDir, 'README.md'), md);
+  }
+
+  for (const file of writeReports(finalSummary, resultsDir, settings.reporters)) {
+    log(`  ${c.dim}📄 ${path.relative(process.cwd(), file)}${c.reset}`);
+  }
 
-      const medianSummary = buildMedianSummary(summaries, resultsDir);
-      fs.writeFileSync(path.join(resultsDir, 'summary.json'), JSON.stringify(medianSummary, null, 2));
-
-      // Find the run closest to median to use its videos on the median page
-      const medianRunIdx = findMedianRunIndex(summaries, medianSummary);
-      const medianRunDir = String(medianRunIdx + 1);
-      const ffmpeg = settings.ffmpeg || false;
-      const format = settings.format || 'webm';
-      const ext = FORMAT_EXTENSIONS[format] || FORMAT_EXTENSIONS.webm;
-      const medianVideoFiles = racerNames.map(name => `${medianRunDir}/${name}/${name}.race${FORMAT_EXTENSIONS.webm}`);
-      const medianFullVideoFiles = ffmpeg ? racerNames.map(name => `${medianRunDir}/${name}/${name}.full${FORMAT_EXTENSIONS.webm}`) : null;
-      const medianAltFiles = ffmpeg && format !== 'webm' ? racerNames.map(name => `${medianRunDir}/${name}/${name}.race${ext}`) : null;
-      const medianMergedFile = sideBySideNames[medianRunIdx] ? `${medianRunDir}/${sideBySideNames[medianRunIdx]}` : null;
-
-      // Create top-level median index.html with navigation and videos from median run
-      const medianNav = { currentRun: 'median', totalRuns, pathPrefix: '' };
-      const medianPlayerOptions = {
-        fullVideoFiles: medianFullVideoFiles,
-        mergedVideoFile: medianMergedFile,
-        runNavigation: medianNav,
-        medianRunLabel: `Run ${medianRunIdx + 1}`,
-        clipTimes: allClipTimes[medianRunIdx] || null,
-      };
-      fs.writeFileSync(
-        path.join(resultsDir, 'index.html'),
-        buildPlayerHtml(medianSummary, medianVideoFiles, ffmpeg && format !== 'webm' ? format : null, medianAltFiles, medianPlayerOptions)
-      );
-
-      console.error(`\n  ${c.bold}${c.cyan}── Median Results (${totalRuns} runs) ──${c.reset}`);
-      printSummary(medianSummary);
-
-      const md = buildMultiRunMarkdown(medianSummary, summaries);
-      fs.writeFileSync(path.join(resultsDir, 'README.md'), md);
+  onEvent({ type: 'race-finished', summary: finalSummary });
+  return finalSummary;
+}
+
+/**
+ * Run every race folder under a directory, one after another, and write a
+ * suite report (summary.json, README.md, index.html) linking each race's results.
+ * A race that throws is recorded as failed; the suite carries on.
+ *
+ * Options:
+ *   dir        suite directory containing race folders
+ *   include    folder-name globs to run (default: all)
+ *   exclude    folder-name globs to skip
+ *   tags       only run races whose settings.json `tags` include one of these
+ *   settings   settings merged over every race's settings.json
+ *   flags      parsed CLI flags ({ boolFlags, kvFlags } from parseArgs), applied to
+ *              each race's own settings with applyOverrides, so nested settings
+ *              (network, timeLimit, incidents) keep what the flag doesn't replace
+ *   resultsDir where to write the suite report (default: <dir>/suite-results-<timestamp>)
+ *   onEvent    race() events, each tagged with `race` (the folder name), plus
+ *              race-started, race-failed and suite-finished
+ *   terminal   draw each race and the suite scoreboard on stderr like the CLI
+ *
+ * Returns the suite summary.
+ */
+export async function raceSuite(options = {}) {
+  const { onEvent = () => {}, terminal = false } = options;
+  if (!options.dir) throw new Error('raceSuite() needs a suite directory (dir)');
+  const suiteDir = path.resolve(options.dir);
+  if (!fs.existsSync(suiteDir)) throw new Error(`Suite directory not found: ${suiteDir}`);
+
+  const filters = { include: options.include || [], exclude: options.exclude || [], tags: options.tags || [] };
+  const races = discoverRaces(suiteDir, filters);
+  if (races.length === 0) throw new Error(`No race folders found in ${suiteDir}`);
+
+  const timestamp = formatTimestamp(new Date());
+  const resultsDir = options.resultsDir ? path.resolve(options.resultsDir) : path.join(suiteDir, `suite-results-${timestamp}`);
+  const entries = [];
+
+  for (const [i, entry] of races.entries()) {
+    const emit = (event) => onEvent({ ...event, race: entry.name });
+    if (terminal) console.error(`\n  ${c.bold}${c.cyan}══ Race ${i + 1} of ${races.length}: ${entry.name} ══${c.reset}`);
+    emit({ type: 'race-started', index: i + 1, total: races.length });
+    try {
+      const settings = options.flags
+        ? applyOverrides({ ...readSettings(entry.dir), ...options.settings }, options.flags.boolFlags, options.flags.kvFlags)
+        : options.settings;
+      const summary = await race({
+        dir: entry.dir,
+        settings,
+        resultsDir: path.join(entry.dir, `results-${timestamp}`),
+        onEvent: emit,
+        terminal,
+      });
+      entries.push({ ...entry, summary, error: null });
+    } catch (e) {
+      if (terminal) console.error(`\n${c.red}${c.bold}Race failed:${c.reset} ${e.message}\n`);
+      emit({ type: 'race-failed', message: e.message });
+      entries.push({ ...entry, summary: null, error: e.message });
     }
+  }
+
+  const suite = buildSuiteSummary(entries, suiteDir, resultsDir);
+  fs.mkdirSync(resultsDir, { recursive: true });
+  fs.writeFileSync(path.join(resultsDir, 'summary.json'), JSON.stringify(suite, null, 2));
+  fs.writeFileSync(path.join(resultsDir, 'README.md'), buildSuiteMarkdown(suite));
+  fs.writeFileSync(path.join(resultsDir, 'index.html'), buildSuiteHtml(suite));
+  if (terminal) printSuiteSummary(suite);
+
+  onEvent({ type: 'suite-finished', summary: suite });
+  return suite;
+}
+
+// --- CLI ---
+
+// Check if running as main module (not imported)
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMainModule) {
+
+const { positional, boolFlags, kvFlags } = parseArgs(process.argv.slice(2));
+
+if (positional.length === 0) {
+  console.error(`
+${c.yellow}    ____                   ____              _   _            ____       _          ${c.reset}
+${c.yellow}   / __ \\____ _________   / __/___  _____   / |_/ /_  ___   / __ \\_____(_)_______   ${c.reset}
+${c.yellow}  / /_/ / __ \`/ ___/ _ \\ / /_/ __ \\/ ___/  / __/ __ \\/ _ \\ / /_/ / ___/ / ___/ _ \\  ${c.reset}
+${c.yellow} / _, _/ /_/ / /__/  __// __/ /_/ / /     / /_/ / / /  __// ____/ /  / / /__/  __/  ${c.reset}
+${c.yellow}/_/ |_|\\__,_/\\___/\\___//_/  \\____/_/      \\__/_/ /_/\\___//_/   /_/  /_/\\___/\\___/   ${c.reset}
+
+${c.dim}  Race two browsers. Measure everything. Crown a winner.  🏎️ 💨${c.reset}
+
+${c.bold}  Quick Start:${c.reset}
+${c.dim}  ─────────────────────────────────────────────────────────────${c.reset}
+  ${c.bold}1.${c.reset} Create a race folder with two Playwright spec scripts:
+
+     ${c.cyan}races/my-race/${c.reset}
+       ${c.green}contender-a.spec.js${c.reset}  ${c.dim}# Racer 1 (name = filename without .spec.js)${c.reset}
+       ${c.blue}contender-b.spec.js${c.reset}  ${c.dim}# Racer 2${c.reset}
+       ${c.dim}settings.json${c.reset}        ${c.dim}# Optional: { parallel, network, cpuThrottle, browser }${c.reset}
+
+  ${c.bold}2.${c.reset} Each script gets a Playwright ${c.cyan}page${c.reset} with race helpers:
 
+     ${c.dim}await${c.reset} page.goto(${c.green}'https://...'${c.reset});
+     ${c.dim}await${c.reset} page.raceRecordingStart();       ${c.dim}// optional: start video segment${c.reset}
+     ${c.dim}await${c.reset} page.raceStart(${c.green}'Load Time'${c.reset});     ${c.dim}// start measurement${c.reset}
+     ${c.dim}await${c.reset} page.click(${c.green}'.button'${c.reset});
+     ${c.dim}await${c.reset} page.waitForSelector(${c.green}'.result'${c.reset});
+     page.raceSplit(${c.green}'Load Time'${c.reset}, ${c.green}'Menu'${c.reset});    ${c.dim}// optional: sector split (sync)${c.reset}
+     page.raceEnd(${c.green}'Load Time'${c.reset});              ${c.dim}// end measurement (sync)${c.reset}
+     page.raceMessage(${c.green}'I win!'${c.reset});              ${c.dim}// message to CLI + report${c.reset}
+     ${c.dim}await${c.reset} page.raceExpect(${c.green}'.result'${c.reset}, ${c.green}'done'${c.reset}); ${c.dim}// check; a failure disqualifies${c.reset}
+     page.raceMetric(${c.green}'FPS'${c.reset}, fps, { better: ${c.green}'higher'${c.reset} }); ${c.dim}// compare any number${c.reset}
+     ${c.dim}await${c.reset} page.raceNetwork(${c.green}'offline'${c.reset});        ${c.dim}// switch network conditions mid-race${c.reset}
+     ${c.dim}await${c.reset} page.goto(page.raceBaseUrl);         ${c.dim}// local build from settings.serve${c.reset}
+     ${c.dim}await${c.reset} page.raceRecordingEnd();          ${c.dim}// optional: end video segment${c.reset}
+
+     ${c.dim}If raceRecordingStart/End are omitted, recording wraps raceStart to raceEnd.${c.reset}
+     ${c.dim}Instead of raceEnd, raceEndWhenVisible(name, selector), raceEndOnNetworkIdle(name)${c.reset}
+     ${c.dim}or raceEndWhenStable(name) stamp the finish from inside the page.${c.reset}
+
+  ${c.bold}3.${c.reset} Run it!
+
+     ${c.bold}$${c.reset} ${c.cyan}node race.js ./races/lauda-vs-hunt${c.reset}
+
+${c.bold}  Commands:${c.reset}
+${c.dim}  ─────────────────────────────────────────────────────────────${c.reset}
+  node race.js ${c.cyan}<dir>${c.reset}                       Run a race
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--results${c.reset}            View recent results
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--all${c.reset}                Run every race folder in <dir> as a suite
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--all --include${c.reset}=${c.green}react-*${c.reset}  Suite filters: --include, --exclude (globs), --tags
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--parallel${c.reset}           Run both browsers simultaneously
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--sync-timeout${c.reset}=${c.green}10${c.reset}    Seconds to hold a starting line for a stalled racer
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--no-sync-start${c.reset}      Don't line up parallel racers at every raceStart
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--headless${c.reset}           Hide browsers
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--network${c.reset}=${c.green}slow-3g${c.reset}   Network: none, slow-3g, fast-3g, 4g, offline or a networkProfiles name
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--replay${c.reset}             Serve every request from the racers' recorded HARs
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--cpu${c.reset}=${c.green}4${c.reset}              CPU throttle multiplier (1=none)
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--browser${c.reset}=${c.green}webkit${c.reset}     Engine: chromium (default), firefox, webkit
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--format${c.reset}=${c.green}mov${c.reset}          Output format: webm (default), mov, gif
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--runs${c.reset}=${c.green}3${c.reset}            Run multiple times, report median
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--slowmo${c.reset}=${c.green}2${c.reset}           Slow-motion side-by-side replay (2x, 3x, etc.)
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--baseline${c.reset}=${c.green}latest${c.reset}   Compare against a previous results dir
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--reporter${c.reset}=${c.green}junit,tap${c.reset} Write junit.xml / results.tap for CI
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--baseline-threshold${c.reset}=${c.green}5${c.reset}  Regression threshold in percent (default 5)
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--lap-basis${c.reset}=${c.green}best${c.reset}     Rank repeated laps by median, mean, best or worst
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--time-limit${c.reset}=${c.green}60${c.reset}      Mark racers still going after 60s as DNF
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--incident-penalty${c.reset}=${c.green}0.5${c.reset}  Seconds added per error during a measurement
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--incident-limit${c.reset}=${c.green}3${c.reset}    Disqualify a racer at 3 errors during measurements
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--no-profile${c.reset}         Disable performance profiling (on by default)
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--no-overlay${c.reset}         Record videos without overlays
+  node race.js ${c.cyan}<dir>${c.reset} ${c.yellow}--ffmpeg${c.reset}             Enable FFmpeg processing (trim, merge, convert)
+
+${c.dim}  CLI flags override settings.json values.${c.reset}
+${c.dim}  Try the example:  node race.js ./races/lauda-vs-hunt${c.reset}
+`);
+  process.exit(1);
+}
+
+const raceDir = path.resolve(positional[0]);
+
+if (!fs.existsSync(raceDir)) {
+  console.error(`${c.red}Error: Race directory not found: ${raceDir}${c.reset}`);
+  process.exit(1);
+}
+
+if (boolFlags.has('results')) {
+  printRecentRaces(raceDir);
+  process.exit(0);
+}
+
+if (boolFlags.has('all')) {
+  // CLI flags override every race's settings.json; filters come from the suite's settings.json
+  const filters = resolveSuiteFilters(readSettings(raceDir), kvFlags);
+  raceSuite({ dir: raceDir, ...filters, flags: { boolFlags, kvFlags }, terminal: true })
+    .then((suite) => {
+      const { relResults, relHtml } = buildResultsPaths(suite.resultsDir);
+      console.error(`  ${c.dim}📂 ${relResults}${c.reset}`);
+      console.error(`  ${c.cyan}${c.bold}open ${relHtml}${c.reset}`);
+      const { failed, overBudget, failedExpectations: expectationFailures } = suite.totals;
+      process.exit(failed > 0 || overBudget > 0 || expectationFailures > 0 ? 1 : 0);
+    })
+    .catch((e) => {
+      console.error(`\n${c.red}${c.bold}Suite failed:${c.reset} ${e.message}\n`);
+      process.exit(1);
+    });
+} else {
+
+// settings.json, overridden by CLI flags
+const settings = applyOverrides(readSettings(raceDir), boolFlags, kvFlags);
+const resultsDir = path.join(raceDir, `results-${formatTimestamp(new Date())}`);
+
+race({ dir: raceDir, settings, resultsDir, terminal: true })
+  .then((summary) => {
     const { relResults, relHtml } = buildResultsPaths(resultsDir);
     console.error(`  ${c.dim}📂 ${relResults}${c.reset}`);
     console.error(`  ${c.cyan}${c.bold}open ${relHtml}${c.reset}`);
-  } catch (e) {
+    // Over-budget races and failed expectations fail the process so CI pipelines notice
+    process.exit(summary.budgets?.violations.length > 0 || failedExpectations(summary).length > 0 ? 1 : 0);
+  })
+  .catch((e) => {
     console.error(`\n${c.red}${c.bold}Race failed:${c.reset} ${e.message}\n`);
     process.exit(1);
-  }
-}
+  });
 
-main().then(() => process.exit(0));
+}
 
 } // end isMainModule
@@ -38,6 +38,7 @@ for (let i = 0; i < 3; i++) {
   await page.waitForTimeout(140);
 }
 
+page.raceSplit('Dribble Race', 'Dribbles');
 page.raceMessage('🏀 Going for the score!');
 // Scroll to top — LeBron powers up with a strong smooth scroll
 const scrollSteps = 40;
@@ -3,19 +3,22 @@
  *
  * Launched as a child process by race.js. Receives a JSON config via argv,
  * runs two Playwright-driven browsers (parallel or sequential), records video,
- * collects measurements and click events, and outputs a JSON result on stdout.
+ * collects measurements and click events, and reports progress and the final
+ * result as newline-delimited JSON events (see cli/events.js).
  *
  * CommonJS because Playwright requires it; the rest of the project is ESM.
  */
 
-let chromium;
+let browserTypes;
 try {
-  ({ chromium } = require('playwright'));
+  const { chromium, firefox, webkit } = require('playwright');
+  browserTypes = { chromium, firefox, webkit };
 } catch {
   console.error('Error: Playwright is not installed. Run "npm install" to install dependencies.');
   process.exit(1);
 }
 const fs = require('fs');
+const net = require('net');
 const path = require('path');
 const { execFileSync } = require('child_process');
 
@@ -26,13 +29,19 @@ let activeContexts = [];
 // --- Constants (loaded from shared ESM module) ---
 
 // These will be populated by loadConstants() before main() runs
-let SCREEN, WINDOW_HEIGHT, CUE_DETECTION;
+let SCREEN, WINDOW_HEIGHT, CUE_DETECTION, computeWebVitals, finishedRacerResult, startStaticServer, createBlockMatcher, networkConditions, networkProfileLabel, finishAt, lastResponseFinish;
 
 async function loadConstants() {
   const { SCREEN: s, VIDEO_DEFAULTS: v, CUE_DETECTION: c } = await import('./cli/colors.js');
   SCREEN = s;
   WINDOW_HEIGHT = v.windowHeight;
   CUE_DETECTION = c;
+  ({ computeWebVitals } = await import('./cli/profile-analysis.js'));
+  ({ finishedRacerResult } = await import('./cli/events.js'));
+  ({ startStaticServer } = await import('./cli/serve.js'));
+  ({ createBlockMatcher } = await import('./cli/block.js'));
+  ({ networkConditions, networkProfileLabel } = await import('./cli/config.js'));
+  ({ finishAt, lastResponseFinish } = await import('./cli/finish.js'));
 }
 
 // --- Video helpers ---
@@ -211,6 +220,33 @@ function cleanupOldVideos(dir) {
   } catch {}
 }
 
+// --- Event channel ---
+
+// race.js passes the fd of an extra pipe; without it (running the runner by hand)
+// events are dropped and the final result is printed on stdout instead.
+const EVENT_FD = process.env.RACE_EVENT_FD ? Number(process.env.RACE_EVENT_FD) : null;
+
+// A non-blocking socket over the pipe: while race.js is busy, events queue in the
+// stream and go out as the pipe drains, so a slow reader never stalls a racer.
+const eventStream = EVENT_FD === null ? null : new net.Socket({ fd: EVENT_FD, readable: false, writable: true });
+eventStream?.on('error', () => {}); // race.js is gone; nobody is left to tell
+
+/** Send one event to race.js as a JSON line. */
+function emit(type, data = {}) {
+  if (EVENT_FD === null) {
+    if (type === 'finished') console.log(JSON.stringify(data.result));
+    return;
+  }
+  if (eventStream.writableEnded) return;
+  eventStream.write(JSON.stringify({ type, ...data }) + '\n');
+}
+
+/** Resolve once every queued event has been written, so exiting loses none. Gives up after 5s. */
+function flushEvents() {
+  if (!eventStream || eventStream.writableEnded) return Promise.resolve();
+  return settleWithin(new Promise(resolve => eventStream.end(resolve)), 5000);
+}
+
 // --- Signal handling ---
 
 async function cleanup() {
@@ -218,7 +254,8 @@ async function cleanup() {
   for (const browser of activeBrowsers) { try { await browser.close(); } catch {} }
   await new Promise(r => setTimeout(r, 100));
 
-  console.log(JSON.stringify({ browsers: [] }));
+  emit('finished', { result: { browsers: [] } });
+  await flushEvents();
   process.exit(0);
 }
 
@@ -238,7 +275,9 @@ class SyncBarrier {
     this.resolvers = [];
     this.sharedState = sharedState;
     this.released = false;
+    this.timedOut = false;
     this.checkIntervals = [];
+    this.timers = [];
   }
 
   releaseAll() {
@@ -247,18 +286,53 @@ class SyncBarrier {
     // Clean up all polling intervals
     this.checkIntervals.forEach(clearInterval);
     this.checkIntervals = [];
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
     this.resolvers.forEach(r => r({ aborted: true }));
     this.resolvers = [];
   }
 
-  async wait(label = '') {
+  /**
+   * Give up on racers that haven't arrived: release everyone waiting, and let
+   * late arrivals straight through so they don't wait for racers already gone.
+   */
+  timeout(label = '') {
+    if (this.released || this.timedOut) return;
+    this.timedOut = true;
+    console.error(`[sync] ${label}: timed out waiting for ${this.count - this.waiting} racer(s), starting without them`);
+    this.checkIntervals.forEach(clearInterval);
+    this.checkIntervals = [];
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    this.resolvers.forEach(r => r({ aborted: false, timedOut: true }));
+    this.resolvers = [];
+  }
+
+  /** Everyone expected is here: let the waiting racers through. */
+  pass() {
+    this.checkIntervals.forEach(clearInterval);
+    this.checkIntervals = [];
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    this.resolvers.forEach(r => r({ aborted: false }));
+    this.waiting = 0;
+    this.resolvers = [];
+  }
+
+  /** One racer won't arrive: stop counting on it, and pass the others if they're all here. */
+  leave() {
+    if (this.released || this.timedOut) return;
+    this.count--;
+    if (this.waiting > 0 && this.waiting >= this.count) this.pass();
+  }
+
+  async wait(label = '', timeoutMs = 0) {
     if (this.released || this.sharedState?.hasError) return { aborted: true };
+    if (this.timedOut) return { aborted: false, timedOut: true };
 
     this.waiting++;
     if (this.waiting >= this.count) {
-      this.resolvers.forEach(r => r({ aborted: false }));
-      this.waiting = 0;
-      this.resolvers = [];
+      this.pass();
       return { aborted: false };
     }
 
@@ -272,10 +346,54 @@ class SyncBarrier {
         }
       }, 100);
       this.checkIntervals.push(check);
+      if (timeoutMs > 0) this.timers.push(setTimeout(() => this.timeout(label), timeoutMs));
     });
   }
 }
 
+/**
+ * Starting line for every raceStart in parallel mode. Each measurement name gets
+ * its own barrier per occurrence (so laps line up too), created by whichever racer
+ * arrives first. Resolves with how long this racer stood at the line.
+ * A racer that is done (script ended, failed or retired) leaves the line, so no
+ * barrier it hasn't reached waits for it.
+ */
+class StartLine {
+  constructor(count, sharedState, timeoutMs) {
+    this.count = count;
+    this.sharedState = sharedState;
+    this.timeoutMs = timeoutMs;
+    this.barriers = new Map();
+    this.arrivals = new Map();
+    this.left = new Set();
+  }
+
+  async wait(id, name, occurrence, label = '') {
+    if (this.left.has(id)) return { aborted: true };
+    const key = `${name}#${occurrence}`;
+    if (!this.barriers.has(key)) {
+      this.barriers.set(key, new SyncBarrier(this.count - this.left.size, this.sharedState));
+      this.arrivals.set(key, new Set());
+    }
+    this.arrivals.get(key).add(id);
+    const arrived = Date.now();
+    const result = await this.barriers.get(key).wait(label, this.timeoutMs);
+    return { ...result, waited: (Date.now() - arrived) / 1000 };
+  }
+
+  leave(id) {
+    if (this.left.has(id)) return;
+    this.left.add(id);
+    for (const [key, barrier] of this.barriers) {
+      if (!this.arrivals.get(key).has(id)) barrier.leave();
+    }
+  }
+
+  releaseAll() {
+    this.barriers.forEach(b => b.releaseAll());
+  }
+}
+
 // --- Click event tracker (injected into browser pages) ---
 
 /**
@@ -314,6 +432,173 @@ async function getClickEvents(page) {
   catch { return []; }
 }
 
+// --- Incidents (console errors, page errors, failed requests) ---
+
+const MAX_INCIDENTS = 500;
+
+/**
+ * Collect the page's console errors, uncaught exceptions and failed requests as
+ * { type: 'console' | 'pageerror' | 'requestfailed', text, url?, time }, with time
+ * relative to recordingStartTime like measurements. Requests cancelled by a
+ * navigation (net::ERR_ABORTED) are routine and not counted, and neither are the
+ * `blocked` requests a block rule aborted on purpose.
+ */
+function trackIncidents(page, recordingStartTime, blocked = null) {
+  const incidents = [];
+  const add = (incident) => {
+    if (incidents.length < MAX_INCIDENTS) incidents.push({ ...incident, time: (Date.now() - recordingStartTime) / 1000 });
+  };
+  page.on('console', (msg) => {
+    if (msg.type() !== 'error') return;
+    const url = msg.location()?.url;
+    add({ type: 'console', text: msg.text(), ...(url && { url }) });
+  });
+  page.on('pageerror', (err) => add({ type: 'pageerror', text: err.message }));
+  page.on('requestfailed', (request) => {
+    const reason = request.failure()?.errorText || 'failed';
+    if (reason.includes('ERR_ABORTED') || blocked?.has(request)) return;
+    add({ type: 'requestfailed', text: `${request.method()} ${request.url()} — ${reason}`, url: request.url() });
+  });
+  return incidents;
+}
+
+// --- Finish-line watchers (injected into browser pages) ---
+// Each resolves inside the page with the moment the condition was met, on the page's
+// own clock: { timeOrigin, now, lag } (see cli/finish.js for the back-dating).
+
+const DEFAULT_FINISH_TIMEOUT = 30000;
+
+async function setupFinishLineWatchers(context) {
+  // The default buffer (250 entries) fills up on busy pages, and network-idle
+  // finishes read responseEnd from the latest entries
+  await context.addInitScript(() => {
+    if (performance.setResourceTimingBufferSize) performance.setResourceTimingBufferSize(10000);
+  });
+}
+
+/** Resolve when `selector` has a non-empty box and isn't hidden, checked on every DOM mutation and frame. */
+function watchVisible({ selector, timeout }) {
+  return new Promise((resolve, reject) => {
+    const isVisible = () => {
+      const el = document.querySelector(selector);
+      if (!el) return false;
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
+    };
+    let frame = null;
+    const observer = new MutationObserver(() => check());
+    const timer = setTimeout(() => { cleanup(); reject(new Error(`"${selector}" not visible after ${timeout}ms`)); }, timeout);
+    const cleanup = () => { observer.disconnect(); cancelAnimationFrame(frame); clearTimeout(timer); };
+    const check = () => {
+      if (!isVisible()) return false;
+      const now = performance.now();
+      cleanup();
+      resolve({ timeOrigin: performance.timeOrigin, now, lag: performance.now() - now });
+      return true;
+    };
+    const poll = () => { if (!check()) frame = requestAnimationFrame(poll); };
+    observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+    poll();
+  });
+}
+
+/** Every responseEnd in Resource Timing, on the page clock; lastResponseFinish picks the finish. */
+function readResponseEnds() {
+  const entries = [...performance.getEntriesByType('navigation'), ...performance.getEntriesByType('resource')];
+  return { timeOrigin: performance.timeOrigin, now: performance.now(), responseEnds: entries.map(e => e.responseEnd) };
+}
+
+/**
+ * Resolve once nothing visible has changed for `quiet` ms: no DOM mutations and,
+ * where supported, no layout shifts. The finish is the last change, not the end of the wait.
+ * Mutations to the race's own overlays (#__race_*) are ignored.
+ */
+function watchStable({ quiet, timeout }) {
+  return new Promise((resolve, reject) => {
+    const isOverlay = (node) => {
+      const el = node && (node.nodeType === 1 ? node : node.parentElement);
+      return !!(el && el.closest && el.closest('[id^="__race"]'));
+    };
+    const isRelevant = (m) => {
+      if (isOverlay(m.target)) return false;
+      if (m.type !== 'childList') return true;
+      return [...m.addedNodes, ...m.removedNodes].some(n => !isOverlay(n));
+    };
+    let lastChange = performance.now();
+    const observer = new MutationObserver((mutations) => {
+      if (mutations.some(isRelevant)) lastChange = performance.now();
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+    let shifts = null;
+    if (PerformanceObserver.supportedEntryTypes?.includes('layout-shift')) {
+      shifts = new PerformanceObserver((list) => {
+        for (const e of list.getEntries()) lastChange = Math.max(lastChange, e.startTime + e.duration);
+      });
+      shifts.observe({ type: 'layout-shift' });
+    }
+    const started = performance.now();
+    const cleanup = () => { observer.disconnect(); if (shifts) shifts.disconnect(); clearInterval(interval); };
+    const interval = setInterval(() => {
+      const now = performance.now();
+      if (now - lastChange >= quiet) {
+        cleanup();
+        resolve({ timeOrigin: performance.timeOrigin, now: lastChange, lag: now - lastChange });
+      } else if (now - started >= timeout) {
+        cleanup();
+        reject(new Error(`layout not stable for ${quiet}ms within ${timeout}ms`));
+      }
+    }, 16);
+  });
+}
+
+// --- Core Web Vitals observer (injected into browser pages) ---
+
+/**
+ * Observe Web Vitals entries in every document and report them to Node via an
+ * exposed binding, so they survive navigations. Entries carry an epoch `time`
+ * so they can be scoped to the raceStart → raceEnd window later.
+ * Returns a function that flushes pending entries and returns everything so far.
+ */
+async function setupVitalsObserver(page) {
+  const entries = [];
+  await page.exposeBinding('__raceVitals', (_source, batch) => { entries.push(...batch); });
+  await page.addInitScript(() => {
+    if (window.__raceVitalsInjected) return;
+    window.__raceVitalsInjected = true;
+    const origin = performance.timeOrigin;
+    const toEntry = (e) => {
+      switch (e.entryType) {
+        case 'largest-contentful-paint': return { type: 'lcp', value: e.startTime, time: origin + e.startTime };
+        case 'paint': return e.name === 'first-contentful-paint' ? { type: 'fcp', value: e.startTime, time: origin + e.startTime } : null;
+        case 'navigation': return e.responseStart > 0 ? { type: 'ttfb', value: e.responseStart, time: origin + e.responseStart } : null;
+        case 'layout-shift': return e.hadRecentInput ? null : { type: 'layout-shift', value: e.value, time: origin + e.startTime };
+        case 'event': return e.interactionId ? { type: 'event', value: e.duration, interactionId: origin + ':' + e.interactionId, time: origin + e.startTime } : null;
+        default: return null;
+      }
+    };
+    const report = (list) => {
+      const batch = list.map(toEntry).filter(Boolean);
+      if (batch.length > 0) window.__raceVitals(batch);
+    };
+    const observers = [];
+    const types = [['largest-contentful-paint'], ['paint'], ['navigation'], ['layout-shift'], ['event', { durationThreshold: 16 }]];
+    for (const [type, opts] of types) {
+      try {
+        const observer = new PerformanceObserver(list => report(list.getEntries()));
+        observer.observe({ type, buffered: true, ...opts });
+        observers.push(observer);
+      } catch {}
+    }
+    window.__raceVitalsFlush = () => observers.forEach(o => report(o.takeRecords()));
+  });
+
+  return async () => {
+    try { await page.evaluate(() => window.__raceVitalsFlush && window.__raceVitalsFlush()); } catch {}
+    return entries;
+  };
+}
+
 // --- Performance metrics collection via CDP ---
 
 /**
@@ -338,7 +623,18 @@ async function setupMetricsCollection(page, id) {
   let measuredNetwork = { transferSize: 0, requestCount: 0 };
   let isMeasuring = false;
 
+  // Wall-clock window for scoping Web Vitals entries to raceStart → raceEnd
+  let measureStartWall = null;
+  let measureEndWall = null;
+
   let client = null;
+  let collectVitals = null;
+
+  try {
+    collectVitals = await setupVitalsObserver(page);
+  } catch (error) {
+    console.error(`[${id}] Warning: Web Vitals observer setup failed: ${error.message}`);
+  }
 
   try {
     client = await page.context().newCDPSession(page);
@@ -394,6 +690,7 @@ async function setupMetricsCollection(page, id) {
       startSnapshot = await getCdpMetrics();
       measuredNetwork = { transferSize: 0, requestCount: 0 };
       isMeasuring = true;
+      measureStartWall = Date.now();
     },
 
     /**
@@ -401,6 +698,15 @@ async function setupMetricsCollection(page, id) {
      */
     stopMeasurement() {
       isMeasuring = false;
+      measureEndWall = Date.now();
+    },
+
+    /**
+     * Reopen the measurement period after a stop (the next lap's raceStart),
+     * keeping the original start snapshot.
+     */
+    resumeMeasurement() {
+      isMeasuring = true;
     },
 
     /**
@@ -418,7 +724,8 @@ async function setupMetricsCollection(page, id) {
           scriptDuration: null,
           layoutDuration: null,
           recalcStyleDuration: null,
-          taskDuration: null
+          taskDuration: null,
+          lcp: null, cls: null, inp: null, fcp: null, ttfb: null
         },
         measured: {
           networkTransferSize: measuredNetwork.transferSize,
@@ -426,10 +733,21 @@ async function setupMetricsCollection(page, id) {
           scriptDuration: null,
           layoutDuration: null,
           recalcStyleDuration: null,
-          taskDuration: null
+          taskDuration: null,
+          lcp: null, cls: null, inp: null, fcp: null, ttfb: null
         }
       };
 
+      if (collectVitals) {
+        const vitalsEntries = await collectVitals();
+        Object.assign(result.total, computeWebVitals(vitalsEntries));
+        if (measureStartWall !== null) {
+          const end = measureEndWall ?? Date.now();
+          const inWindow = vitalsEntries.filter(e => e.time >= measureStartWall && e.time <= end);
+          Object.assign(result.measured, computeWebVitals(inWindow));
+        }
+      }
+
       try {
         // Get navigation timing from the page
         const timing = await page.evaluate(() => {
@@ -525,18 +843,27 @@ function sanitizeScript(script) {
  *
  *   await page.raceStart(name)        — start a named stopwatch (async: syncs in parallel)
  *   page.raceEnd(name)                — stop the stopwatch (sync: just arithmetic)
+ *   page.raceSplit(name, label)       — record a split (sector boundary) inside an active measurement (sync)
+ *   await page.raceEndWhenVisible(name, selector)  — stop when selector becomes visible (stamped in-page)
+ *   await page.raceEndOnNetworkIdle(name)          — stop at the last response once the network goes quiet
+ *   await page.raceEndWhenStable(name)             — stop at the last visual change once the page is still
  *   await page.raceRecordingStart()   — manually start a video segment (async: syncs)
  *   page.raceRecordingEnd()           — manually end a video segment (sync)
- *   page.raceMessage(text)            — send a message to the CLI terminal (sync)
+ *   page.raceMessage(text)            — send a message to the CLI terminal and the results (sync)
+ *   await page.raceExpect(condition, message) — record a pass/fail check; a failure disqualifies, the run goes on
+ *   page.raceMetric(name, value, { unit, better }) — record a number to compare, lower or higher is better (sync)
+ *   await page.raceNetwork(profile)   — switch network conditions mid-race, e.g. 'offline' and back (throttling is Chromium-only)
+ *   page.raceBaseUrl                  — this racer's static server from settings.serve (null without one)
  *
  * raceStart/raceEnd are async/sync respectively because starting requires
- * synchronizing both browsers at the starting line (via SyncBarrier), while
+ * synchronizing all browsers at the starting line (via StartLine — one barrier per
+ * raceStart, with a timeout so a stalled racer can't hold the others), while
  * ending just records a timestamp — each racer stops their own clock independently.
  *
  * If no explicit raceRecordingStart/End calls are made, recording automatically
  * wraps from the first raceStart to the last raceEnd.
  *
- * Returns { segments, measurements } for video trimming and result comparison.
+ * Returns { segments, measurements, messages, expectations, metrics, networkChanges, dnf } for video trimming and result comparison.
  */
 async function runMarkerMode(page, context, config, barriers, isParallel, sharedState, recordingStartTime, noOverlay = false, metricsCollector = null) {
   const { id, script: raceScript } = config;
@@ -545,6 +872,16 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
   let currentSegmentStart = null;
   const measurements = [];
   const activeMeasurements = {};
+  const activeSplits = {};
+  const activeStartLines = {};
+  const activePageStarts = {};
+
+  // --- Time limits: a racer over its limit is retired as Did Not Finish ---
+  const timeLimit = config.timeLimit || null;
+  const limitTimers = {};
+  let dnf = null;
+  let signalDnf;
+  const dnfSignal = new Promise(resolve => { signalDnf = resolve; });
 
   // --- Visual cues for frame-accurate video trimming ---
   // Place a colored square in the top-left corner so ffprobe can detect cut points.
@@ -588,7 +925,7 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
       if (!el) return;
       el.textContent = '🏁 ' + t.toFixed(1) + 's';
       el.style.background = 'rgba(22,163,74,0.85)';
-    }, duration);
+    }, duration).catch(() => {});
   };
 
   const hideRecordingIndicator = async () => {
@@ -601,6 +938,20 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
 
   const showMedal = async () => {
     if (!sharedState) return;
+    if (dnf) {
+      // Retired racers don't take a place
+      if (noOverlay) return;
+      await page.evaluate(() => {
+        const el = document.createElement('div');
+        el.id = '__race_medal';
+        el.textContent = '🚩 DNF';
+        el.style.cssText = 'position:fixed;top:50%;left:50%;transform:translate(-50%,-50%);z-index:2147483647;'
+          + 'font:bold 64px/1 system-ui,sans-serif;pointer-events:none;'
+          + 'background:rgba(0,0,0,0.6);color:#fff;padding:24px 48px;border-radius:16px';
+        document.body.appendChild(el);
+      });
+      return;
+    }
     // Record finish with actual measurement end time for accurate ranking
     const lastMeasurement = measurements[measurements.length - 1];
     const endTime = lastMeasurement ? lastMeasurement.endTime : (Date.now() - recordingStartTime) / 1000;
@@ -649,14 +1000,17 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
     await showRecordingIndicator();
     await flashCue(CUE_COLOR_START);
     currentSegmentStart = (Date.now() - recordingStartTime) / 1000;
+    emit('recording-started', { id, time: currentSegmentStart });
   };
 
 
   let stopPromise = null;
   const stopRecording = async () => {
     if (currentSegmentStart === null) return stopPromise;
-    segments.push({ start: currentSegmentStart, end: (Date.now() - recordingStartTime) / 1000 });
+    const end = (Date.now() - recordingStartTime) / 1000;
+    segments.push({ start: currentSegmentStart, end });
     currentSegmentStart = null;
+    emit('recording-ended', { id, time: end });
     stopPromise = (async () => {
       await hideRecordingIndicator();
       await showMedal();
@@ -667,33 +1021,199 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
 
   let raceStartTime = null;
 
-  const startMeasure = (name = 'default') => {
+  // The page's own high-resolution clock. performance.now() is relative to timeOrigin,
+  // which changes on navigation, so both are kept. Null if the page is mid-navigation.
+  const readPageClock = () => page.evaluate(() => ({ timeOrigin: performance.timeOrigin, now: performance.now() })).catch(() => null);
+  const pendingClockReads = [];
+
+  const startMeasure = (name = 'default', { line = null } = {}) => {
+    if (dnf) return;
     if (raceStartTime === null) raceStartTime = Date.now();
+    const limit = timeLimit?.measurements?.[name];
+    if (limit) {
+      clearTimeout(limitTimers[name]);
+      limitTimers[name] = setTimeout(() => retire(`${name} over its ${limit}s time limit`, name), limit * 1000);
+    }
     activeMeasurements[name] = (Date.now() - recordingStartTime) / 1000;
+    activeSplits[name] = [];
+    if (line) activeStartLines[name] = line;
+    else delete activeStartLines[name];
+    delete activePageStarts[name];
+    emit('measurement-started', { id, name, time: activeMeasurements[name], ...(line && { waited: line.waited }) });
   };
 
-  const endMeasure = (name = 'default') => {
+  // Hold at the starting line until every racer reaches this raceStart (parallel mode only)
+  const startCounts = {};
+  const waitAtStartLine = async (name) => {
+    if (!isParallel || !barriers?.startLine || dnf) return null;
+    startCounts[name] = (startCounts[name] || 0) + 1;
+    const result = await barriers.startLine.wait(id, name, startCounts[name], `${id} raceStart(${name})`);
+    if (result.aborted) return null;
+    return { waited: result.waited, ...(result.timedOut && { timedOut: true }) };
+  };
+
+  const splitMeasure = (name = 'default', label) => {
+    if (dnf) return 0;
     const start = activeMeasurements[name];
     if (start === undefined) return 0;
-    const end = (Date.now() - recordingStartTime) / 1000;
+    const time = (Date.now() - recordingStartTime) / 1000;
+    const splits = activeSplits[name];
+    const elapsed = time - start;
+    splits.push({ label: label == null ? `Split ${splits.length + 1}` : String(label), time, elapsed });
+    emit('measurement-split', { id, name, label: splits[splits.length - 1].label, elapsed });
+    return elapsed;
+  };
+
+  const setPageClock = (measurement, pageStart, pageEnd) => {
+    measurement.pageStart = pageStart;
+    measurement.pageEnd = pageEnd;
+    measurement.pageDuration = ((pageEnd.timeOrigin + pageEnd.now) - (pageStart.timeOrigin + pageStart.now)) / 1000;
+  };
+
+  // finish comes from the finish-line watchers: the page-clock moment the condition
+  // was met, and the matching (back-dated) Node time
+  const endMeasure = (name = 'default', finish = null) => {
+    const start = activeMeasurements[name];
+    if (start === undefined) return 0;
+    clearTimeout(limitTimers[name]);
+    delete limitTimers[name];
+    const end = ((finish ? finish.endedAt : Date.now()) - recordingStartTime) / 1000;
     const duration = end - start;
-    measurements.push({ name, startTime: start, endTime: end, duration });
+    const splits = activeSplits[name];
+    const line = activeStartLines[name];
+    const pageStart = activePageStarts[name];
+    const measurement = {
+      name, startTime: start, endTime: end, duration,
+      ...(splits.length > 0 && { splits }),
+      ...(line && { startWait: line.waited, ...(line.timedOut && { startTimedOut: true }) }),
+    };
+    measurements.push(measurement);
+    if (pageStart && finish?.pageEnd) {
+      setPageClock(measurement, pageStart, finish.pageEnd);
+    } else if (pageStart) {
+      // raceEnd stays synchronous: the in-page end time is read in the background
+      // and filled in before results are returned
+      pendingClockReads.push(readPageClock().then(pageEnd => {
+        if (pageEnd) setPageClock(measurement, pageStart, pageEnd);
+      }));
+    }
     delete activeMeasurements[name];
-    showFinishTime(duration);
-    return end - start;
+    delete activeSplits[name];
+    delete activeStartLines[name];
+    delete activePageStarts[name];
+    const result = measurement.pageDuration ?? duration;
+    emit('measurement-ended', { id, name, duration: result });
+    showFinishTime(result);
+    return result;
+  };
+
+  /**
+   * Retire this racer: close out running measurements (kept, flagged dnf, with the
+   * time they had reached) and release the script runner, which stops waiting for
+   * the script. Recording still ends normally, so the partial video is kept.
+   */
+  const retire = (reason, measurement = null) => {
+    if (dnf) return;
+    for (const name of Object.keys(activeMeasurements)) {
+      endMeasure(name);
+      measurements[measurements.length - 1].dnf = true;
+    }
+    Object.values(limitTimers).forEach(clearTimeout);
+    dnf = { reason, ...(measurement && { measurement }), time: (Date.now() - recordingStartTime) / 1000 };
+    console.error(`[${id}] DNF: ${reason}`);
+    barriers?.startLine?.leave(id);
+    emit('dnf', { id, reason, ...(measurement && { measurement }), time: dnf.time });
+    signalDnf(dnf);
+  };
+
+  // Requests in flight, for raceEndOnNetworkIdle. Tracked from the start so requests
+  // already running when the helper is called still count.
+  const inflightRequests = new Set();
+  let lastNetworkActivity = Date.now();
+  page.on('request', (request) => { inflightRequests.add(request); lastNetworkActivity = Date.now(); });
+  const settleRequest = (request) => { inflightRequests.delete(request); lastNetworkActivity = Date.now(); };
+  page.on('requestfinished', settleRequest);
+  page.on('requestfailed', settleRequest);
+
+  // Run a watcher in the page; if the page navigates mid-wait, start over in the new document
+  const watchInPage = async (watcher, arg, deadline) => {
+    for (;;) {
+      try {
+        return await page.evaluate(watcher, { ...arg, timeout: Math.max(deadline - Date.now(), 0) });
+      } catch (e) {
+        if (Date.now() >= deadline || !/context was destroyed|navigat/i.test(e.message)) throw e;
+        await page.waitForLoadState('domcontentloaded').catch(() => {});
+      }
+    }
   };
 
   let hasExplicitRecording = false;
   let autoRecordingStarted = false;
 
+  // Kept for the results too: elapsed is race time, time is recording time (for the video timeline)
+  const messages = [];
   page.raceMessage = (text) => {
     if (text == null) {
       text = '';
     } else if (typeof text !== 'string') {
       text = String(text);
     }
-    const elapsed = raceStartTime ? ((Date.now() - raceStartTime) / 1000).toFixed(1) : '0.0';
-    console.error(`[${id}] __raceMessage__[${elapsed}]:${text}`);
+    const now = Date.now();
+    const elapsed = Number((raceStartTime ? (now - raceStartTime) / 1000 : 0).toFixed(1));
+    messages.push({ text, elapsed, time: (now - recordingStartTime) / 1000 });
+    emit('message', { id, text, elapsed });
+  };
+  // A selector must be visible right now; a function is called in Node (it may be async and
+  // use page); anything else is awaited and checked for truthiness. Never throws.
+  const expectations = [];
+  page.raceExpect = async (condition, message) => {
+    let passed = false;
+    let error = null;
+    try {
+      if (typeof condition === 'string') passed = await page.locator(condition).first().isVisible();
+      else if (typeof condition === 'function') passed = !!(await condition());
+      else passed = !!(await condition);
+    } catch (e) {
+      error = e.message.split('\n')[0];
+    }
+    const text = message == null
+      ? (typeof condition === 'string' ? `${condition} is visible` : 'expectation')
+      : String(message);
+    const during = Object.keys(activeMeasurements);
+    const time = (Date.now() - recordingStartTime) / 1000;
+    expectations.push({ message: text, passed, time, ...(during.length > 0 && { during }), ...(error && { error }) });
+    emit('expectation', { id, message: text, passed, time });
+    return passed;
+  };
+  // Reporting the same metric again replaces its value; the last one counts
+  const metrics = [];
+  const networkChanges = [];
+  page.raceNetwork = async (profile = 'none') => {
+    // Throws on unknown profiles like the settings do, so the spec fails loudly
+    const conditions = networkConditions(profile, config.networkProfiles);
+    const label = networkProfileLabel(profile);
+    if ((config.browser || 'chromium') === 'chromium') {
+      await emulateNetwork(page, conditions);
+    } else {
+      // Other engines can only go offline and back
+      await context.setOffline(!!conditions?.offline);
+      if (conditions && !conditions.offline) console.error(`[${id}] Warning: raceNetwork("${label}") only throttles in Chromium`);
+    }
+    const change = { profile: label, time: (Date.now() - recordingStartTime) / 1000 };
+    networkChanges.push(change);
+    emit('network', { id, ...change });
+  };
+  page.raceMetric = (name, value, { unit = '', better = 'lower' } = {}) => {
+    if (!name) throw new Error('raceMetric needs a name');
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`raceMetric("${name}"): value must be a finite number`);
+    if (better !== 'lower' && better !== 'higher') throw new Error(`raceMetric("${name}"): better must be 'lower' or 'higher'`);
+    if (dnf) return value;
+    const metric = { name: String(name), value, unit: String(unit), better, time: (Date.now() - recordingStartTime) / 1000 };
+    const existing = metrics.findIndex(m => m.name === metric.name);
+    if (existing !== -1) metrics.splice(existing, 1);
+    metrics.push(metric);
+    emit('metric', { id, name: metric.name, value, unit: metric.unit, better, time: metric.time });
+    return value;
   };
   page.raceRecordingStart = async () => { hasExplicitRecording = true; await startRecording(); };
   page.raceRecordingEnd = async () => { hasExplicitRecording = true; await stopRecording(); };
@@ -702,20 +1222,64 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
       autoRecordingStarted = true;
       await startRecording();
     }
-    // Start metrics measurement on first raceStart
+    const line = await waitAtStartLine(name);
+    // Start metrics measurement on first raceStart; later laps extend the same window.
+    // Only once past the starting line, so the wait there isn't profiled.
     if (metricsCollector && raceStartTime === null) {
       await metricsCollector.startMeasurement();
+    } else if (metricsCollector && Object.keys(activeMeasurements).length === 0) {
+      metricsCollector.resumeMeasurement();
     }
-    startMeasure(name);
+    startMeasure(name, { line });
+    // Read the page clock after the Node stamp, as raceEnd does, so both clocks
+    // carry the same round trip. Skip it if the measurement ended or restarted meanwhile.
+    const started = activeMeasurements[name];
+    const pageStart = await readPageClock();
+    if (pageStart && activeMeasurements[name] === started && started !== undefined) activePageStarts[name] = pageStart;
   };
-  page.raceEnd = (name = 'default') => {
-    const duration = endMeasure(name);
+  page.raceSplit = (name = 'default', label) => splitMeasure(name, label);
+  const finishMeasure = (name, finish = null) => {
+    const duration = endMeasure(name, finish);
     // Stop metrics measurement when the last measurement ends
     if (metricsCollector && Object.keys(activeMeasurements).length === 0) {
       metricsCollector.stopMeasurement();
     }
     return duration;
   };
+  page.raceEnd = (name = 'default') => finishMeasure(name);
+  page.raceEndWhenVisible = async (name = 'default', selector, { timeout = DEFAULT_FINISH_TIMEOUT } = {}) => {
+    if (!selector) throw new Error('raceEndWhenVisible needs a selector');
+    let pageEnd;
+    try {
+      pageEnd = await watchInPage(watchVisible, { selector }, Date.now() + timeout);
+    } catch (e) {
+      throw new Error(`raceEndWhenVisible("${name}"): ${e.message}`);
+    }
+    return finishMeasure(name, finishAt(pageEnd));
+  };
+  page.raceEndOnNetworkIdle = async (name = 'default', { idle = 500, timeout = DEFAULT_FINISH_TIMEOUT } = {}) => {
+    const deadline = Date.now() + timeout;
+    while (inflightRequests.size > 0 || Date.now() - lastNetworkActivity < idle) {
+      if (Date.now() >= deadline) {
+        throw new Error(`raceEndOnNetworkIdle("${name}"): network not idle for ${idle}ms within ${timeout}ms (${inflightRequests.size} requests in flight)`);
+      }
+      await new Promise(r => setTimeout(r, 25));
+    }
+    // The finish is when the last response arrived, read from Resource Timing
+    const pageStart = activePageStarts[name];
+    const since = pageStart ? pageStart.timeOrigin + pageStart.now : null;
+    const timing = await page.evaluate(readResponseEnds).catch(() => null);
+    return finishMeasure(name, timing ? finishAt(lastResponseFinish(timing, since)) : null);
+  };
+  page.raceEndWhenStable = async (name = 'default', { quiet = 500, timeout = DEFAULT_FINISH_TIMEOUT } = {}) => {
+    let pageEnd;
+    try {
+      pageEnd = await watchInPage(watchStable, { quiet }, Date.now() + timeout);
+    } catch (e) {
+      throw new Error(`raceEndWhenStable("${name}"): ${e.message}`);
+    }
+    return finishMeasure(name, finishAt(pageEnd));
+  };
 
   if (isParallel && barriers) {
     const result = await barriers.ready.wait(`${id} ready`);
@@ -724,50 +1288,89 @@ async function runMarkerMode(page, context, config, barriers, isParallel, shared
     }
   }
 
-  if (!raceScript || raceScript.trim() === '') return { segments: [], measurements: [] };
+  if (!raceScript || raceScript.trim() === '') {
+    barriers?.startLine?.leave(id);
+    return { segments: [], measurements: [], messages: [], expectations: [], metrics: [], networkChanges: [], dnf: null };
+  }
 
   // SECURITY: Race scripts execute with the full privileges of this Node.js
   // process. Only run scripts you trust — this is equivalent to `node <file>`.
   const sanitized = sanitizeScript(raceScript);
+  const raceTimer = timeLimit?.race
+    ? setTimeout(() => retire(`over the ${timeLimit.race}s time limit`), timeLimit.race * 1000)
+    : null;
   try {
     const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
     const fn = new AsyncFunction('page', '__startRecording', '__stopRecording', '__startMeasure', '__endMeasure', sanitized);
-    await fn(page, startRecording, stopRecording, startMeasure, endMeasure);
+    const run = fn(page, startRecording, stopRecording, startMeasure, endMeasure);
+    // After a DNF the abandoned script fails once its page closes; that's expected
+    run.catch(() => {});
+    await Promise.race([run, dnfSignal]);
   } catch (error) {
-    console.error(`[${id}] Script failed: ${error.message}`);
-    throw new Error(`Script execution failed: ${error.message}`);
+    if (!dnf) {
+      console.error(`[${id}] Script failed: ${error.message}`);
+      throw new Error(`Script execution failed: ${error.message}`);
+    }
+  } finally {
+    clearTimeout(raceTimer);
+    Object.values(limitTimers).forEach(clearTimeout);
+    // Done racing, whether finished, failed or retired: nobody waits for us at a later raceStart
+    barriers?.startLine?.leave(id);
   }
 
-  if (currentSegmentStart !== null) await stopRecording();
-  if (stopPromise) await stopPromise;
+  // A retired racer's page may be stuck, so don't let wrapping up hang on it
+  const wrapUp = (promise) => (dnf ? settleWithin(promise, 3000) : promise);
+  if (currentSegmentStart !== null) await wrapUp(stopRecording());
+  if (stopPromise) await wrapUp(stopPromise);
+  await settleWithin(Promise.all(pendingClockReads), 3000);
 
   if (isParallel && barriers) {
     await barriers.stop.wait(`${id} finished`);
   }
 
-  await page.waitForTimeout(500);
-  return { segments, measurements };
+  await wrapUp(page.waitForTimeout(500));
+  return { segments, measurements, messages, expectations, metrics, networkChanges, dnf };
+}
+
+/** Wait for a promise, but no longer than ms; resolves with fallback on timeout or failure. */
+function settleWithin(promise, ms, fallback = null) {
+  let timer;
+  return Promise.race([
+    Promise.resolve(promise).catch(() => fallback),
+    new Promise(resolve => { timer = setTimeout(() => resolve(fallback), ms); }),
+  ]).finally(() => clearTimeout(timer));
 }
 
 // --- Network & CPU throttling ---
 
-const NETWORK_PRESETS = {
-  'none': null,
-  'slow-3g': { downloadThroughput: 500 * 1024 / 8, uploadThroughput: 500 * 1024 / 8, latency: 400 },
-  'fast-3g': { downloadThroughput: 1500 * 1024 / 8, uploadThroughput: 750 * 1024 / 8, latency: 150 },
-  '4g': { downloadThroughput: 4000 * 1024 / 8, uploadThroughput: 3000 * 1024 / 8, latency: 50 },
-};
+/** Conditions that lift any network emulation. */
+const UNTHROTTLED = { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
 
-async function applyThrottling(page, throttle, id) {
-  if (!throttle) return;
+const cdpSessions = new WeakMap();
+
+/** One CDP session per page, shared so later network switches replace the earlier conditions. */
+function cdpSession(page) {
+  if (!cdpSessions.has(page)) cdpSessions.set(page, page.context().newCDPSession(page));
+  return cdpSessions.get(page);
+}
+
+/** Apply network conditions from networkConditions() to a Chromium page; null lifts them. */
+async function emulateNetwork(page, conditions) {
+  const client = await cdpSession(page);
+  await client.send('Network.enable');
+  await client.send('Network.emulateNetworkConditions', conditions || UNTHROTTLED);
+}
+
+/**
+ * Throttle a Chromium page: the racer's network conditions (from its profile) and
+ * the CPU slowdown. Replayed responses never reach the network stack, so a replaying
+ * racer gets no network conditions here; setupHarReplay paces them instead.
+ */
+async function applyThrottling(page, throttle, id, conditions) {
   try {
-    const client = await page.context().newCDPSession(page);
-    const net = NETWORK_PRESETS[throttle.network];
-    if (net) {
-      await client.send('Network.enable');
-      await client.send('Network.emulateNetworkConditions', { offline: false, ...net });
-    }
-    if (throttle.cpu > 1) {
+    if (conditions) await emulateNetwork(page, conditions);
+    if (throttle && throttle.cpu > 1) {
+      const client = await cdpSession(page);
       await client.send('Emulation.setCPUThrottlingRate', { rate: throttle.cpu });
     }
   } catch (error) {
@@ -775,6 +1378,99 @@ async function applyThrottling(page, throttle, id) {
   }
 }
 
+// --- HAR record & replay ---
+
+/** Where a recording is written until the run succeeds, so a failed run never leaves a broken HAR. */
+const partialHarPath = (harPath) => `${harPath}.partial`;
+
+/** Response body sizes by "METHOD url" from a HAR, for pacing replayed responses. */
+function harResponseSizes(harPath) {
+  const sizes = new Map();
+  const { log } = JSON.parse(fs.readFileSync(harPath, 'utf-8'));
+  for (const entry of log?.entries || []) {
+    const size = Math.max(entry.response?.bodySize ?? 0, entry.response?.content?.size ?? 0, 0);
+    sizes.set(`${entry.request.method} ${entry.request.url}`, size);
+  }
+  return sizes;
+}
+
+/**
+ * Serve a racer's requests from its HAR. Requests the HAR doesn't have are aborted,
+ * so a replayed race never touches the network. With network conditions, each response
+ * is held back by their latency plus its size over the download throughput.
+ * That's per request: concurrent requests don't share the bandwidth.
+ */
+async function setupHarReplay(context, harPath, conditions) {
+  await context.routeFromHAR(harPath, { notFound: 'abort' });
+  if (!conditions) return;
+  const sizes = harResponseSizes(harPath);
+  // Context routes run newest first, so this delays a request and then falls back to the HAR
+  await context.route('**/*', async (route) => {
+    const request = route.request();
+    const size = sizes.get(`${request.method()} ${request.url()}`) || 0;
+    const transfer = conditions.downloadThroughput > 0 ? size / conditions.downloadThroughput * 1000 : 0;
+    await new Promise(resolve => setTimeout(resolve, conditions.latency + transfer));
+    await route.fallback();
+  });
+}
+
+// --- Request blocking ---
+
+/**
+ * Abort the page's requests that match one of the racer's block rules. Page routes
+ * run before context routes, so this also holds while replaying a HAR.
+ * Returns { requests, tally }: the aborted request objects (not incidents), and
+ * per rule the "METHOD url" of everything it blocked.
+ */
+async function setupBlocking(page, rules) {
+  const match = createBlockMatcher(rules);
+  const requests = new Set();
+  const tally = new Map(rules.map(rule => [rule, []]));
+  await page.route('**/*', async (route) => {
+    const request = route.request();
+    let isNavigation = false;
+    try {
+      isNavigation = request.isNavigationRequest() && request.frame() === page.mainFrame();
+    } catch {}
+    const rule = match({ url: request.url(), resourceType: request.resourceType(), pageUrl: page.url(), isNavigation });
+    if (!rule) return route.fallback();
+    requests.add(request);
+    tally.get(rule).push(`${request.method()} ${request.url()}`);
+    await route.abort('blockedbyclient').catch(() => {});
+  });
+  return { requests, tally };
+}
+
+/**
+ * Per-rule counts for the result: [{ rule, requests, bytes }], in the order the rules
+ * were given. Blocked requests are never sent, so bytes are only known from a HAR
+ * that has every one of the rule's requests; otherwise they are null.
+ */
+function summarizeBlocked(tally, sizes) {
+  return [...tally].map(([rule, keys]) => ({
+    rule,
+    requests: keys.length,
+    bytes: keys.every(key => sizes.has(key)) ? keys.reduce((sum, key) => sum + sizes.get(key), 0) : null,
+  }));
+}
+
+/**
+ * List the requested features a racer's engine can't provide.
+ * Throttling, metrics and tracing all go through the Chrome DevTools Protocol,
+ * so Firefox and WebKit racers run without them instead of crashing. HAR replay
+ * paces responses itself, so it needs no network throttling from the engine.
+ */
+function unavailableFeatures(engine, throttle, profile, conditions, replaying = false, device = null) {
+  if (engine === 'chromium') return [];
+  const missing = [];
+  if (device?.isMobile && engine === 'firefox') missing.push('mobile emulation');
+  // Going offline works in every engine (context.setOffline); throttling doesn't
+  if (conditions && !conditions.offline && !replaying) missing.push('network throttling');
+  if (throttle && throttle.cpu > 1) missing.push('CPU throttling');
+  if (profile) missing.push('profiling');
+  return missing;
+}
+
 // --- Window layout calculation for N browsers ---
 
 /**
@@ -860,64 +1556,109 @@ function trimVideoWithFfmpeg(outputDir, markerSegments, id) {
  */
 async function runBrowserRecording(config, barriers, isParallel, sharedState, opts = {}) {
   const { browserIndex = 0, totalBrowsers = 2, throttle = null, profile = false, slowmo = 0, noOverlay = false, ffmpeg = false } = opts;
-  const { id, headless } = config;
+  const { id, headless, har = null, serve = null, block = null, device = null } = config;
+  const engine = config.browser || 'chromium';
+  const isChromium = engine === 'chromium';
+  // The racer's own profile; configs without one race on the shared preset
+  const conditions = networkConditions(config.network ?? throttle?.network, config.networkProfiles);
+  const unavailable = unavailableFeatures(engine, throttle, profile, conditions, har?.mode === 'replay', device);
   const outputDir = path.join(__dirname, 'recordings', id);
   let browser = null;
   let context = null;
+  let server = null;
   let error = null;
 
+  if (unavailable.length > 0) {
+    console.error(`[${id}] Warning: ${unavailable.join(', ')} unavailable in ${engine} (requires Chromium)`);
+  }
+
   fs.mkdirSync(outputDir, { recursive: true });
   cleanupOldVideos(outputDir);
 
   const layout = calculateWindowLayout(browserIndex, totalBrowsers);
-  const windowArgs = isParallel
+  // Window placement flags are Chromium command-line switches
+  const windowArgs = isParallel && isChromium
     ? [`--window-position=${layout.x},${layout.y}`, `--window-size=${layout.width},${layout.height}`]
     : [];
 
   try {
+    if (serve) {
+      server = await startStaticServer(serve);
+      console.error(`[${id}] Serving ${serve.dir} at ${server.url}`);
+    }
     const launchOpts = { headless: headless || false, args: windowArgs };
     if (slowmo > 0) launchOpts.slowMo = slowmo * 20;
-    browser = await chromium.launch(launchOpts);
+    browser = await browserTypes[engine].launch(launchOpts);
     activeBrowsers.push(browser);
+    emit('racer-launched', { id, browser: engine });
 
-    const viewportWidth = isParallel ? layout.width - 20 : 1280;
-    const viewportHeight = isParallel ? layout.height - 100 : 720;
+    // An emulated device brings its own viewport; otherwise fill the window (parallel) or 720p
+    const viewportWidth = device ? device.viewport.width : isParallel ? layout.width - 20 : 1280;
+    const viewportHeight = device ? device.viewport.height : isParallel ? layout.height - 100 : 720;
     const videoScale = slowmo > 0 ? 2 : 1;
     context = await browser.newContext({
       recordVideo: { dir: outputDir, size: { width: viewportWidth * videoScale, height: viewportHeight * videoScale } },
       viewport: { width: viewportWidth, height: viewportHeight },
+      ...(device && {
+        deviceScaleFactor: device.deviceScaleFactor,
+        hasTouch: device.hasTouch,
+        // Firefox has no mobile emulation and rejects the option
+        ...(engine !== 'firefox' && { isMobile: device.isMobile }),
+        ...(device.userAgent && { userAgent: device.userAgent }),
+      }),
+      ...(har?.mode === 'record' && { recordHar: { path: partialHarPath(har.path), content: 'embed' } }),
     });
+    if (har?.mode === 'replay') {
+      await setupHarReplay(context, har.path, har.throttle ? conditions : null);
+      console.error(`[${id}] Replaying ${har.path}`);
+    }
     const recordingStartTime = Date.now();
     activeContexts.push(context);
 
     const page = await context.newPage();
+    page.raceBaseUrl = server?.url ?? null;
     page.setDefaultTimeout(90000);
     page.setDefaultNavigationTimeout(90000);
 
+    const blocking = block ? await setupBlocking(page, block) : null;
+    const incidents = trackIncidents(page, recordingStartTime, blocking?.requests);
     await setupClickTracker(context, recordingStartTime);
-    await applyThrottling(page, throttle, id);
+    await setupFinishLineWatchers(context);
+    if (isChromium) await applyThrottling(page, throttle, id, har?.mode === 'replay' ? null : conditions);
+    else if (conditions?.offline && har?.mode !== 'replay') await context.setOffline(true);
 
-    const metricsCollector = profile ? await startProfiling(page, browser, id) : null;
+    const canProfile = profile && isChromium;
+    const metricsCollector = canProfile ? await startProfiling(page, browser, id) : null;
 
     const result = await runMarkerMode(page, context, config, barriers, isParallel, sharedState, recordingStartTime, noOverlay, metricsCollector);
     const markerSegments = result?.segments || [];
     const measurements = result?.measurements || [];
+    const messages = result?.messages || [];
+    const expectations = result?.expectations || [];
+    const metrics = result?.metrics || [];
+    const networkChanges = result?.networkChanges || [];
+    const dnf = result?.dnf || null;
 
     let tracePath = null;
     let profileMetrics = null;
-    if (profile) {
+    if (canProfile) {
       const profiling = await collectProfilingResults(browser, metricsCollector, outputDir, id);
       tracePath = profiling.tracePath;
       profileMetrics = profiling.profileMetrics;
     }
 
-    const clickEvents = await getClickEvents(page);
+    const clickEvents = await settleWithin(getClickEvents(page), 3000, []);
     const adjustedClicks = remapClickTimestamps(clickEvents, markerSegments);
 
     await context.close();
     activeContexts = activeContexts.filter(c => c !== context);
     context = null;
-    console.error(`[${id}] Context closed`);
+    emit('racer-finished', { id });
+    // The HAR is written when the context closes; a retired racer's traffic is incomplete
+    if (har?.mode === 'record') {
+      if (dnf) fs.rmSync(partialHarPath(har.path), { force: true });
+      else fs.renameSync(partialHarPath(har.path), har.path);
+    }
 
     let fullVideoFile = null;
     const recordingSegments = markerSegments;
@@ -930,6 +1671,15 @@ async function runBrowserRecording(config, barriers, isParallel, sharedState, op
     await browser.close();
     activeBrowsers = activeBrowsers.filter(b => b !== browser);
     browser = null;
+    if (server) await server.close();
+    server = null;
+
+    let blocked = null;
+    if (blocking) {
+      // Only a replayed HAR knows what the blocked responses would have weighed
+      const sizes = har?.mode === 'replay' ? harResponseSizes(har.path) : new Map();
+      blocked = summarizeBlocked(blocking.tally, sizes);
+    }
 
     const videoFile = getMostRecentVideo(outputDir);
     return {
@@ -939,23 +1689,38 @@ async function runBrowserRecording(config, barriers, isParallel, sharedState, op
       tracePath: tracePath ? path.join(id, path.basename(tracePath)) : null,
       clickEvents: adjustedClicks,
       measurements,
+      messages,
+      expectations,
+      metrics,
+      networkChanges,
+      incidents,
       profileMetrics,
       recordingSegments: recordingSegments.length > 0 ? recordingSegments : null,
+      browser: engine,
+      unavailable,
+      har: har?.mode || null,
+      blocked,
+      dnf,
       error: null
     };
   } catch (e) {
     error = e;
     console.error(`[${id}] Error: ${e.message}`);
+    emit('error', { id, message: e.message });
     if (sharedState) { sharedState.hasError = true; sharedState.errorMessage = e.message; }
     if (barriers) {
       barriers.ready.releaseAll();
       barriers.recordingStart.releaseAll();
       barriers.stop.releaseAll();
+      barriers.startLine?.releaseAll();
     }
   }
 
   if (context) { try { await context.close(); } catch {} }
   if (browser) { try { await browser.close(); } catch {} }
+  if (server) await server.close();
+  if (har?.mode === 'record') fs.rmSync(partialHarPath(har.path), { force: true });
+  emit('racer-finished', { id });
 
   return {
     id,
@@ -964,8 +1729,15 @@ async function runBrowserRecording(config, barriers, isParallel, sharedState, op
     tracePath: null,
     clickEvents: [],
     measurements: [],
+    messages: [],
+    expectations: [],
+    metrics: [],
+    networkChanges: [],
+    incidents: [],
     profileMetrics: null,
     recordingSegments: null,
+    browser: engine,
+    unavailable,
     error: error ? error.message : null
   };
 }
@@ -978,7 +1750,8 @@ async function runParallel(browserConfigs, opts = {}) {
   const barriers = {
     ready: new SyncBarrier(count, sharedState),
     recordingStart: new SyncBarrier(count, sharedState),
-    stop: new SyncBarrier(count, sharedState)
+    stop: new SyncBarrier(count, sharedState),
+    startLine: opts.syncStart === false ? null : new StartLine(count, sharedState, (opts.syncTimeout ?? 30) * 1000)
   };
 
   const promises = browserConfigs.map((config, i) =>
@@ -989,7 +1762,7 @@ async function runParallel(browserConfigs, opts = {}) {
 
   return results.map((r, i) => {
     if (r.status === 'fulfilled') return r.value;
-    return { id: browserConfigs[i].id, videoPath: null, error: r.reason?.message || 'Unknown error' };
+    return { id: browserConfigs[i].id, videoPath: null, browser: browserConfigs[i].browser, error: r.reason?.message || 'Unknown error' };
   });
 }
 
@@ -1016,8 +1789,8 @@ async function main() {
   try { config = JSON.parse(configJson); }
   catch (e) { console.error('Error: Invalid JSON:', e.message); process.exit(1); }
 
-  const { browsers, executionMode, throttle, headless, profile, slowmo, noOverlay, ffmpeg } = config;
-  const runOpts = { throttle, profile, slowmo, noOverlay, ffmpeg };
+  const { browsers, executionMode, throttle, headless, profile, slowmo, noOverlay, ffmpeg, syncStart, syncTimeout } = config;
+  const runOpts = { throttle, profile, slowmo, noOverlay, ffmpeg, syncStart, syncTimeout };
 
   // Set headless flag on all browser configs
   for (const browser of browsers) {
@@ -1037,27 +1810,18 @@ async function main() {
 
   const errors = results.filter(r => r.error).map(r => `${r.id}: ${r.error}`);
 
-  // Output in new array-based format
-  console.log(JSON.stringify({
-    browsers: results.map(r => ({
-      id: r.id,
-      videoPath: r.videoPath || null,
-      fullVideoPath: r.fullVideoPath || null,
-      tracePath: r.tracePath || null,
-      clickEvents: r.clickEvents || [],
-      measurements: r.measurements || [],
-      profileMetrics: r.profileMetrics || null,
-      recordingSegments: r.recordingSegments || null,
-      error: r.error || null
-    })),
+  emit('finished', { result: {
+    browsers: results.map(finishedRacerResult),
     errors: errors.length > 0 ? errors : undefined
-  }));
+  } });
 
+  await flushEvents();
   process.exit(errors.length > 0 ? 1 : 0);
 }
 
-main().catch(err => {
+main().catch(async (err) => {
   console.error('Fatal error:', err);
-  console.log(JSON.stringify({ browsers: [], errors: [err.message] }));
+  emit('finished', { result: { browsers: [], errors: [err.message] } });
+  await flushEvents();
   process.exit(1);
 });
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { resolveBaselineDir, loadBaseline, compareToBaseline, formatBaselineDelta } from '../cli/baseline.js';
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-baseline-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeResults(name, summary, mtime) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify(summary));
+  if (mtime) fs.utimesSync(dir, mtime, mtime);
+  return dir;
+}
+
+describe('resolveBaselineDir', () => {
+  it('picks the most recent results directory for "latest"', () => {
+    writeResults('results-old', {}, new Date('2025-01-01'));
+    const newest = writeResults('results-new', {}, new Date('2025-06-01'));
+    fs.mkdirSync(path.join(tmpDir, 'results-empty'));
+    expect(resolveBaselineDir(tmpDir, 'latest')).toBe(newest);
+  });
+
+  it('resolves a directory name relative to the race directory', () => {
+    const dir = writeResults('results-2025-01-01_10-00-00', {});
+    expect(resolveBaselineDir(tmpDir, 'results-2025-01-01_10-00-00')).toBe(dir);
+    expect(resolveBaselineDir(tmpDir, dir)).toBe(dir);
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(resolveBaselineDir(tmpDir, 'latest')).toBeNull();
+    expect(resolveBaselineDir(tmpDir, 'results-missing')).toBeNull();
+    expect(resolveBaselineDir(tmpDir, undefined)).toBeNull();
+  });
+
+  it('loads the baseline summary', () => {
+    const dir = writeResults('results-a', { racers: ['a'] });
+    expect(loadBaseline(dir)).toEqual({ racers: ['a'] });
+  });
+});
+
+describe('compareToBaseline', () => {
+  const baseline = {
+    timestamp: '2025-01-01T00:00:00.000Z',
+    racers: ['a', 'b'],
+    comparisons: [
+      { name: 'Load', racers: [{ duration: 1.0 }, { duration: 2.0 }] },
+      { name: 'Gone', racers: [{ duration: 1.0 }, { duration: 1.0 }] },
+    ],
+  };
+
+  it('reports per-racer deltas and flags regressions above the threshold', () => {
+    const summary = {
+      racers: ['a', 'b'],
+      comparisons: [{ name: 'Load', racers: [{ duration: 1.2 }, { duration: 1.5 }] }],
+    };
+    const result = compareToBaseline(summary, baseline, { dir: '/tmp/results-x', threshold: 10 });
+    expect(result.dir).toBe('/tmp/results-x');
+    expect(result.timestamp).toBe('2025-01-01T00:00:00.000Z');
+    expect(result.regressions).toBe(1);
+    expect(result.deltas).toHaveLength(2);
+    expect(result.deltas[0]).toMatchObject({ measurement: 'Load', racer: 'a', baseline: 1.0, current: 1.2, regression: true, improvement: false });
+    expect(result.deltas[0].diffPercent).toBeCloseTo(20);
+    expect(result.deltas[1]).toMatchObject({ racer: 'b', regression: false, improvement: true });
+  });
+
+  it('matches racers by name, not position', () => {
+    const summary = {
+      racers: ['b', 'c'],
+      comparisons: [{ name: 'Load', racers: [{ duration: 2.02 }, { duration: 1.0 }] }],
+    };
+    const result = compareToBaseline(summary, baseline);
+    expect(result.threshold).toBe(5);
+    expect(result.deltas).toHaveLength(1);
+    expect(result.deltas[0]).toMatchObject({ racer: 'b', regression: false, improvement: false });
+  });
+
+  it('skips measurements and racers without data', () => {
+    const summary = {
+      racers: ['a', 'b'],
+      comparisons: [
+        { name: 'Load', racers: [null, { duration: 2.0 }] },
+        { name: 'New', racers: [{ duration: 1.0 }, { duration: 1.0 }] },
+      ],
+    };
+    const result = compareToBaseline(summary, baseline);
+    expect(result.deltas.map(d => `${d.measurement}/${d.racer}`)).toEqual(['Load/b']);
+  });
+});
+
+describe('formatBaselineDelta', () => {
+  it('formats signed seconds and percent', () => {
+    expect(formatBaselineDelta({ diff: 0.2, diffPercent: 20 })).toBe('+0.200s (+20.0%)');
+    expect(formatBaselineDelta({ diff: -0.5, diffPercent: -25 })).toBe('-0.500s (-25.0%)');
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { urlPatternToRegExp, isThirdParty, createBlockMatcher } from '../cli/block.js';
+
+describe('urlPatternToRegExp', () => {
+  it('matches ** across slashes and * within a segment', () => {
+    expect(urlPatternToRegExp('**/analytics.js').test('https://cdn.example.com/js/analytics.js')).toBe(true);
+    expect(urlPatternToRegExp('https://example.com/*.js').test('https://example.com/app.js')).toBe(true);
+    expect(urlPatternToRegExp('https://example.com/*.js').test('https://example.com/js/app.js')).toBe(false);
+    expect(urlPatternToRegExp('**/app.js?v=1').test('https://example.com/app.js?v=1')).toBe(true);
+    expect(urlPatternToRegExp('**/app.js?v=1').test('https://example.com/app.jsxv=1')).toBe(false);
+  });
+});
+
+describe('isThirdParty', () => {
+  const page = 'https://www.example.com/shop';
+
+  it('treats the page host and its subdomains as first-party', () => {
+    expect(isThirdParty('https://www.example.com/app.js', page)).toBe(false);
+    expect(isThirdParty('https://static.example.com/app.css', page)).toBe(false);
+    expect(isThirdParty('https://example.com/api', page)).toBe(false);
+    expect(isThirdParty('https://www.google-analytics.com/collect', page)).toBe(true);
+    expect(isThirdParty('https://notexample.com/x.js', page)).toBe(true);
+  });
+
+  it('finds no third parties before the page has a web origin', () => {
+    expect(isThirdParty('https://cdn.other.com/x.js', 'about:blank')).toBe(false);
+    expect(isThirdParty('data:image/png;base64,AAAA', page)).toBe(false);
+  });
+});
+
+describe('createBlockMatcher', () => {
+  const match = createBlockMatcher(['third-party', 'font', '**/ads/**']);
+  const request = (url, resourceType = 'script', isNavigation = false) => ({ url, resourceType, pageUrl: 'https://example.com/', isNavigation });
+
+  it('returns the first rule that matches', () => {
+    expect(match(request('https://tracker.io/t.js'))).toBe('third-party');
+    expect(match(request('https://example.com/f.woff2', 'font'))).toBe('font');
+    expect(match(request('https://example.com/ads/banner.png', 'image'))).toBe('**/ads/**');
+    expect(match(request('https://example.com/app.js'))).toBeNull();
+  });
+
+  it('never blocks the page navigating to another site as third-party', () => {
+    expect(match(request('https://other.com/', 'document', true))).toBeNull();
+  });
+});
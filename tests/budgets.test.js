@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { checkBudgets, formatBudgetValue, isBudgetFloor } from '../cli/budgets.js';
+import { buildSummary, buildMedianSummary } from '../cli/summary.js';
+
+function makeSummary() {
+  return buildSummary(['lauda', 'hunt'], [
+    { measurements: [{ name: 'Load Time', duration: 1.8 }], profileMetrics: { measured: { scriptDuration: 250 }, total: {} } },
+    { measurements: [{ name: 'Load Time', duration: 2.7 }], profileMetrics: { measured: { scriptDuration: 600 }, total: {} } },
+  ], {}, '/tmp/results');
+}
+
+describe('checkBudgets', () => {
+  it('flags measurements over a shared budget', () => {
+    const result = checkBudgets(makeSummary(), { 'Load Time': 2.5 });
+    expect(result.checked).toBe(2);
+    expect(result.violations).toEqual([{ key: 'Load Time', racer: 'hunt', value: 2.7, budget: 2.5 }]);
+  });
+
+  it('checks profile metric keys', () => {
+    const result = checkBudgets(makeSummary(), { 'measured.scriptDuration': 500 });
+    expect(result.violations).toEqual([{ key: 'measured.scriptDuration', racer: 'hunt', value: 600, budget: 500 }]);
+  });
+
+  it('supports per-racer budgets with a "*" fallback', () => {
+    const result = checkBudgets(makeSummary(), { 'Load Time': { lauda: 1.5, '*': 3 } });
+    expect(result.checked).toBe(2);
+    expect(result.violations.map(v => v.racer)).toEqual(['lauda']);
+  });
+
+  it('only checks racers named in a per-racer budget without fallback', () => {
+    const result = checkBudgets(makeSummary(), { 'Load Time': { hunt: 3 } });
+    expect(result).toEqual({ checked: 1, violations: [] });
+  });
+
+  it('skips budgets with no matching data', () => {
+    const result = checkBudgets(makeSummary(), { 'Checkout': 1, 'total.domComplete': 100, 'Load Time': 'fast' });
+    expect(result).toEqual({ checked: 0, violations: [] });
+  });
+
+  it('checks profile metric keys against the median of a multi-run race', () => {
+    const runs = [[250, 600], [300, 450], [280, 700]].map(([lauda, hunt]) => buildSummary(['lauda', 'hunt'], [
+      { measurements: [], profileMetrics: { measured: { scriptDuration: lauda }, total: {} } },
+      { measurements: [], profileMetrics: { measured: { scriptDuration: hunt }, total: {} } },
+    ], {}, '/tmp/results'));
+    const result = checkBudgets(buildMedianSummary(runs, '/tmp/results'), { 'measured.scriptDuration': 500 });
+    expect(result.checked).toBe(2);
+    expect(result.violations).toEqual([{ key: 'measured.scriptDuration', racer: 'hunt', value: 600, budget: 500 }]);
+  });
+
+  it('counts a measurement the racer never finished as over budget', () => {
+    const summary = buildSummary(['lauda', 'hunt'], [
+      { measurements: [{ name: 'Load Time', duration: 1.8 }] },
+      { measurements: [{ name: 'Load Time', duration: 9, dnf: true }], dnf: { reason: 'over the 9s time limit', measurement: 'Load Time' } },
+    ], {}, '/tmp/results');
+    const result = checkBudgets(summary, { 'Load Time': 30 });
+    expect(result.checked).toBe(2);
+    expect(result.violations).toEqual([{ key: 'Load Time', racer: 'hunt', value: null, budget: 30 }]);
+    expect(formatBudgetValue('Load Time', null)).toBe('DNF');
+  });
+
+  it('checks raceMetric keys in their unit, as a floor when higher is better', () => {
+    const summary = buildSummary(['lauda', 'hunt'], [
+      { measurements: [], metrics: [{ name: 'Frame rate', value: 48, unit: 'fps', better: 'higher' }, { name: 'Bundle', value: 900, unit: 'KB', better: 'lower' }] },
+      { measurements: [], metrics: [{ name: 'Frame rate', value: 60, unit: 'fps', better: 'higher' }, { name: 'Bundle', value: 1200, unit: 'KB', better: 'lower' }] },
+    ], {}, '/tmp/results');
+    const result = checkBudgets(summary, { 'Frame rate': 55, 'Bundle': 1000 });
+    expect(result.checked).toBe(4);
+    expect(result.violations).toEqual([
+      { key: 'Frame rate', racer: 'lauda', value: 48, budget: 55, metric: { unit: 'fps', better: 'higher' } },
+      { key: 'Bundle', racer: 'hunt', value: 1200, budget: 1000, metric: { unit: 'KB', better: 'lower' } },
+    ]);
+    expect(isBudgetFloor(result.violations[0])).toBe(true);
+    expect(formatBudgetValue('Frame rate', 48, result.violations[0].metric)).toBe('48 fps');
+  });
+
+  it('handles missing budgets', () => {
+    expect(checkBudgets(makeSummary(), undefined)).toEqual({ checked: 0, violations: [] });
+  });
+});
+
+describe('formatBudgetValue', () => {
+  it('uses seconds for measurements and the metric unit for profile keys', () => {
+    expect(formatBudgetValue('Load Time', 2.5)).toBe('2.500s');
+    expect(formatBudgetValue('measured.scriptDuration', 500)).toBe('500.0ms');
+    expect(formatBudgetValue('total.networkTransferSize', 2048)).toBe('2.0 KB');
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect, vi } from 'vitest';
+import { racerDevice, resolveDevice } from '../cli/device.js';
+
+describe('racerDevice', () => {
+  it('prefers the racer\'s own device over the shared one', () => {
+    const settings = { device: 'Pixel 7', devices: { hunt: 'iPhone 15' } };
+    expect(racerDevice(settings, 'hunt')).toBe('iPhone 15');
+    expect(racerDevice(settings, 'lauda')).toBe('Pixel 7');
+    expect(racerDevice({}, 'lauda')).toBeNull();
+  });
+});
+
+describe('resolveDevice', () => {
+  it('expands a Playwright device name', () => {
+    const device = resolveDevice('Pixel 7');
+    expect(device).toMatchObject({ name: 'Pixel 7', isMobile: true, hasTouch: true });
+    expect(device.viewport.width).toBeGreaterThan(0);
+    expect(device.userAgent).toContain('Pixel 7');
+    expect(resolveDevice(device)).toEqual(device);
+  });
+
+  it('builds a custom device, or overrides a named one', () => {
+    expect(resolveDevice({ viewport: { width: 390, height: 844 }, deviceScaleFactor: 3, hasTouch: true })).toEqual({
+      name: 'custom', viewport: { width: 390, height: 844 }, deviceScaleFactor: 3, isMobile: false, hasTouch: true,
+    });
+    expect(resolveDevice({ name: 'Pixel 7', userAgent: 'RaceBot' }).userAgent).toBe('RaceBot');
+    expect(resolveDevice(null)).toBeNull();
+  });
+
+  it('rejects unknown names and missing viewports', () => {
+    expect(() => resolveDevice('Nokia 3310')).toThrow(/Unknown device "Nokia 3310"/);
+    expect(() => resolveDevice({ isMobile: true })).toThrow(/needs a viewport/);
+    expect(() => resolveDevice({ viewport: { width: 400, height: 800 }, deviceScaleFactor: 0 })).toThrow(/deviceScaleFactor/);
+  });
+
+  it('warns about fields it does not know', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    resolveDevice({ viewport: { width: 400, height: 800 }, orientation: 'landscape' });
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('Ignoring unknown device fields for custom: orientation'));
+    spy.mockRestore();
+  });
+});
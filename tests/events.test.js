@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createEventReader, RUNNER_EVENTS, RACER_RESULT_DEFAULTS, finishedRacerResult } from '../cli/events.js';
+import { moveResults } from '../cli/results.js';
+import { buildSummary } from '../cli/summary.js';
+
+describe('createEventReader', () => {
+  it('emits one event per JSON line', () => {
+    const events = [];
+    const read = createEventReader(e => events.push(e));
+    read('{"type":"racer-launched","id":"a","browser":"chromium"}\n{"type":"racer-finished","id":"a"}\n');
+    expect(events).toEqual([
+      { type: 'racer-launched', id: 'a', browser: 'chromium' },
+      { type: 'racer-finished', id: 'a' },
+    ]);
+  });
+
+  it('buffers lines split across chunks', () => {
+    const events = [];
+    const read = createEventReader(e => events.push(e));
+    read('{"type":"message","id":"a","te');
+    expect(events).toEqual([]);
+    read('xt":"hi\\nthere","elapsed":1.5}\n');
+    expect(events).toEqual([{ type: 'message', id: 'a', text: 'hi\nthere', elapsed: 1.5 }]);
+  });
+
+  it('skips malformed and untyped lines', () => {
+    const events = [];
+    const read = createEventReader(e => events.push(e));
+    read('not json\n\n{"id":"a"}\n[1,2]\n{"type":"finished","result":{"browsers":[]}}\n');
+    expect(events).toEqual([{ type: 'finished', result: { browsers: [] } }]);
+  });
+
+  it('documents every event type the runner emits', () => {
+    expect(RUNNER_EVENTS).toEqual(expect.arrayContaining([
+      'racer-launched', 'recording-started', 'measurement-started', 'measurement-ended',
+      'message', 'error', 'finished',
+    ]));
+  });
+});
+
+describe('runner event pipe', () => {
+  it('delivers the finished event before the runner exits', async () => {
+    const child = spawn('node', [fileURLToPath(new URL('../runner.cjs', import.meta.url)), JSON.stringify({ browsers: [], executionMode: 'sequential' })], {
+      stdio: ['ignore', 'ignore', 'ignore', 'pipe'],
+      env: { ...process.env, RACE_EVENT_FD: '3' },
+    });
+    const events = [];
+    child.stdio[3].setEncoding('utf-8');
+    child.stdio[3].on('data', createEventReader(e => events.push(e)));
+    const code = await new Promise(resolve => child.on('close', resolve));
+    expect(code).toBe(0);
+    expect(events).toEqual([{ type: 'finished', result: { browsers: [] } }]);
+  });
+});
+
+describe('finished event', () => {
+  /** A racer result with something in every field, as runBrowserRecording returns it. */
+  const racerResult = (id) => ({
+    id,
+    clickEvents: [{ x: 1, y: 2, t: 0.5 }],
+    measurements: [{ name: 'Load', startTime: 1, endTime: 2, duration: 1 }],
+    messages: [{ text: 'Box box', elapsed: 0.5, time: 1.5 }],
+    incidents: [{ type: 'pageerror', text: 'oops', time: 1.2 }],
+    expectations: [{ message: 'cart', passed: true, time: 1.8 }],
+    metrics: [{ name: 'FPS', value: 60, unit: 'fps', better: 'higher', time: 1.9 }],
+    networkChanges: [{ profile: 'offline', time: 1.1 }],
+    profileMetrics: null,
+    recordingSegments: [{ start: 1, end: 2 }],
+    browser: 'chromium',
+    unavailable: [],
+    har: 'replay',
+    blocked: [{ rule: 'third-party', requests: 2, bytes: 512 }],
+    dnf: id === 'hunt' ? { reason: 'time limit', time: 2 } : null,
+    error: null,
+  });
+
+  it('fills in defaults for fields a racer never produced', () => {
+    const result = finishedRacerResult({ id: 'lauda', measurements: undefined });
+    expect(result).toEqual({ ...RACER_RESULT_DEFAULTS, id: 'lauda' });
+  });
+
+  it('carries every racer result field from the runner through moveResults into the summary', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'finished-test-'));
+    try {
+      const names = ['lauda', 'hunt'];
+      const events = [];
+      const read = createEventReader(e => events.push(e));
+      read(`${JSON.stringify({ type: 'finished', result: { browsers: names.map(n => finishedRacerResult(racerResult(n))) } })}\n`);
+      const browsers = events[0].result.browsers;
+      const results = names.map((n, i) => moveResults(path.join(tmpDir, 'recordings'), n, tmpDir, browsers[i]));
+
+      for (const key of Object.keys(RACER_RESULT_DEFAULTS).filter(k => !k.endsWith('Path'))) {
+        expect(results[0][key], key).toEqual(racerResult('lauda')[key]);
+      }
+      const summary = buildSummary(names, results, {}, tmpDir);
+      expect(summary.messages.lauda).toHaveLength(1);
+      expect(summary.incidents.lauda.total).toBe(1);
+      expect(summary.expectations.lauda.passed).toBe(1);
+      expect(summary.comparisons.map(c => c.name)).toEqual(['Load', 'FPS']);
+      expect(summary.networkChanges.lauda).toEqual([{ profile: 'offline', time: 1.1 }]);
+      expect(summary.har).toEqual({ lauda: 'replay', hunt: 'replay' });
+      expect(summary.blocked.lauda.requests).toBe(2);
+      expect(summary.dnf.hunt.reason).toBe('time limit');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
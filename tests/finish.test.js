@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { finishAt, lastResponseFinish } from '../cli/finish.js';
+
+describe('finishAt', () => {
+  it('back-dates the Node finish by the in-page lag', () => {
+    const pageEnd = { timeOrigin: 1000, now: 250, lag: 40 };
+    expect(finishAt(pageEnd, 5000)).toEqual({ pageEnd, endedAt: 4960 });
+  });
+
+  it('keeps the Node time when the condition was met on report', () => {
+    expect(finishAt({ timeOrigin: 0, now: 10, lag: 0 }, 5000).endedAt).toBe(5000);
+  });
+});
+
+describe('lastResponseFinish', () => {
+  const timeOrigin = 1_000_000;
+
+  it('finishes at the latest responseEnd, lagging the read by the time since', () => {
+    const finish = lastResponseFinish({ timeOrigin, now: 900, responseEnds: [300, 700, 450] }, timeOrigin + 100);
+    expect(finish).toEqual({ timeOrigin, now: 700, lag: 200 });
+  });
+
+  it('never finishes before the measurement started', () => {
+    const finish = lastResponseFinish({ timeOrigin, now: 900, responseEnds: [300, 450] }, timeOrigin + 600);
+    expect(finish).toEqual({ timeOrigin, now: 600, lag: 300 });
+  });
+
+  it('measures `since` against the current document, after a navigation', () => {
+    // The measurement started 200ms into a previous document; this one began 500ms later
+    const finish = lastResponseFinish({ timeOrigin: timeOrigin + 500, now: 400, responseEnds: [] }, timeOrigin + 200);
+    expect(finish).toEqual({ timeOrigin: timeOrigin + 500, now: -300, lag: 700 });
+  });
+
+  it('finishes at the read without a start or any responses', () => {
+    expect(lastResponseFinish({ timeOrigin, now: 900, responseEnds: [] })).toEqual({ timeOrigin, now: 900, lag: 0 });
+  });
+
+  it('finishes at the latest responseEnd without a start', () => {
+    expect(lastResponseFinish({ timeOrigin, now: 900, responseEnds: [120, 80] })).toEqual({ timeOrigin, now: 120, lag: 780 });
+  });
+});
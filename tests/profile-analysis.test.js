@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect, vi } from 'vitest';
-import { buildProfileComparison, PROFILE_METRICS, printProfileAnalysis, buildProfileMarkdown } from '../cli/profile-analysis.js';
+import { buildProfileComparison, PROFILE_METRICS, printProfileAnalysis, buildProfileMarkdown, computeWebVitals } from '../cli/profile-analysis.js';
 
 describe('buildProfileComparison', () => {
   it('returns empty comparisons when no metrics provided', () => {
@@ -242,6 +242,75 @@ describe('printProfileAnalysis', () => {
   });
 });
 
+describe('computeWebVitals', () => {
+  it('returns nulls when nothing was observed', () => {
+    expect(computeWebVitals([])).toEqual({ lcp: null, cls: null, inp: null, fcp: null, ttfb: null });
+  });
+
+  it('takes the latest LCP candidate and the first FCP/TTFB', () => {
+    const vitals = computeWebVitals([
+      { type: 'lcp', value: 1200, time: 1200 },
+      { type: 'ttfb', value: 80, time: 80 },
+      { type: 'fcp', value: 400, time: 400 },
+      { type: 'lcp', value: 600, time: 600 },
+    ]);
+    expect(vitals.lcp).toBe(1200);
+    expect(vitals.fcp).toBe(400);
+    expect(vitals.ttfb).toBe(80);
+  });
+
+  it('uses the largest layout shift session window for CLS', () => {
+    const vitals = computeWebVitals([
+      { type: 'layout-shift', value: 0.1, time: 0 },
+      { type: 'layout-shift', value: 0.1, time: 500 },
+      // >1s gap starts a new window
+      { type: 'layout-shift', value: 0.05, time: 3000 },
+    ]);
+    expect(vitals.cls).toBeCloseTo(0.2);
+  });
+
+  it('reports CLS 0 when entries were observed but nothing shifted', () => {
+    expect(computeWebVitals([{ type: 'fcp', value: 300, time: 300 }]).cls).toBe(0);
+  });
+
+  it('uses the slowest interaction for INP, grouping events by interactionId', () => {
+    const vitals = computeWebVitals([
+      { type: 'event', value: 40, interactionId: 'a', time: 100 },
+      { type: 'event', value: 120, interactionId: 'a', time: 100 },
+      { type: 'event', value: 80, interactionId: 'b', time: 900 },
+    ]);
+    expect(vitals.inp).toBe(120);
+  });
+
+  it('ignores one outlier per 50 interactions for INP', () => {
+    const events = Array.from({ length: 60 }, (_, i) => ({ type: 'event', value: i === 0 ? 1000 : 50, interactionId: i, time: i }));
+    expect(computeWebVitals(events).inp).toBe(50);
+  });
+});
+
+describe('web vitals comparisons', () => {
+  it('compares vitals in both scopes under the vitals category', () => {
+    const result = buildProfileComparison(['a', 'b'], [
+      { total: { lcp: 900, cls: 0.01 }, measured: { inp: 40 } },
+      { total: { lcp: 1500, cls: 0.2 }, measured: { inp: 200 } },
+    ]);
+    expect(result.total.byCategory.vitals.map(c => c.key)).toEqual(['total.lcp', 'total.cls']);
+    expect(result.total.byCategory.vitals.every(c => c.winner === 'a')).toBe(true);
+    expect(result.measured.byCategory.vitals[0].formatted).toEqual(['40.0ms', '200.0ms']);
+    expect(result.total.byCategory.vitals[1].formatted).toEqual(['0.010', '0.200']);
+  });
+
+  it('lists vitals in the markdown report', () => {
+    const comparison = buildProfileComparison(['a', 'b'], [
+      { total: { lcp: 900 }, measured: {} },
+      { total: { lcp: 1500 }, measured: {} },
+    ]);
+    const markdown = buildProfileMarkdown(comparison, ['a', 'b']);
+    expect(markdown).toContain('**Vitals**');
+    expect(markdown).toContain('| Largest Contentful Paint | 900.0ms | 1.50s | a | 66.7% |');
+  });
+});
+
 describe('buildProfileMarkdown', () => {
   it('returns empty string when no metrics', () => {
     const comparison = buildProfileComparison(['a', 'b'], [null, null]);
@@ -1,4 +1,5 @@
 import { describe, it, expect } from 'vitest';
+import { finishAt } from '../cli/finish.js';
 
 /**
  * Tests for the page.race* API and auto-recording behavior.
@@ -10,6 +11,7 @@ function createRaceAPI() {
   let currentSegmentStart = null;
   const measurements = [];
   const activeMeasurements = {};
+  const activeSplits = {};
   const markerState = { segments, currentSegmentStart };
   const recordingStartTime = Date.now();
 
@@ -32,15 +34,28 @@ function createRaceAPI() {
   const __startMeasure = (name = 'default') => {
     const timestamp = (Date.now() - recordingStartTime) / 1000;
     activeMeasurements[name] = timestamp;
+    activeSplits[name] = [];
   };
 
-  const __endMeasure = (name = 'default') => {
+  const __splitMeasure = (name = 'default', label) => {
     const startTime = activeMeasurements[name];
     if (startTime === undefined) return 0;
-    const endTime = (Date.now() - recordingStartTime) / 1000;
+    const time = (Date.now() - recordingStartTime) / 1000;
+    const splits = activeSplits[name];
+    const elapsed = time - startTime;
+    splits.push({ label: label == null ? `Split ${splits.length + 1}` : String(label), time, elapsed });
+    return elapsed;
+  };
+
+  const __endMeasure = (name = 'default', finish = null) => {
+    const startTime = activeMeasurements[name];
+    if (startTime === undefined) return 0;
+    const endTime = ((finish ? finish.endedAt : Date.now()) - recordingStartTime) / 1000;
     const duration = endTime - startTime;
-    measurements.push({ name, startTime, endTime, duration });
+    const splits = activeSplits[name];
+    measurements.push({ name, startTime, endTime, duration, ...(splits.length > 0 && { splits }) });
     delete activeMeasurements[name];
+    delete activeSplits[name];
     return duration;
   };
 
@@ -65,10 +80,10 @@ function createRaceAPI() {
     }
     __startMeasure(name);
   };
+  page.raceSplit = (name = 'default', label) => __splitMeasure(name, label);
   page.raceEnd = (name = 'default') => {
     return __endMeasure(name);
   };
-
   // Auto-stop helper (called after script execution in runner.js)
   const autoStopIfNeeded = () => {
     if (autoRecordingStarted && !hasExplicitRecording && markerState.currentSegmentStart !== null) {
@@ -176,6 +191,48 @@ describe('page.race* API', () => {
     });
   });
 
+  describe('page.raceSplit', () => {
+    it('records splits on the active measurement', async () => {
+      const { page, measurements } = createRaceAPI();
+
+      await page.raceStart('Dribble');
+      await new Promise(r => setTimeout(r, 5));
+      const elapsed = page.raceSplit('Dribble', 'Crossover');
+      await new Promise(r => setTimeout(r, 5));
+      page.raceSplit('Dribble');
+      page.raceEnd('Dribble');
+
+      const { splits, startTime, duration } = measurements[0];
+      expect(splits.map(s => s.label)).toEqual(['Crossover', 'Split 2']);
+      expect(splits[0].elapsed).toBe(elapsed);
+      expect(splits[0].time).toBeCloseTo(startTime + splits[0].elapsed, 5);
+      expect(splits[1].elapsed).toBeGreaterThanOrEqual(splits[0].elapsed);
+      expect(duration).toBeGreaterThanOrEqual(splits[1].elapsed);
+    });
+
+    it('ignores splits without an active measurement', async () => {
+      const { page, measurements } = createRaceAPI();
+
+      expect(page.raceSplit('Nope', 'x')).toBe(0);
+      await page.raceStart('Load');
+      page.raceEnd('Load');
+      expect(measurements[0].splits).toBeUndefined();
+    });
+  });
+
+  describe('finish-line helpers', () => {
+    it('ends the measurement at the back-dated finish, not when the wait returned', async () => {
+      const { page, measurements, __endMeasure } = createRaceAPI();
+      await page.raceStart('Load');
+      await new Promise(r => setTimeout(r, 60));
+      // The condition was met 50ms before the watcher reported back
+      const duration = __endMeasure('Load', finishAt({ timeOrigin: 0, now: 0, lag: 50 }));
+      expect(measurements).toHaveLength(1);
+      expect(duration).toBeLessThan(0.04);
+      expect(measurements[0].endTime).toBeCloseTo(measurements[0].startTime + duration, 5);
+    });
+  });
+
   describe('auto-recording behavior', () => {
     it('auto-stops recording when autoStopIfNeeded is called', async () => {
       const { page, markerState, autoStopIfNeeded } = createRaceAPI();
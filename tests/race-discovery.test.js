@@ -1,8 +1,8 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { discoverRacers, parseArgs, applyOverrides } from '../cli/config.js';
+import { discoverRacers, parseArgs, applyOverrides, resolveBrowsers, resolveTimeLimit, resolveNetwork, resolveHar, resolveServe, resolveBlock, networkConditions, racerNetworkProfile } from '../cli/config.js';
 
 let tmpDir;
 
@@ -209,6 +209,33 @@ describe('settings override', () => {
     expect(s.slowmo).toBe(3);
   });
 
+  it('CLI --reporter sets a list of known reporters', () => {
+    const s = applyOverrides({}, new Set(), { reporter: 'junit, tap,html' });
+    expect(s.reporters).toEqual(['junit', 'tap']);
+  });
+
+  it('CLI --baseline and --baseline-threshold set baseline settings', () => {
+    const s = applyOverrides({}, new Set(), { baseline: 'latest', 'baseline-threshold': '10' });
+    expect(s.baseline).toBe('latest');
+    expect(s.baselineThreshold).toBe(10);
+  });
+
+  it('ignores an invalid baseline threshold', () => {
+    const s = applyOverrides({ baselineThreshold: 3 }, new Set(), { 'baseline-threshold': 'lots' });
+    expect(s.baselineThreshold).toBe(3);
+  });
+
+  it('CLI --lap-basis sets a known lap basis', () => {
+    expect(applyOverrides({}, new Set(), { 'lap-basis': 'best' }).lapBasis).toBe('best');
+    expect(applyOverrides({ lapBasis: 'mean' }, new Set(), { 'lap-basis': 'fastest' }).lapBasis).toBe('mean');
+  });
+
+  it('CLI --no-sync-start and --sync-timeout configure the starting line', () => {
+    expect(applyOverrides({}, new Set(['no-sync-start']), {}).syncStart).toBe(false);
+    expect(applyOverrides({}, new Set(), { 'sync-timeout': '5' }).syncTimeout).toBe(5);
+    expect(applyOverrides({ syncTimeout: 10 }, new Set(), { 'sync-timeout': 'soon' }).syncTimeout).toBe(10);
+  });
+
   it('preserves settings when no overrides', () => {
     const orig = { parallel: true, network: 'fast-3g', cpuThrottle: 2 };
     const s = applyOverrides(orig, new Set(), {});
@@ -221,3 +248,166 @@ describe('settings override', () => {
     expect(orig.parallel).toBe(false);
   });
 });
+
+describe('browser engine resolution', () => {
+  it('defaults every racer to chromium', () => {
+    const { browsers } = resolveBrowsers(['a.spec.js', 'b.spec.js'], ['a', 'b'], {});
+    expect(browsers).toEqual(['chromium', 'chromium']);
+  });
+
+  it('uses settings.browser as the default engine', () => {
+    const { browsers } = resolveBrowsers(['a.spec.js', 'b.spec.js'], ['a', 'b'], { browser: 'webkit' });
+    expect(browsers).toEqual(['webkit', 'webkit']);
+  });
+
+  it('assigns per-racer engines from a browsers map', () => {
+    const { racerNames, browsers } = resolveBrowsers(['lauda.spec.js', 'hunt.spec.js'], ['lauda', 'hunt'], { browsers: { lauda: 'firefox' } });
+    expect(racerNames).toEqual(['lauda', 'hunt']);
+    expect(browsers).toEqual(['firefox', 'chromium']);
+  });
+
+  it('races the same spec across engines with a browsers array', () => {
+    const { racerFiles, racerNames, browsers } = resolveBrowsers(['app.spec.js'], ['app'], { browsers: ['chromium', 'webkit'] });
+    expect(racerFiles).toEqual(['app.spec.js', 'app.spec.js']);
+    expect(racerNames).toEqual(['app-chromium', 'app-webkit']);
+    expect(browsers).toEqual(['chromium', 'webkit']);
+  });
+
+  it('falls back to chromium for unknown engines', () => {
+    const { browsers } = resolveBrowsers(['a.spec.js', 'b.spec.js'], ['a', 'b'], { browsers: { a: 'netscape' } });
+    expect(browsers).toEqual(['chromium', 'chromium']);
+  });
+
+  it('CLI --browser overrides settings and per-racer mapping', () => {
+    const s = applyOverrides({ browser: 'firefox', browsers: { a: 'firefox' } }, new Set(), { browser: 'webkit' });
+    expect(s.browser).toBe('webkit');
+    expect(s.browsers).toBeUndefined();
+  });
+});
+
+describe('time limits', () => {
+  it('applies a plain number to every racer\'s whole script', () => {
+    expect(resolveTimeLimit(60, 'lauda')).toEqual({ race: 60, measurements: {} });
+    expect(resolveTimeLimit(undefined, 'lauda')).toBeNull();
+  });
+
+  it('resolves per-racer and per-measurement limits', () => {
+    const timeLimit = { race: 60, racers: { hunt: 90 }, measurements: { Load: 10, Bogus: -1 } };
+    expect(resolveTimeLimit(timeLimit, 'lauda')).toEqual({ race: 60, measurements: { Load: 10 } });
+    expect(resolveTimeLimit(timeLimit, 'hunt')).toEqual({ race: 90, measurements: { Load: 10 } });
+    expect(resolveTimeLimit({ measurements: { Load: 10 } }, 'hunt')).toEqual({ race: null, measurements: { Load: 10 } });
+    expect(resolveTimeLimit({ race: 0 }, 'hunt')).toBeNull();
+  });
+
+  it('CLI --time-limit replaces the overall and per-racer limits', () => {
+    expect(applyOverrides({}, new Set(), { 'time-limit': '45' }).timeLimit).toBe(45);
+    const s = applyOverrides({ timeLimit: { race: 60, racers: { hunt: 90 }, measurements: { Load: 10 } } }, new Set(), { 'time-limit': '45' });
+    expect(resolveTimeLimit(s.timeLimit, 'hunt')).toEqual({ race: 45, measurements: { Load: 10 } });
+    expect(applyOverrides({ timeLimit: 60 }, new Set(), { 'time-limit': 'never' }).timeLimit).toBe(60);
+  });
+
+  it('CLI --incident-penalty and --incident-limit set the incident rules', () => {
+    const s = applyOverrides({ incidents: { types: ['pageerror'] } }, new Set(), { 'incident-penalty': '0.5', 'incident-limit': '3' });
+    expect(s.incidents).toEqual({ types: ['pageerror'], penalty: 0.5, disqualify: 3 });
+    expect(applyOverrides({}, new Set(), { 'incident-limit': '1.5', 'incident-penalty': '-1' }).incidents).toBeUndefined();
+  });
+
+  it('CLI --replay turns on HAR replay and --network keeps the HAR options', () => {
+    expect(applyOverrides({ network: 'fast-3g' }, new Set(['replay']), {}).network).toEqual({ preset: 'fast-3g', replay: true });
+    expect(applyOverrides({ network: { record: true } }, new Set(), { network: '4g' }).network).toEqual({ record: true, preset: '4g' });
+    expect(applyOverrides({}, new Set(), { network: '4g' }).network).toBe('4g');
+  });
+});
+
+describe('network profiles', () => {
+  const profiles = { 'rural-3g': { download: 400, upload: 100, latency: 600, packetLoss: 2, connectionType: 'cellular3g' } };
+
+  it('turns presets and custom profiles into emulation conditions', () => {
+    expect(networkConditions('none')).toBeNull();
+    expect(networkConditions(undefined)).toBeNull();
+    expect(networkConditions('4g')).toEqual({ offline: false, latency: 50, downloadThroughput: 512000, uploadThroughput: 384000 });
+    expect(networkConditions('rural-3g', profiles)).toEqual({
+      offline: false, latency: 600, downloadThroughput: 51200, uploadThroughput: 12800, packetLoss: 2, connectionType: 'cellular3g',
+    });
+    expect(networkConditions('offline')).toEqual({ offline: true, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+    expect(networkConditions({ latency: 100 })).toEqual({ offline: false, latency: 100, downloadThroughput: -1, uploadThroughput: -1 });
+  });
+
+  it('rejects unknown names and invalid fields', () => {
+    expect(() => networkConditions('5g', profiles)).toThrow('Unknown network profile "5g", valid values: none, slow-3g, fast-3g, 4g, offline, rural-3g');
+    expect(() => networkConditions({ download: 0 })).toThrow(/download must be a positive number of kbit\/s/);
+    expect(() => networkConditions({ packetLoss: 120 })).toThrow(/packetLoss must be a percentage/);
+    expect(() => networkConditions({ connectionType: '5g' })).toThrow(/unknown connectionType "5g"/);
+  });
+
+  it('gives each racer its own profile or the shared one', () => {
+    const network = resolveNetwork({ preset: 'fast-3g', racers: { competitor: '4g' } });
+    expect(racerNetworkProfile(network, 'competitor')).toBe('4g');
+    expect(racerNetworkProfile(network, 'ours')).toBe('fast-3g');
+  });
+
+  it('CLI --network races everyone on one profile', () => {
+    const s = applyOverrides({ network: { preset: 'fast-3g', racers: { competitor: '4g' } } }, new Set(), { network: 'slow-3g' });
+    expect(racerNetworkProfile(resolveNetwork(s.network), 'competitor')).toBe('slow-3g');
+  });
+});
+
+describe('HAR record and replay', () => {
+  it('normalizes a preset name or a network object', () => {
+    expect(resolveNetwork('4g')).toEqual({ preset: '4g', racers: {}, record: false, replay: false, throttleReplay: false });
+    expect(resolveNetwork(undefined)).toEqual({ preset: 'none', racers: {}, record: false, replay: false, throttleReplay: false });
+    expect(resolveNetwork({ record: true, throttleReplay: true })).toEqual({ preset: 'none', racers: {}, record: true, replay: false, throttleReplay: true });
+  });
+
+  it('records a missing HAR and replays an existing one', () => {
+    const network = resolveNetwork({ preset: 'fast-3g', record: true, throttleReplay: true });
+    expect(resolveHar(network, tmpDir, 'lauda')).toEqual({ path: path.join(tmpDir, 'lauda.har'), mode: 'record' });
+    fs.writeFileSync(path.join(tmpDir, 'lauda.har'), '{}');
+    expect(resolveHar(network, tmpDir, 'lauda')).toEqual({ path: path.join(tmpDir, 'lauda.har'), mode: 'replay', throttle: true });
+    expect(resolveHar(resolveNetwork('fast-3g'), tmpDir, 'lauda')).toBeNull();
+  });
+
+  it('refuses to replay without a HAR unless it may record one', () => {
+    expect(() => resolveHar(resolveNetwork({ replay: true }), tmpDir, 'hunt')).toThrow(/No HAR to replay for hunt/);
+    expect(resolveHar(resolveNetwork({ replay: true, record: true }), tmpDir, 'hunt').mode).toBe('record');
+  });
+});
+
+describe('static server settings', () => {
+  it('shares one directory or gives each racer its own', () => {
+    fs.mkdirSync(path.join(tmpDir, 'dist'));
+    fs.mkdirSync(path.join(tmpDir, 'dist-next'));
+    expect(resolveServe('dist', 'lauda', tmpDir)).toEqual({ dir: path.join(tmpDir, 'dist'), latency: 0, compression: null });
+    const serve = { latency: 50, compression: 'gzip', racers: { lauda: 'dist', hunt: { dir: 'dist-next', compression: 'br' } } };
+    expect(resolveServe(serve, 'lauda', tmpDir)).toEqual({ dir: path.join(tmpDir, 'dist'), latency: 50, compression: 'gzip' });
+    expect(resolveServe(serve, 'hunt', tmpDir)).toEqual({ dir: path.join(tmpDir, 'dist-next'), latency: 50, compression: 'br' });
+    expect(resolveServe(serve, 'prost', tmpDir)).toBeNull();
+    expect(resolveServe(undefined, 'lauda', tmpDir)).toBeNull();
+  });
+
+  it('rejects a missing directory and ignores unknown compression', () => {
+    expect(() => resolveServe('missing', 'hunt', tmpDir)).toThrow(/Serve directory not found for hunt/);
+    fs.mkdirSync(path.join(tmpDir, 'dist'));
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(resolveServe({ dir: 'dist', compression: 'zstd' }, 'hunt', tmpDir).compression).toBeNull();
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('Unknown compression "zstd"'));
+    spy.mockRestore();
+  });
+});
+
+describe('block rules', () => {
+  it('gives every racer a list or each racer its own', () => {
+    expect(resolveBlock(['third-party'], 'lauda')).toEqual(['third-party']);
+    expect(resolveBlock({ hunt: ['third-party', 'font'] }, 'hunt')).toEqual(['third-party', 'font']);
+    expect(resolveBlock({ hunt: ['third-party'] }, 'lauda')).toBeNull();
+    expect(resolveBlock({ hunt: '**/ads/**' }, 'hunt')).toEqual(['**/ads/**']);
+    expect(resolveBlock(undefined, 'hunt')).toBeNull();
+  });
+
+  it('drops rules that are not strings', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(resolveBlock({ hunt: [42, ''] }, 'hunt')).toBeNull();
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('Invalid block rule 42 for hunt'));
+    spy.mockRestore();
+  });
+});
@@ -1,5 +1,9 @@
 import { describe, it, expect } from 'vitest';
-import { formatTimestamp, buildResultsPaths } from '../race.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatTimestamp, buildResultsPaths, race, raceSuite } from '../race.js';
 
 describe('formatTimestamp', () => {
   it('formats date as YYYY-MM-DD_HH-MM-SS', () => {
@@ -36,3 +40,40 @@ describe('buildResultsPaths', () => {
     expect(relHtml).toBe('index.html');
   });
 });
+
+describe('race', () => {
+  it('needs a race directory or inline racers', async () => {
+    await expect(race()).rejects.toThrow('race() needs a race directory (dir) or inline racers');
+  });
+
+  it('rejects a missing race directory', async () => {
+    await expect(race({ dir: '/nonexistent/race-dir' })).rejects.toThrow('Race directory not found');
+  });
+
+  it('needs at least two inline racers', async () => {
+    await expect(race({ racers: [{ name: 'solo', script: '' }] })).rejects.toThrow('Need at least 2 racers, got 1');
+  });
+
+  it('rejects with the error of a throwing onEvent callback', async () => {
+    const resultsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-onevent-'));
+    const racers = [{ name: 'onevent-a', script: '' }, { name: 'onevent-b', script: '' }];
+    const onEvent = (event) => { if (event.type !== 'run-started') throw new Error('callback failed'); };
+    try {
+      await expect(race({ racers, resultsDir, onEvent })).rejects.toThrow('callback failed');
+    } finally {
+      fs.rmSync(resultsDir, { recursive: true, force: true });
+      // The runner creates each racer's recordings folder before launching
+      for (const { name } of racers) fs.rmSync(fileURLToPath(new URL(`../recordings/${name}`, import.meta.url)), { recursive: true, force: true });
+    }
+  }, 60000);
+});
+
+describe('raceSuite', () => {
+  it('needs a suite directory', async () => {
+    await expect(raceSuite()).rejects.toThrow('raceSuite() needs a suite directory (dir)');
+  });
+
+  it('rejects a missing suite directory', async () => {
+    await expect(raceSuite({ dir: '/nonexistent/suite-dir' })).rejects.toThrow('Suite directory not found');
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { buildTestcases, buildJUnitXml, buildTap, writeReports } from '../cli/reporters.js';
+import { buildSummary, buildMedianSummary } from '../cli/summary.js';
+
+function makeSummary() {
+  const summary = buildSummary(['lauda', 'hunt'], [
+    { measurements: [{ name: 'Load', duration: 1.2 }, { name: 'Click', duration: 0.3 }] },
+    { measurements: [{ name: 'Load', duration: 2.7 }], error: 'Timeout <30s>' },
+  ], {}, '/tmp/results');
+  summary.timestamp = '2025-01-01T00:00:00.000Z';
+  summary.budgets = { checked: 2, violations: [{ key: 'Load', racer: 'hunt', value: 2.7, budget: 2.5 }] };
+  return summary;
+}
+
+describe('buildTestcases', () => {
+  it('creates one testcase per measurement and racer', () => {
+    const cases = buildTestcases(makeSummary());
+    expect(cases.map(tc => `${tc.measurement}/${tc.racer}`)).toEqual(['Load/lauda', 'Load/hunt', 'Click/lauda', 'Click/hunt']);
+    expect(cases[0]).toMatchObject({ duration: 1.2, winner: 'lauda', rank: 1, budgetFailures: [], errors: [] });
+    expect(cases[1].budgetFailures).toHaveLength(1);
+    expect(cases[1].errors).toEqual(['Timeout <30s>']);
+    expect(cases[3]).toMatchObject({ duration: null, rank: null });
+  });
+
+  it('adds testcases for profile budget failures and racers without measurements', () => {
+    const summary = buildSummary(['a', 'b'], [{ measurements: [] }, { measurements: [], error: 'crashed' }], {}, '/tmp/results');
+    summary.budgets = { checked: 1, violations: [{ key: 'measured.scriptDuration', racer: 'a', value: 600, budget: 500 }] };
+    const cases = buildTestcases(summary);
+    expect(cases.map(tc => `${tc.measurement}/${tc.racer}`)).toEqual(['measured.scriptDuration/a', 'race/b']);
+    expect(cases[1].errors).toEqual(['crashed']);
+  });
+});
+
+describe('DNF testcases', () => {
+  const summary = () => buildSummary(['lauda', 'hunt'], [
+    { measurements: [{ name: 'Load', duration: 1.2 }] },
+    { measurements: [], dnf: { reason: 'over the 60s time limit', time: 60 } },
+  ], {}, '/tmp/results');
+
+  it('fails a racer that did not finish', () => {
+    const cases = buildTestcases(summary());
+    expect(cases[1]).toMatchObject({ racer: 'hunt', duration: null, dnf: 'DNF: over the 60s time limit' });
+    const xml = buildJUnitXml(summary());
+    expect(xml).toContain('<failure type="dnf" message="DNF: over the 60s time limit"/>');
+    expect(xml).not.toContain('<skipped');
+    const tap = buildTap(summary());
+    expect(tap).toContain('not ok 2 - Load › hunt\n');
+    expect(tap).toContain('  dnf: "DNF: over the 60s time limit"');
+  });
+});
+
+describe('DQ testcases', () => {
+  const summary = () => buildSummary(['lauda', 'hunt'], [
+    { measurements: [{ name: 'Load', startTime: 0, endTime: 1.2, duration: 1.2 }] },
+    { measurements: [{ name: 'Load', startTime: 0, endTime: 1, duration: 1 }], incidents: [{ type: 'pageerror', text: 'boom', time: 0.5 }] },
+  ], { incidents: { disqualify: true } }, '/tmp/results');
+
+  it('fails a disqualified racer', () => {
+    expect(buildTestcases(summary())[1]).toMatchObject({ racer: 'hunt', duration: null, dq: 'DQ: 1 incident during measurements (limit 1)' });
+    expect(buildJUnitXml(summary())).toContain('<failure type="dq" message="DQ: 1 incident during measurements (limit 1)"/>');
+    const tap = buildTap(summary());
+    expect(tap).toContain('not ok 2 - Load › hunt\n');
+    expect(tap).toContain('  dq: "DQ: 1 incident during measurements (limit 1)"');
+  });
+});
+
+describe('metric testcases', () => {
+  const summary = () => buildSummary(['lauda', 'hunt'], [
+    { measurements: [], metrics: [{ name: 'Frame rate', value: 48, unit: 'fps', better: 'higher' }] },
+    { measurements: [], metrics: [{ name: 'Frame rate', value: 60, unit: 'fps', better: 'higher' }] },
+  ], {}, '/tmp/results');
+
+  it('reports the value and unit instead of a duration', () => {
+    expect(buildTestcases(summary())[1]).toMatchObject({ measurement: 'Frame rate', racer: 'hunt', duration: null, value: 60, unit: 'fps', rank: 1 });
+    const xml = buildJUnitXml(summary());
+    expect(xml).toContain('<property name="value" value="60 fps"/>');
+    expect(xml).not.toContain('<skipped');
+    const tap = buildTap(summary());
+    expect(tap).toContain('ok 2 - Frame rate › hunt 60 fps\n');
+    expect(tap).toContain('  value: 60\n  unit: "fps"');
+  });
+});
+
+describe('failed expectation testcases', () => {
+  it('fails the racer as DQ with the expectation message', () => {
+    const summary = buildSummary(['lauda', 'hunt'], [
+      { measurements: [{ name: 'Load', startTime: 0, endTime: 1.2, duration: 1.2 }] },
+      { measurements: [{ name: 'Load', startTime: 0, endTime: 1, duration: 1 }], expectations: [{ message: 'cart shows 1 item', passed: false, time: 1.1 }] },
+    ], {}, '/tmp/results');
+    expect(buildTestcases(summary)[1]).toMatchObject({ racer: 'hunt', dq: 'DQ: failed expectation: cart shows 1 item' });
+    expect(buildJUnitXml(summary)).toContain('<failure type="dq" message="DQ: failed expectation: cart shows 1 item"/>');
+  });
+});
+
+describe('buildJUnitXml', () => {
+  it('reports durations, winner, budget failures and errors', () => {
+    const xml = buildJUnitXml(makeSummary());
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<testsuites name="race" tests="4" failures="1" errors="2" time="4.200">');
+    expect(xml).toContain('<testsuite name="Load" tests="2" failures="1" errors="1" skipped="0" time="3.900" timestamp="2025-01-01T00:00:00.000Z">');
+    expect(xml).toContain('<testcase classname="Load" name="lauda" time="1.200">');
+    expect(xml).toContain('<property name="winner" value="lauda"/>');
+    expect(xml).toContain('<failure type="budget" message="Load over budget: 2.700s &gt; 2.500s"/>');
+    expect(xml).toContain('<error type="runner" message="Timeout &lt;30s&gt;"/>');
+  });
+
+  it('marks racers without data as skipped', () => {
+    const summary = makeSummary();
+    summary.errors = [];
+    const xml = buildJUnitXml(summary);
+    expect(xml).toContain('<testcase classname="Click" name="hunt" time="0.000">\n      <skipped message="no data"/>');
+  });
+
+  it('reports multi-run medians', () => {
+    const runs = [1.0, 1.1, 1.2].map(d => ({
+      racers: ['a', 'b'], settings: {}, errors: [],
+      comparisons: [{ name: 'Load', racers: [{ duration: d }, { duration: d + 1 }] }],
+    }));
+    const xml = buildJUnitXml(buildMedianSummary(runs, '/tmp/results'));
+    expect(xml).toContain('name="race (median of 3 runs)"');
+    expect(xml).toContain('<testcase classname="Load" name="a" time="1.100">');
+    expect(xml).toContain('<property name="runs" value="3"/>');
+  });
+});
+
+describe('buildTap', () => {
+  it('writes a TAP 13 plan with diagnostics', () => {
+    const tap = buildTap(makeSummary());
+    const lines = tap.split('\n');
+    expect(lines[0]).toBe('TAP version 13');
+    expect(lines[1]).toBe('1..4');
+    expect(tap).toContain('ok 1 - Load › lauda 1.200s');
+    expect(tap).toContain('not ok 2 - Load › hunt 2.700s\n  ---\n  duration: 2.7\n  winner: "lauda"\n  rank: 2\n  budgets:\n    - "Load over budget: 2.700s > 2.500s"\n  errors:\n    - "Timeout <30s>"\n  ...');
+    expect(tap).toContain('not ok 4 - Click › hunt');
+  });
+
+  it('skips testcases without data', () => {
+    const summary = makeSummary();
+    summary.errors = [];
+    expect(buildTap(summary)).toContain('ok 4 - Click › hunt # SKIP no data');
+  });
+});
+
+describe('writeReports', () => {
+  let tmpDir;
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-reporters-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  it('writes the requested report files', () => {
+    const files = writeReports(makeSummary(), tmpDir, ['junit', 'tap']);
+    expect(files).toEqual([path.join(tmpDir, 'junit.xml'), path.join(tmpDir, 'results.tap')]);
+    expect(fs.readFileSync(files[0], 'utf-8')).toContain('<testsuites');
+  });
+
+  it('accepts a single reporter name and ignores unknown ones', () => {
+    expect(writeReports(makeSummary(), tmpDir, 'tap')).toEqual([path.join(tmpDir, 'results.tap')]);
+    expect(writeReports(makeSummary(), tmpDir, ['html'])).toEqual([]);
+    expect(writeReports(makeSummary(), tmpDir, undefined)).toEqual([]);
+  });
+});
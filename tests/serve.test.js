@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import http from 'http';
+import zlib from 'zlib';
+import { resolveFile, startStaticServer } from '../cli/serve.js';
+
+let tmpDir;
+let server;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'serve-test-'));
+  fs.writeFileSync(path.join(tmpDir, 'index.html'), '<h1>Pit lane</h1>');
+  fs.mkdirSync(path.join(tmpDir, 'assets'));
+  fs.writeFileSync(path.join(tmpDir, 'assets', 'app.js'), 'console.log("lights out");'.repeat(20));
+  fs.writeFileSync(path.join(tmpDir, 'assets', 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+});
+
+afterEach(async () => {
+  if (server) await server.close();
+  server = null;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/** GET a URL and collect the raw (still encoded) body. */
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, res => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+}
+
+describe('resolveFile', () => {
+  it('maps URL paths to files and directories to index.html', async () => {
+    expect(await resolveFile(tmpDir, '/')).toBe(path.join(tmpDir, 'index.html'));
+    expect(await resolveFile(tmpDir, '/assets/app.js?v=2')).toBe(path.join(tmpDir, 'assets', 'app.js'));
+    expect(await resolveFile(tmpDir, '/assets/missing.js')).toBeNull();
+    expect(await resolveFile(tmpDir, '/assets')).toBeNull();
+  });
+
+  it('never leaves the root', async () => {
+    expect(await resolveFile(path.join(tmpDir, 'assets'), '/../index.html')).toBeNull();
+    expect(await resolveFile(path.join(tmpDir, 'assets'), '/%2e%2e/index.html')).toBeNull();
+    expect(await resolveFile(tmpDir, '/%E0%A4%A')).toBeNull();
+  });
+});
+
+describe('startStaticServer', () => {
+  it('serves files with content types and 404s the rest', async () => {
+    server = await startStaticServer({ dir: tmpDir });
+    expect(server.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+    const page = await get(`${server.url}/`);
+    expect(page.status).toBe(200);
+    expect(page.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(page.headers['cache-control']).toBe('no-store');
+    expect(page.body.toString()).toBe('<h1>Pit lane</h1>');
+    expect((await get(`${server.url}/nope.css`)).status).toBe(404);
+  });
+
+  it('compresses text when the browser accepts the encoding', async () => {
+    server = await startStaticServer({ dir: tmpDir, compression: 'br' });
+    const js = await get(`${server.url}/assets/app.js`, { 'Accept-Encoding': 'gzip, deflate, br' });
+    expect(js.headers['content-encoding']).toBe('br');
+    expect(zlib.brotliDecompressSync(js.body).toString()).toContain('lights out');
+    const plain = await get(`${server.url}/assets/app.js`, { 'Accept-Encoding': 'gzip' });
+    expect(plain.headers['content-encoding']).toBeUndefined();
+    const png = await get(`${server.url}/assets/logo.png`, { 'Accept-Encoding': 'br' });
+    expect(png.headers['content-encoding']).toBeUndefined();
+  });
+
+  it('compresses files before listening and serves later ones as they are', async () => {
+    server = await startStaticServer({ dir: tmpDir, compression: 'gzip' });
+    fs.writeFileSync(path.join(tmpDir, 'late.css'), 'body { color: red }');
+    const js = await get(`${server.url}/assets/app.js`, { 'Accept-Encoding': 'gzip' });
+    expect(zlib.gunzipSync(js.body).toString()).toContain('lights out');
+    const css = await get(`${server.url}/late.css`, { 'Accept-Encoding': 'gzip' });
+    expect(css.headers['content-encoding']).toBeUndefined();
+    expect(css.body.toString()).toBe('body { color: red }');
+  });
+
+  it('never serves a stale compressed copy of an edited file', async () => {
+    server = await startStaticServer({ dir: tmpDir, compression: 'br' });
+    fs.writeFileSync(path.join(tmpDir, 'assets', 'app.js'), 'console.log("safety car");');
+    const fresh = await get(`${server.url}/assets/app.js`, { 'Accept-Encoding': 'br' });
+    expect(fresh.headers['content-encoding']).toBeUndefined();
+    expect(fresh.body.toString()).toBe('console.log("safety car");');
+    let again;
+    for (let i = 0; i < 20; i++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+      again = await get(`${server.url}/assets/app.js`, { 'Accept-Encoding': 'br' });
+      if (again.headers['content-encoding']) break;
+    }
+    expect(again.headers['content-encoding']).toBe('br');
+    expect(zlib.brotliDecompressSync(again.body).toString()).toBe('console.log("safety car");');
+  });
+
+  it('leaves node_modules and dot-folders out of the startup pass', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'node_modules'));
+    fs.writeFileSync(path.join(tmpDir, 'node_modules', 'dep.js'), 'module.exports = 1;');
+    server = await startStaticServer({ dir: tmpDir, compression: 'gzip' });
+    const dep = await get(`${server.url}/node_modules/dep.js`, { 'Accept-Encoding': 'gzip' });
+    expect(dep.headers['content-encoding']).toBeUndefined();
+    expect(dep.body.toString()).toBe('module.exports = 1;');
+  });
+
+  it('holds every response for the configured latency', async () => {
+    server = await startStaticServer({ dir: tmpDir, latency: 150 });
+    const start = Date.now();
+    await get(`${server.url}/`);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(140);
+  });
+});
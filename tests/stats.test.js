@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { percentile, describeSample, bootstrapDiffCI, mannWhitneyU, compareSamples } from '../cli/stats.js';
+
+describe('percentile', () => {
+  it('interpolates between neighbours', () => {
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(percentile([1, 2, 3, 4, 5], 75)).toBe(4);
+    expect(percentile([10], 95)).toBe(10);
+  });
+
+  it('returns null for an empty sample', () => {
+    expect(percentile([], 50)).toBeNull();
+  });
+});
+
+describe('describeSample', () => {
+  it('returns null for no values', () => {
+    expect(describeSample([])).toBeNull();
+  });
+
+  it('has zero spread for a single value', () => {
+    expect(describeSample([2])).toEqual({ n: 1, min: 2, max: 2, mean: 2, stddev: 0, p75: 2, p95: 2 });
+  });
+
+  it('does not mutate the input', () => {
+    const values = [3, 1, 2];
+    describeSample(values);
+    expect(values).toEqual([3, 1, 2]);
+  });
+});
+
+describe('bootstrapDiffCI', () => {
+  it('is reproducible', () => {
+    const a = [1, 1.2, 0.9, 1.1];
+    const b = [1.5, 1.6, 1.4, 1.7];
+    expect(bootstrapDiffCI(a, b)).toEqual(bootstrapDiffCI(a, b));
+  });
+
+  it('brackets the true gap', () => {
+    const ci = bootstrapDiffCI([1, 1.1, 0.9, 1.05, 0.95], [2, 2.1, 1.9, 2.05, 1.95]);
+    expect(ci.confidence).toBe(0.95);
+    expect(ci.low).toBeGreaterThan(0.7);
+    expect(ci.high).toBeLessThan(1.3);
+  });
+
+  it('returns null when a sample is empty', () => {
+    expect(bootstrapDiffCI([], [1])).toBeNull();
+  });
+});
+
+describe('mannWhitneyU', () => {
+  it('gives U=0 and a small p-value for fully separated samples', () => {
+    const result = mannWhitneyU([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]);
+    expect(result.u).toBe(0);
+    expect(result.pValue).toBeLessThan(0.05);
+  });
+
+  it('gives p=1 for identical samples', () => {
+    expect(mannWhitneyU([1, 1, 1], [1, 1, 1]).pValue).toBe(1);
+  });
+
+  it('averages ranks for ties', () => {
+    expect(mannWhitneyU([1, 2], [2, 3]).u).toBe(0.5);
+  });
+
+  it('cannot reach significance with three runs each', () => {
+    expect(mannWhitneyU([1, 2, 3], [4, 5, 6]).minPValue).toBeGreaterThan(0.05);
+  });
+});
+
+describe('compareSamples', () => {
+  it('labels verdicts', () => {
+    expect(compareSamples([1, 2, 3, 4], [5, 6, 7, 8]).verdict).toBe('significant');
+    expect(compareSamples([1, 3, 5, 7], [2, 4, 6, 8]).verdict).toBe('too-close');
+    expect(compareSamples([1, 2], [3, 4]).verdict).toBe('insufficient-runs');
+  });
+
+  it('returns null without data', () => {
+    expect(compareSamples([], [1, 2])).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { globToRegExp, resolveSuiteFilters, discoverRaces, buildSuiteSummary, buildSuiteMarkdown, buildSuiteHtml } from '../cli/suite.js';
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-suite-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeRace(name, { files = ['a.spec.js', 'b.spec.js'], settings } = {}) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(dir);
+  for (const f of files) fs.writeFileSync(path.join(dir, f), '');
+  if (settings) fs.writeFileSync(path.join(dir, 'settings.json'), JSON.stringify(settings));
+  return dir;
+}
+
+function makeRaceSummary(name, overrides = {}) {
+  return {
+    racers: ['lauda', 'hunt'],
+    comparisons: [{ name: 'Load', winner: 'lauda' }, { name: 'Click', winner: 'hunt' }, { name: 'Paint', winner: 'lauda' }],
+    overallWinner: 'lauda',
+    wins: { lauda: 2, hunt: 1 },
+    errors: [],
+    resultsDir: path.join(tmpDir, name, 'results-1'),
+    ...overrides,
+  };
+}
+
+describe('globToRegExp', () => {
+  it('matches * and ? against whole folder names', () => {
+    expect(globToRegExp('react-*').test('react-vs-angular')).toBe(true);
+    expect(globToRegExp('react-*').test('preact-vs-react')).toBe(false);
+    expect(globToRegExp('run-?').test('run-1')).toBe(true);
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+  });
+});
+
+describe('resolveSuiteFilters', () => {
+  it('reads filters from suite settings, with CLI flags taking precedence', () => {
+    const filters = resolveSuiteFilters({ include: ['a-*'], exclude: ['skip-*'], tags: ['nightly'] }, { tags: 'smoke, ci' });
+    expect(filters).toEqual({ include: ['a-*'], exclude: ['skip-*'], tags: ['smoke', 'ci'] });
+  });
+
+  it('defaults to empty filters', () => {
+    expect(resolveSuiteFilters()).toEqual({ include: [], exclude: [], tags: [] });
+  });
+});
+
+describe('discoverRaces', () => {
+  it('finds race folders and skips results and non-race folders', () => {
+    writeRace('lauda-vs-hunt');
+    writeRace('react-vs-angular', { files: ['react.js', 'angular.js'] });
+    writeRace('notes', { files: ['README.md'] });
+    writeRace('results-2025-01-01_10-00-00');
+    writeRace('suite-results-2025-01-01_10-00-00');
+    expect(discoverRaces(tmpDir).map(r => r.name)).toEqual(['lauda-vs-hunt', 'react-vs-angular']);
+  });
+
+  it('applies include and exclude globs', () => {
+    writeRace('react-vs-angular');
+    writeRace('react-vs-vue');
+    writeRace('lauda-vs-hunt');
+    expect(discoverRaces(tmpDir, { include: ['react-*'] }).map(r => r.name)).toEqual(['react-vs-angular', 'react-vs-vue']);
+    expect(discoverRaces(tmpDir, { include: ['react-*'], exclude: ['*-vue'] }).map(r => r.name)).toEqual(['react-vs-angular']);
+  });
+
+  it('filters by settings.json tags', () => {
+    writeRace('fast', { settings: { tags: ['smoke', 'ci'] } });
+    writeRace('slow', { settings: { tags: ['nightly'] } });
+    writeRace('untagged');
+    const races = discoverRaces(tmpDir, { tags: ['smoke'] });
+    expect(races.map(r => r.name)).toEqual(['fast']);
+    expect(races[0].tags).toEqual(['smoke', 'ci']);
+  });
+});
+
+describe('buildSuiteSummary', () => {
+  it('links each race, records failures and tallies a scoreboard', () => {
+    const resultsDir = path.join(tmpDir, 'suite-results-1');
+    const suite = buildSuiteSummary([
+      { name: 'a', tags: [], summary: makeRaceSummary('a'), error: null },
+      { name: 'b', tags: [], summary: makeRaceSummary('b', { overallWinner: 'hunt', wins: { lauda: 0, hunt: 3 } }), error: null },
+      { name: 'c', tags: [], summary: null, error: 'Need at least 2 .spec.js (or .js) script files' },
+    ], tmpDir, resultsDir);
+
+    expect(suite.races.map(r => r.status)).toEqual(['ok', 'ok', 'failed']);
+    expect(suite.races[0].link).toBe('../a/results-1/index.html');
+    expect(suite.races[2]).toMatchObject({ link: null, error: 'Need at least 2 .spec.js (or .js) script files' });
+    expect(suite.scoreboard).toEqual({
+      lauda: { races: 2, raceWins: 1, measurementWins: 2 },
+      hunt: { races: 2, raceWins: 1, measurementWins: 4 },
+    });
+    expect(suite.totals).toEqual({ races: 3, ok: 2, failed: 1, overBudget: 0, withErrors: 0, failedExpectations: 0 });
+  });
+
+  it('flags races over budget or with runner errors', () => {
+    const suite = buildSuiteSummary([
+      { name: 'a', summary: makeRaceSummary('a', { budgets: { checked: 1, violations: [{ key: 'Load', racer: 'lauda', value: 2, budget: 1 }] } }), error: null },
+      { name: 'b', summary: makeRaceSummary('b', { errors: ['hunt: boom'] }), error: null },
+    ], tmpDir, path.join(tmpDir, 'suite-results-1'));
+    expect(suite.races.map(r => r.status)).toEqual(['over-budget', 'errors']);
+    expect(suite.totals).toMatchObject({ overBudget: 1, withErrors: 1 });
+  });
+
+  it('flags races where a racer failed an expectation', () => {
+    const expectations = { hunt: { passed: 1, failed: 1, entries: [{ message: 'cart shows 1 item', passed: false }] } };
+    const suite = buildSuiteSummary([
+      { name: 'a', summary: makeRaceSummary('a', { expectations }), error: null },
+    ], tmpDir, path.join(tmpDir, 'suite-results-1'));
+    expect(suite.races[0].status).toBe('failed-expectations');
+    expect(suite.totals.failedExpectations).toBe(1);
+    expect(buildSuiteMarkdown(suite)).toContain('1 races — 0 ok, 0 over budget, 1 with failed expectations, 0 with errors, 0 failed');
+  });
+});
+
+describe('suite reports', () => {
+  const resultsDir = () => path.join(tmpDir, 'suite-results-1');
+  const buildSuite = () => buildSuiteSummary([
+    { name: 'a', summary: makeRaceSummary('a'), error: null },
+    { name: 'b<script>', summary: null, error: 'Race directory not found' },
+  ], tmpDir, resultsDir());
+
+  it('builds a markdown report with race links and a scoreboard', () => {
+    const md = buildSuiteMarkdown(buildSuite());
+    expect(md).toContain('# Race Suite');
+    expect(md).toContain('2 races — 1 ok, 0 over budget, 0 with errors, 1 failed');
+    expect(md).toContain('| a | lauda | 3 | ✅ ok | [report](../a/results-1/index.html) |');
+    expect(md).toContain('❌ failed: Race directory not found');
+    expect(md).toContain('### Scoreboard');
+    expect(md).toContain('| lauda | 1 | 1 | 2 |');
+  });
+
+  it('builds an HTML report with escaped names and relative links', () => {
+    const html = buildSuiteHtml(buildSuite());
+    expect(html).toContain('<a href="../a/results-1/index.html">a</a>');
+    expect(html).toContain('b&lt;script&gt;');
+    expect(html).not.toContain('b<script>');
+    expect(html).toContain('class="status-failed"');
+    expect(html).toContain('<h2>Scoreboard</h2>');
+    expect(html).not.toMatch(/\{\{\w+\}\}/);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { buildSummary, buildMarkdownSummary, buildMedianSummary, buildMultiRunMarkdown, getPlacementOrder, findMedianRunIndex } from '../cli/summary.js';
+import { buildSummary, buildMarkdownSummary, buildMedianSummary, buildMultiRunMarkdown, getPlacementOrder, findMedianRunIndex, splitsToSectors, describeLaps, dnfLabel, unplacedLabel, failedExpectations, formatResult, formatGap, describeSignificance, isUnverifiedWin, describeNetwork, describeBlocked, describeDevices } from '../cli/summary.js';
 
 describe('buildSummary', () => {
   const names = ['lauda', 'hunt'];
@@ -137,6 +137,173 @@ describe('buildSummary', () => {
   });
 });
 
+describe('buildSummary browser engines', () => {
+  const names = ['lauda', 'hunt'];
+
+  it('records each racer engine and unavailable features', () => {
+    const results = [
+      { measurements: [], clickEvents: [], browser: 'chromium', unavailable: [] },
+      { measurements: [], clickEvents: [], browser: 'webkit', unavailable: ['network throttling', 'profiling'] },
+    ];
+    const summary = buildSummary(names, results, {}, '/tmp/results');
+
+    expect(summary.browsers).toEqual({ lauda: 'chromium', hunt: 'webkit' });
+    expect(summary.unavailable).toEqual({ hunt: ['network throttling', 'profiling'] });
+  });
+
+  it('defaults to chromium when the runner reports no engine', () => {
+    const results = [{ measurements: [] }, { measurements: [] }];
+    const summary = buildSummary(names, results, {}, '/tmp/results');
+
+    expect(summary.browsers).toEqual({ lauda: 'chromium', hunt: 'chromium' });
+    expect(summary.unavailable).toEqual({});
+  });
+});
+
+describe('sectors', () => {
+  const names = ['lebron', 'curry'];
+  const dribble = (start, splits, duration) => ({
+    name: 'Dribble', startTime: start, endTime: start + duration, duration,
+    splits: splits.map(([label, elapsed]) => ({ label, elapsed, time: start + elapsed })),
+  });
+  const results = () => [
+    { measurements: [dribble(1, [['Crossover', 0.5], ['Layup', 1.5]], 2.0)], clickEvents: [] },
+    { measurements: [dribble(2, [['Crossover', 0.7], ['Layup', 1.4]], 2.2)], clickEvents: [] },
+  ];
+
+  it('turns splits into sectors ending at each split and the finish', () => {
+    const sectors = splitsToSectors(dribble(1, [['Crossover', 0.5], ['Layup', 1.5]], 2.0));
+    expect(sectors.map(s => s.label)).toEqual(['Crossover', 'Layup', 'Finish']);
+    expect(sectors.map(s => s.duration)).toEqual([0.5, 1.0, 0.5]);
+    expect(sectors.map(s => s.time)).toEqual([1.5, 2.5, 3.0]);
+    expect(splitsToSectors({ name: 'Load', duration: 1 })).toBeNull();
+  });
+
+  it('compares racers per sector', () => {
+    const summary = buildSummary(names, results(), {}, '/tmp/results');
+    const comp = summary.comparisons[0];
+    expect(comp.winner).toBe('lebron');
+    expect(comp.sectors.map(s => s.name)).toEqual(['Crossover', 'Layup', 'Finish']);
+    expect(comp.sectors.map(s => s.winner)).toEqual(['lebron', 'curry', 'lebron']);
+    expect(comp.sectors[1].diff).toBeCloseTo(0.3);
+    // Sectors are extra detail — they don't count as wins
+    expect(summary.wins).toEqual({ lebron: 1, curry: 0 });
+  });
+
+  it('leaves measurements without splits alone', () => {
+    const summary = buildSummary(names, [
+      { measurements: [{ name: 'Load', startTime: 0, endTime: 1, duration: 1 }] },
+      { measurements: [{ name: 'Load', startTime: 0, endTime: 2, duration: 2 }] },
+    ], {}, '/tmp/results');
+    expect(summary.comparisons[0].sectors).toBeUndefined();
+    expect(summary.comparisons[0].racers[0].sectors).toBeUndefined();
+  });
+
+  it('takes the median of each sector across runs', () => {
+    const runs = [0.4, 0.5, 0.9].map(crossover => buildSummary(names, [
+      { measurements: [dribble(1, [['Crossover', crossover]], 2.0)] },
+      { measurements: [dribble(1, [['Crossover', 0.6]], 2.2)] },
+    ], {}, '/tmp/results'));
+    const median = buildMedianSummary(runs, '/tmp/results');
+    const crossover = median.comparisons[0].sectors[0];
+    expect(crossover.racers[0].duration).toBeCloseTo(0.5);
+    expect(crossover.winner).toBe('lebron');
+    expect(median.comparisons[0].sectors[1].racers[0].duration).toBeCloseTo(1.5);
+  });
+
+  it('adds a sector table to the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, results(), {}, '/tmp/results'));
+    expect(md).toContain('### Sectors');
+    expect(md).toContain('| Sector | lebron | curry | Fastest |');
+    expect(md).toContain('| Crossover | **0.500s** | 0.700s | lebron |');
+    expect(md).toContain('| Layup | 1.000s | **0.700s** | curry |');
+  });
+});
+
+describe('laps', () => {
+  const names = ['lauda', 'hunt'];
+  const laps = (times) => {
+    let t = 0;
+    return times.map(duration => {
+      const lap = { name: 'Lap', startTime: t, endTime: t + duration, duration };
+      t += duration;
+      return lap;
+    });
+  };
+  // lauda: steady; hunt: one blistering lap, otherwise slower
+  const results = () => [
+    { measurements: laps([1.2, 1.1, 1.3]) },
+    { measurements: laps([1.0, 1.4, 1.5]) },
+  ];
+
+  it('describes a racer\'s laps', () => {
+    const st = describeLaps([1.2, 1.1, 1.3]);
+    expect(st).toMatchObject({ count: 3, best: 1.1, bestLap: 2, median: 1.2, worst: 1.3 });
+    expect(st.mean).toBeCloseTo(1.2);
+  });
+
+  it('keeps every lap of a repeated measurement and ranks by median lap', () => {
+    const summary = buildSummary(names, results(), {}, '/tmp/results');
+    expect(summary.comparisons).toHaveLength(1);
+    const comp = summary.comparisons[0];
+    expect(comp.lapBasis).toBe('median');
+    expect(comp.racers[0].laps.map(l => l.duration)).toEqual([1.2, 1.1, 1.3]);
+    expect(comp.racers[0].duration).toBeCloseTo(1.2);
+    expect(comp.racers[1].lapStats).toMatchObject({ best: 1.0, bestLap: 1, worst: 1.5 });
+    expect(comp.racers[0].startTime).toBe(0);
+    expect(comp.racers[0].endTime).toBeCloseTo(3.6);
+    expect(comp.winner).toBe('lauda');
+  });
+
+  it('ranks by the configured lap basis', () => {
+    const best = buildSummary(names, results(), { lapBasis: 'best' }, '/tmp/results').comparisons[0];
+    expect(best.lapBasis).toBe('best');
+    expect(best.winner).toBe('hunt');
+    expect(best.racers[1].duration).toBe(1.0);
+    const worst = buildSummary(names, results(), { lapBasis: 'worst' }, '/tmp/results').comparisons[0];
+    expect(worst.winner).toBe('lauda');
+    const unknown = buildSummary(names, results(), { lapBasis: 'fastest' }, '/tmp/results').comparisons[0];
+    expect(unknown.lapBasis).toBe('median');
+  });
+
+  it('treats a single measurement as a one-lap entry when others ran laps', () => {
+    const summary = buildSummary(names, [
+      { measurements: laps([1.2, 1.1]) },
+      { measurements: laps([1.0]) },
+    ], {}, '/tmp/results');
+    expect(summary.comparisons[0].racers[1].laps).toHaveLength(1);
+    expect(summary.comparisons[0].winner).toBe('hunt');
+  });
+
+  it('combines lap splits into sectors using the lap basis', () => {
+    const withSplits = laps([1.0, 2.0]).map((lap, i) => ({ ...lap, splits: [{ label: 'S1', elapsed: [0.4, 0.6][i], time: lap.startTime + [0.4, 0.6][i] }] }));
+    const summary = buildSummary(names, [{ measurements: withSplits }, { measurements: withSplits }], { lapBasis: 'best' }, '/tmp/results');
+    const sectors = summary.comparisons[0].racers[0].sectors;
+    expect(sectors.map(s => s.label)).toEqual(['S1', 'Finish']);
+    expect(sectors[0].duration).toBeCloseTo(0.4);
+    expect(sectors[1].duration).toBeCloseTo(0.6);
+  });
+
+  it('takes the median of each lap across runs', () => {
+    const runs = [[1.2, 1.0], [1.4, 1.1], [1.3, 1.6]].map(times => buildSummary(names, [
+      { measurements: laps(times) },
+      { measurements: laps([1.5, 1.5]) },
+    ], {}, '/tmp/results'));
+    const comp = buildMedianSummary(runs, '/tmp/results').comparisons[0];
+    expect(comp.lapBasis).toBe('median');
+    expect(comp.racers[0].laps.map(l => l.duration)).toEqual([1.3, 1.1]);
+    expect(comp.racers[0].lapStats).toMatchObject({ best: 1.1, bestLap: 2 });
+  });
+
+  it('adds a laps section to the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, results(), {}, '/tmp/results'));
+    expect(md).toContain('### Laps');
+    expect(md).toContain('**Lap** — ranked by median lap');
+    expect(md).toContain('| lauda | 3 | 1.100s (lap 2) | 1.200s | 1.200s | 1.300s |');
+    expect(md).toContain('| 2 | **1.100s** | 1.400s |');
+  });
+});
+
 describe('buildMarkdownSummary', () => {
   function makeSummary(overrides = {}) {
     return {
@@ -212,6 +379,22 @@ describe('buildMarkdownSummary', () => {
     expect(md).toContain('4x');
   });
 
+  it('labels racers with engines and lists unavailable features in cross-browser races', () => {
+    const md = buildMarkdownSummary(makeSummary({
+      browsers: { lauda: 'chromium', hunt: 'firefox' },
+      unavailable: { hunt: ['CPU throttling'] },
+    }));
+    expect(md).toContain('| **Racer 2** | hunt (firefox) |');
+    expect(md).toContain('### Unavailable');
+    expect(md).toContain('- hunt (firefox): CPU throttling');
+  });
+
+  it('keeps plain racer names in all-chromium races', () => {
+    const md = buildMarkdownSummary(makeSummary({ browsers: { lauda: 'chromium', hunt: 'chromium' } }));
+    expect(md).toContain('| **Racer 1** | lauda |');
+    expect(md).not.toContain('### Unavailable');
+  });
+
   it('handles missing measurement for one racer', () => {
     const summary = makeSummary({
       comparisons: [{
@@ -227,6 +410,52 @@ describe('buildMarkdownSummary', () => {
   });
 });
 
+describe('buildMarkdownSummary baseline', () => {
+  it('lists deltas against the baseline run', () => {
+    const summary = buildSummary(['a', 'b'], [
+      { measurements: [{ name: 'Load', duration: 1.2 }] },
+      { measurements: [{ name: 'Load', duration: 1.5 }] },
+    ], {}, '/tmp/results');
+    summary.baseline = {
+      dir: '/tmp/race/results-2025-01-01_10-00-00',
+      threshold: 10,
+      regressions: 1,
+      deltas: [
+        { measurement: 'Load', racer: 'a', baseline: 1.0, current: 1.2, diff: 0.2, diffPercent: 20, regression: true, improvement: false },
+        { measurement: 'Load', racer: 'b', baseline: 1.5, current: 1.5, diff: 0, diffPercent: 0, regression: false, improvement: false },
+      ],
+    };
+    const md = buildMarkdownSummary(summary);
+    expect(md).toContain('### Baseline');
+    expect(md).toContain('Compared with `results-2025-01-01_10-00-00` (±10% threshold): **1 regression**');
+    expect(md).toContain('| Load | a | 1.000s | 1.200s | +0.200s (+20.0%) | 🔴 regression |');
+    expect(md).toContain('| Load | b | 1.500s | 1.500s | +0.000s (+0.0%) | - |');
+  });
+
+  it('omits the section without a baseline', () => {
+    const summary = buildSummary(['a', 'b'], [{ measurements: [] }, { measurements: [] }], {}, '/tmp/results');
+    expect(buildMarkdownSummary(summary)).not.toContain('### Baseline');
+  });
+});
+
+describe('buildMarkdownSummary budgets', () => {
+  const results = [{ measurements: [{ name: 'Load', duration: 1.2 }] }, { measurements: [{ name: 'Load', duration: 3.1 }] }];
+
+  it('lists budget violations', () => {
+    const summary = buildSummary(['a', 'b'], results, {}, '/tmp/results');
+    summary.budgets = { checked: 2, violations: [{ key: 'Load', racer: 'b', value: 3.1, budget: 2 }] };
+    const md = buildMarkdownSummary(summary);
+    expect(md).toContain('### Budgets');
+    expect(md).toContain('- ❌ **b** · Load: 3.100s (budget 2.000s)');
+  });
+
+  it('reports when every budget passed', () => {
+    const summary = buildSummary(['a', 'b'], results, {}, '/tmp/results');
+    summary.budgets = { checked: 2, violations: [] };
+    expect(buildMarkdownSummary(summary)).toContain('All 2 budget checks passed.');
+  });
+});
+
 describe('buildMedianSummary', () => {
   function makeSummaries() {
     return [
@@ -286,6 +515,15 @@ describe('buildMedianSummary', () => {
     expect(median.settings).toEqual({ parallel: true });
   });
 
+  it('carries the median profile metrics of each racer', () => {
+    const summaries = makeSummaries();
+    summaries.forEach((s, i) => { s.profileMetrics = [{ measured: { scriptDuration: 100 * (i + 1) }, total: { jsHeapUsedSize: 1000 } }, null]; });
+    summaries[1].profileMetrics[0].measured.scriptDuration = null;
+    const median = buildMedianSummary(summaries, '/tmp/results');
+    expect(median.profileMetrics).toEqual([{ measured: { scriptDuration: 200 }, total: { jsHeapUsedSize: 1000 } }, null]);
+    expect(median.profileComparison.comparisons.find(x => x.key === 'measured.scriptDuration').values).toEqual([200, null]);
+  });
+
   it('collects errors from all runs', () => {
     const summaries = makeSummaries();
     summaries[0].errors = ['a: timeout'];
@@ -305,6 +543,72 @@ describe('buildMedianSummary', () => {
   });
 });
 
+describe('buildMedianSummary significance', () => {
+  function makeRuns(aDurations, bDurations) {
+    return aDurations.map((a, i) => ({
+      racers: ['a', 'b'],
+      settings: {},
+      comparisons: [{ name: 'Load', racers: [{ duration: a }, { duration: bDurations[i] }], diffPercent: null }],
+      errors: [],
+    }));
+  }
+
+  it('attaches per-racer spread', () => {
+    const median = buildMedianSummary(makeRuns([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]), '/tmp/results');
+    const stats = median.comparisons[0].racers[0].stats;
+    expect(stats).toMatchObject({ n: 5, min: 1, max: 5, mean: 3, p75: 4 });
+    expect(stats.stddev).toBeCloseTo(1.581, 3);
+    expect(stats.p95).toBeCloseTo(4.8, 5);
+  });
+
+  it('crowns a winner when the gap is significant', () => {
+    const median = buildMedianSummary(makeRuns([1.0, 1.1, 1.05, 0.95, 1.02], [2.0, 2.1, 1.9, 2.05, 1.98]), '/tmp/results');
+    const comp = median.comparisons[0];
+    expect(comp.significance.verdict).toBe('significant');
+    expect(comp.significance.against).toBe('b');
+    expect(comp.significance.pValue).toBeLessThan(0.05);
+    expect(comp.significance.diffCI.low).toBeGreaterThan(0);
+    expect(comp.winner).toBe('a');
+    expect(median.overallWinner).toBe('a');
+  });
+
+  it('calls it too close when the runs overlap', () => {
+    const median = buildMedianSummary(makeRuns([1.0, 1.3, 1.1, 1.4, 1.2], [1.05, 1.25, 1.15, 1.35, 1.22]), '/tmp/results');
+    const comp = median.comparisons[0];
+    expect(comp.significance.verdict).toBe('too-close');
+    expect(comp.significance.diffCI.low).toBeLessThanOrEqual(0);
+    expect(comp.winner).toBeNull();
+    expect(comp.rankings).toEqual(['a', 'b']);
+    expect(median.overallWinner).toBeNull();
+  });
+
+  it('keeps the median winner when there are too few runs to test, marked unverified', () => {
+    const median = buildMedianSummary(makeRuns([1, 2, 3], [3, 4, 5]), '/tmp/results');
+    expect(median.comparisons[0].significance.verdict).toBe('insufficient-runs');
+    expect(median.comparisons[0].winner).toBe('a');
+    expect(median.overallWinner).toBe('a');
+    expect(isUnverifiedWin(median)).toBe(true);
+    const md = buildMultiRunMarkdown(median, makeRuns([1, 2, 3], [3, 4, 5]));
+    expect(md).toContain('## Winner: a (1 - 0) — unverified, too few runs to tell');
+  });
+
+  it('does not mark a significant win unverified', () => {
+    const median = buildMedianSummary(makeRuns([1.0, 1.1, 1.05, 0.95, 1.02], [2.0, 2.1, 1.9, 2.05, 1.98]), '/tmp/results');
+    expect(isUnverifiedWin(median)).toBe(false);
+    expect(buildMultiRunMarkdown(median, [])).not.toContain('unverified');
+  });
+
+  it('reports spread and verdict in markdown', () => {
+    const close = buildMedianSummary(makeRuns([1.0, 1.3, 1.1, 1.4, 1.2], [1.05, 1.25, 1.15, 1.35, 1.22]), '/tmp/results');
+    const md = buildMultiRunMarkdown(close, makeRuns([1.0, 1.3, 1.1, 1.4, 1.2], [1.05, 1.25, 1.15, 1.35, 1.22]));
+    expect(md).toContain('## Too Close to Call');
+    expect(md).toContain('### Statistics');
+    expect(md).toContain('| Load | a | 1.200s | 1.000s | 1.400s |');
+    expect(md).toContain('| too close to call |');
+    expect(md).toMatch(/\*\*Load\*\*: a vs b: gap .* \(95% CI\), p=\d\.\d{3} — too close to call/);
+  });
+});
+
 describe('buildMultiRunMarkdown', () => {
   it('includes median header and individual run details', () => {
     const medianSummary = {
@@ -551,3 +855,488 @@ describe('findMedianRunIndex', () => {
     expect(findMedianRunIndex(summaries, median)).toBe(0);
   });
 });
+
+describe('starting line', () => {
+  const names = ['lauda', 'hunt'];
+  const measure = (name, startWait, extra = {}) => ({ name, startTime: 0, endTime: 1, duration: 1, startWait, ...extra });
+
+  it('records how long each racer waited and the skew between arrivals', () => {
+    const summary = buildSummary(names, [
+      { measurements: [measure('Load', 0.25)] },
+      { measurements: [measure('Load', 0.002)] },
+    ], {}, '/tmp/results');
+    const comp = summary.comparisons[0];
+    expect(comp.racers.map(r => r.startWait)).toEqual([0.25, 0.002]);
+    expect(comp.startLine).toEqual({ skew: 0.25, timedOut: false });
+  });
+
+  it('flags a start line that timed out', () => {
+    const summary = buildSummary(names, [
+      { measurements: [measure('Load', 30, { startTimedOut: true })] },
+      { measurements: [] },
+    ], {}, '/tmp/results');
+    expect(summary.comparisons[0].startLine).toEqual({ skew: 30, timedOut: true });
+  });
+
+  it('leaves unsynchronized starts alone', () => {
+    const summary = buildSummary(names, [
+      { measurements: [{ name: 'Load', startTime: 0, endTime: 1, duration: 1 }] },
+      { measurements: [{ name: 'Load', startTime: 0, endTime: 2, duration: 2 }] },
+    ], {}, '/tmp/results');
+    expect(summary.comparisons[0].startLine).toBeUndefined();
+    expect(buildMarkdownSummary(summary)).not.toContain('### Starting Line');
+  });
+
+  it('keeps each lap\'s wait and the longest one per racer', () => {
+    const summary = buildSummary(names, [
+      { measurements: [measure('Lap', 0.1), measure('Lap', 0.4)] },
+      { measurements: [measure('Lap', 0), measure('Lap', 0)] },
+    ], {}, '/tmp/results');
+    const comp = summary.comparisons[0];
+    expect(comp.racers[0].laps.map(l => l.startWait)).toEqual([0.1, 0.4]);
+    expect(comp.racers[0].startWait).toBe(0.4);
+    expect(comp.startLine.skew).toBe(0.4);
+  });
+
+  it('takes the median skew across runs', () => {
+    const runs = [0.1, 0.3, 0.2].map(wait => buildSummary(names, [
+      { measurements: [measure('Load', wait)] },
+      { measurements: [measure('Load', 0)] },
+    ], {}, '/tmp/results'));
+    const comp = buildMedianSummary(runs, '/tmp/results').comparisons[0];
+    expect(comp.startLine).toEqual({ skew: 0.2, timedOut: false });
+    expect(comp.racers[0].startWait).toBe(0.2);
+  });
+
+  it('adds a starting line section to the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, [
+      { measurements: [measure('Load', 0.25, { startTimedOut: true })] },
+      { measurements: [measure('Load', 0)] },
+    ], {}, '/tmp/results'));
+    expect(md).toContain('### Starting Line');
+    expect(md).toContain('| Measurement | lauda waited | hunt waited | Skew |');
+    expect(md).toContain('| Load | 0.250s | 0.000s | 0.250s ⏰ timed out |');
+  });
+});
+
+describe('in-page clock', () => {
+  const names = ['lauda', 'hunt'];
+  const timed = (duration, pageDuration) => ({
+    name: 'Load', startTime: 1, endTime: 1 + duration, duration,
+    pageStart: { timeOrigin: 1000, now: 50 }, pageEnd: { timeOrigin: 1000, now: 50 + pageDuration * 1000 }, pageDuration,
+  });
+
+  it('prefers the page duration and keeps Node times for video alignment', () => {
+    const summary = buildSummary(names, [
+      { measurements: [timed(1.004, 1.0)] },
+      { measurements: [timed(1.503, 1.5)] },
+    ], {}, '/tmp/results');
+    const [lauda, hunt] = summary.comparisons[0].racers;
+    expect(lauda).toMatchObject({ duration: 1.0, nodeDuration: 1.004, startTime: 1, endTime: 2.004 });
+    expect(hunt).toMatchObject({ duration: 1.5, nodeDuration: 1.503 });
+  });
+
+  it('falls back to the Node clock for every racer when one has no page time', () => {
+    const summary = buildSummary(names, [
+      { measurements: [timed(1.004, 1.0)] },
+      { measurements: [{ name: 'Load', startTime: 1, endTime: 2.5, duration: 1.5 }] },
+    ], {}, '/tmp/results');
+    const [lauda, hunt] = summary.comparisons[0].racers;
+    expect(lauda.duration).toBe(1.004);
+    expect(lauda.nodeDuration).toBeUndefined();
+    expect(hunt.duration).toBe(1.5);
+    expect(buildMarkdownSummary(summary)).not.toContain('### Clocks');
+  });
+
+  it('ignores unfinished measurements when choosing the clock', () => {
+    const comp = buildSummary(names, [
+      { measurements: [timed(1.004, 1.0)] },
+      { measurements: [{ name: 'Load', startTime: 1, endTime: 3, duration: 2, dnf: true }], dnf: { reason: 'crashed', measurement: 'Load' } },
+    ], {}, '/tmp/results').comparisons[0];
+    expect(comp.racers[0].duration).toBe(1.0);
+  });
+
+  it('times laps with the page clock', () => {
+    const comp = buildSummary(names, [
+      { measurements: [timed(1.003, 1.0), timed(2.003, 2.0)] },
+      { measurements: [timed(1.502, 1.5), timed(1.502, 1.5)] },
+    ], { lapBasis: 'best' }, '/tmp/results').comparisons[0];
+    expect(comp.racers[0].duration).toBe(1.0);
+    expect(comp.racers[0].nodeDuration).toBe(1.003);
+    expect(comp.racers[0].laps[1]).toMatchObject({ duration: 2.0, nodeDuration: 2.003 });
+  });
+
+  it('carries the median Node duration across runs', () => {
+    const runs = [[1.004, 1.0], [1.006, 1.1], [1.105, 1.2]].map(([node, page]) => buildSummary(names, [
+      { measurements: [timed(node, page)] },
+      { measurements: [timed(2.001, 2.0)] },
+    ], {}, '/tmp/results'));
+    const lauda = buildMedianSummary(runs, '/tmp/results').comparisons[0].racers[0];
+    expect(lauda.duration).toBe(1.1);
+    expect(lauda.nodeDuration).toBe(1.006);
+  });
+
+  it('reports the harness overhead in the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, [
+      { measurements: [timed(1.0042, 1.0)] },
+      { measurements: [timed(1.5031, 1.5)] },
+    ], {}, '/tmp/results'));
+    expect(md).toContain('### Clocks');
+    expect(md).toContain('| Load | lauda | 1.000s | 1.004s | +4.2ms |');
+    expect(md).toContain('| Load | hunt | 1.500s | 1.503s | +3.1ms |');
+  });
+});
+
+describe('did not finish', () => {
+  const names = ['lauda', 'hunt'];
+  const dnf = { reason: 'over the 60s time limit', time: 61 };
+  const results = () => [
+    { measurements: [{ name: 'Load', startTime: 0, endTime: 1, duration: 1 }, { name: 'Click', startTime: 1, endTime: 1.5, duration: 0.5 }] },
+    { measurements: [{ name: 'Load', startTime: 0, endTime: 0.8, duration: 0.8 }, { name: 'Click', startTime: 0.8, endTime: 60, duration: 59.2, dnf: true }], dnf },
+  ];
+
+  it('keeps finished measurements and marks the rest DNF', () => {
+    const summary = buildSummary(names, results(), {}, '/tmp/results');
+    const [load, click] = summary.comparisons;
+    expect(load.winner).toBe('hunt');
+    expect(load.dnf).toBeUndefined();
+    expect(click.racers[1]).toBeNull();
+    expect(click.dnf).toEqual({ hunt: 59.2 });
+    expect(click.winner).toBe('lauda');
+    expect(click.rankings).toEqual(['lauda']);
+    expect(dnfLabel(click, 'hunt')).toBe('DNF (59.200s)');
+    expect(dnfLabel(click, 'lauda')).toBeNull();
+    expect(summary.dnf).toEqual({ hunt: dnf });
+  });
+
+  it('marks measurements a retired racer never reached as DNF', () => {
+    const summary = buildSummary(names, [
+      { measurements: [{ name: 'Load', startTime: 0, endTime: 1, duration: 1 }] },
+      { measurements: [], dnf },
+    ], {}, '/tmp/results');
+    expect(summary.comparisons[0].dnf).toEqual({ hunt: null });
+    expect(dnfLabel(summary.comparisons[0], 'hunt')).toBe('DNF');
+  });
+
+  it('shows DNF in the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, results(), {}, '/tmp/results'));
+    expect(md).toContain('| Click | 0.500s | DNF (59.200s) |');
+    expect(md).toContain('### Did Not Finish');
+    expect(md).toContain('- 🚩 **hunt** — over the 60s time limit');
+  });
+
+  it('counts runs a racer retired in across a multi-run race', () => {
+    const finished = [
+      { measurements: [{ name: 'Click', startTime: 0, endTime: 1, duration: 1 }] },
+      { measurements: [{ name: 'Click', startTime: 0, endTime: 2, duration: 2 }] },
+    ];
+    const runs = [results(), results(), finished].map(r => buildSummary(names, r, {}, '/tmp/results'));
+    const median = buildMedianSummary(runs, '/tmp/results');
+    expect(median.dnf).toEqual({ hunt: { ...dnf, runs: 2 } });
+    // hunt finished Click in one run, so it has a median time there
+    expect(median.comparisons.find(comp => comp.name === 'Click').dnf).toBeUndefined();
+    const allRetired = buildMedianSummary([results(), results()].map(r => buildSummary(names, r, {}, '/tmp/results')), '/tmp/results');
+    expect(allRetired.comparisons.find(comp => comp.name === 'Click').dnf).toEqual({ hunt: null });
+  });
+});
+
+describe('race messages', () => {
+  const names = ['lauda', 'hunt'];
+  const results = () => [
+    { measurements: [], messages: [{ text: 'Box | box', elapsed: 1.5, time: 2.1 }] },
+    { measurements: [], messages: [{ text: 'Pushing\nhard', elapsed: 0.4, time: 0.9 }] },
+  ];
+
+  it('keeps each racer\'s messages in the summary', () => {
+    const summary = buildSummary(names, results(), {}, '/tmp/results');
+    expect(summary.messages).toEqual({ lauda: results()[0].messages, hunt: results()[1].messages });
+    expect(buildSummary(names, [{ measurements: [] }, { measurements: [], messages: [] }], {}, '/tmp/results').messages).toEqual({});
+  });
+
+  it('lists messages in race order in the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, results(), {}, '/tmp/results'));
+    expect(md).toContain('### Messages');
+    expect(md).toContain('| 0.4s | hunt | Pushing hard |\n| 1.5s | lauda | Box \\| box |');
+    expect(buildMarkdownSummary(buildSummary(names, [{ measurements: [] }, { measurements: [] }], {}, '/tmp/results'))).not.toContain('### Messages');
+  });
+
+  it('keeps every run\'s messages, network changes and HAR modes in a multi-run race', () => {
+    const runs = [
+      buildSummary(names, [
+        { ...results()[0], har: 'record', networkChanges: [{ profile: 'fast-3g', time: 1 }] },
+        { ...results()[1], har: 'record' },
+      ], {}, '/tmp/results'),
+      buildSummary(names, [{ ...results()[0], har: 'replay' }, { measurements: [], har: 'replay' }], {}, '/tmp/results'),
+    ];
+    const median = buildMedianSummary(runs, '/tmp/results');
+    expect(median.messages.lauda.map(m => m.run)).toEqual([1, 2]);
+    expect(median.messages.hunt).toEqual([{ ...results()[1].messages[0], run: 1 }]);
+    expect(median.networkChanges).toEqual({ lauda: [{ profile: 'fast-3g', time: 1, run: 1 }] });
+    expect(median.har).toEqual({ lauda: { record: 1, replay: 1, runs: 2 }, hunt: { record: 1, replay: 1, runs: 2 } });
+    expect(buildMarkdownSummary(median)).toContain('| Run | Time | Racer | Message |\n|---|---|---|---|\n| 1 | 0.4s | hunt | Pushing hard |\n| 1 | 1.5s | lauda | Box \\| box |\n| 2 | 1.5s | lauda |');
+  });
+});
+
+describe('incidents', () => {
+  const names = ['lauda', 'hunt'];
+  const results = () => [
+    { measurements: [{ name: 'Load', startTime: 1, endTime: 2, duration: 1 }] },
+    {
+      measurements: [{ name: 'Load', startTime: 1, endTime: 2.2, duration: 1.2 }],
+      incidents: [
+        { type: 'console', text: 'Failed to load resource', time: 0.5 },
+        { type: 'pageerror', text: 'TypeError: x is undefined', time: 1.5 },
+        { type: 'requestfailed', text: 'GET https://cdn.example/app.js — net::ERR_FAILED', time: 1.8 },
+      ],
+    },
+  ];
+
+  it('counts incidents per racer and only reports them by default', () => {
+    const summary = buildSummary(names, results(), {}, '/tmp/results');
+    expect(summary.incidents.hunt).toMatchObject({ total: 3, measured: 2, types: { console: 1, pageerror: 1, requestfailed: 1 } });
+    expect(summary.incidents.lauda).toBeUndefined();
+    expect(summary.comparisons[0].racers[1].duration).toBe(1.2);
+    expect(summary.disqualified).toEqual({});
+  });
+
+  it('adds a penalty per incident during a measurement, for the counted types', () => {
+    const summary = buildSummary(names, results(), { incidents: { penalty: 0.5, types: ['pageerror'] } }, '/tmp/results');
+    expect(summary.comparisons[0].racers[1]).toMatchObject({ duration: 1.7, penalty: 0.5 });
+    expect(summary.incidents.hunt).toMatchObject({ measured: 1, penalty: 0.5 });
+  });
+
+  it('disqualifies a racer at the incident limit', () => {
+    const summary = buildSummary(names, results(), { incidents: { disqualify: 2 } }, '/tmp/results');
+    const [load] = summary.comparisons;
+    expect(load.racers[1]).toBeNull();
+    expect(load.disqualified).toEqual(['hunt']);
+    expect(load.winner).toBe('lauda');
+    expect(unplacedLabel(load, 'hunt')).toBe('DQ');
+    expect(summary.disqualified).toEqual({ hunt: { reason: '2 incidents during measurements (limit 2)' } });
+    expect(buildSummary(names, results(), { incidents: { disqualify: 3 } }, '/tmp/results').disqualified).toEqual({});
+  });
+
+  it('reports incidents and disqualifications in the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, results(), { incidents: { disqualify: true } }, '/tmp/results'));
+    expect(md).toContain('| Load | 1.000s | DQ |');
+    expect(md).toContain('### Disqualified');
+    expect(md).toContain('- ⛔ **hunt** — 2 incidents during measurements (limit 1)');
+    expect(md).toContain('### Incidents');
+    expect(md).toContain('| hunt | 1 | 1 | 1 | 2 | - |');
+    expect(md).toContain('- 1.5s · **hunt** · page error: TypeError: x is undefined');
+  });
+
+  it('sums incidents and counts disqualified runs across a multi-run race', () => {
+    const runs = [results(), results()].map(r => buildSummary(names, r, { incidents: { disqualify: true } }, '/tmp/results'));
+    const median = buildMedianSummary(runs, '/tmp/results');
+    expect(median.incidents.hunt).toMatchObject({ total: 6, measured: 4, runs: 2 });
+    expect(median.disqualified.hunt.runs).toBe(2);
+    expect(median.comparisons[0].disqualified).toEqual(['hunt']);
+  });
+
+  it('keeps a racer disqualified in one run out of the median comparison', () => {
+    const clean = [results()[0], { measurements: [{ name: 'Load', startTime: 1, endTime: 1.8, duration: 0.8 }] }];
+    const runs = [results(), clean, clean].map(r => buildSummary(names, r, { incidents: { disqualify: true } }, '/tmp/results'));
+    const median = buildMedianSummary(runs, '/tmp/results');
+    expect(median.disqualified.hunt.runs).toBe(1);
+    const [load] = median.comparisons;
+    expect(load.disqualified).toEqual(['hunt']);
+    expect(load.racers[1]).toBeNull();
+    expect(load.winner).toBe('lauda');
+  });
+});
+
+describe('expectations', () => {
+  const names = ['lauda', 'hunt'];
+  const results = () => [
+    {
+      measurements: [{ name: 'Load', startTime: 1, endTime: 2.2, duration: 1.2 }],
+      expectations: [{ message: 'cart shows 1 item', passed: true, time: 2.3 }],
+    },
+    {
+      measurements: [{ name: 'Load', startTime: 1, endTime: 2, duration: 1 }],
+      expectations: [
+        { message: 'cart shows 1 item', passed: false, time: 2.1 },
+        { message: 'no | pipes', passed: false, time: 2.2, error: 'timeout' },
+      ],
+    },
+  ];
+
+  it('disqualifies a racer with a failed expectation, even when faster', () => {
+    const summary = buildSummary(names, results(), {}, '/tmp/results');
+    const [load] = summary.comparisons;
+    expect(load.racers[1]).toBeNull();
+    expect(load.disqualified).toEqual(['hunt']);
+    expect(load.winner).toBe('lauda');
+    expect(summary.disqualified).toEqual({ hunt: { reason: 'failed expectation: cart shows 1 item (+1 more)' } });
+    expect(summary.expectations.lauda).toMatchObject({ passed: 1, failed: 0 });
+    expect(summary.expectations.hunt).toMatchObject({ passed: 0, failed: 2 });
+    expect(failedExpectations(summary)).toEqual(['hunt']);
+  });
+
+  it('passes when every expectation holds', () => {
+    const [lauda] = results();
+    const summary = buildSummary(names, [lauda, { ...lauda, expectations: [] }], {}, '/tmp/results');
+    expect(failedExpectations(summary)).toEqual([]);
+    expect(summary.disqualified).toEqual({});
+    expect(summary.expectations.hunt).toBeUndefined();
+  });
+
+  it('lists every check in the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, results(), {}, '/tmp/results'));
+    expect(md).toContain('- ⛔ **hunt** — failed expectation: cart shows 1 item (+1 more)');
+    expect(md).toContain('### Expectations');
+    expect(md).toContain('| lauda | cart shows 1 item | ✅ passed |');
+    expect(md).toContain('| hunt | no \\| pipes | ❌ failed (timeout) |');
+  });
+
+  it('counts passes and failures across a multi-run race', () => {
+    const runs = [results(), results()].map(r => buildSummary(names, r, {}, '/tmp/results'));
+    const median = buildMedianSummary(runs, '/tmp/results');
+    expect(median.expectations.hunt).toEqual({ passed: 0, failed: 4, runs: 2 });
+    expect(median.comparisons[0].disqualified).toEqual(['hunt']);
+    expect(failedExpectations(median)).toEqual(['hunt']);
+    expect(buildMultiRunMarkdown(median, runs)).toContain('| hunt | 0 | 4 | 2 |');
+  });
+});
+
+describe('raceMetric comparisons', () => {
+  const names = ['lauda', 'hunt'];
+  const results = (fps = [48, 60]) => [
+    {
+      measurements: [{ name: 'Load', startTime: 1, endTime: 2, duration: 1 }],
+      metrics: [{ name: 'Frame rate', value: fps[0], unit: 'fps', better: 'higher' }, { name: 'Bytes', value: 2048, unit: 'B', better: 'lower' }],
+    },
+    {
+      measurements: [{ name: 'Load', startTime: 1, endTime: 2.5, duration: 1.5 }],
+      metrics: [{ name: 'Frame rate', value: fps[1], unit: 'fps', better: 'higher' }, { name: 'Bytes', value: 1024.5, unit: 'B', better: 'lower' }],
+    },
+  ];
+
+  it('ranks each metric in its own direction and counts it towards the overall winner', () => {
+    const summary = buildSummary(names, results(), {}, '/tmp/results');
+    const [, frames, bytes] = summary.comparisons;
+    expect(frames).toMatchObject({ name: 'Frame rate', metric: { unit: 'fps', better: 'higher' }, racers: [{ value: 48 }, { value: 60 }], winner: 'hunt', rankings: ['hunt', 'lauda'], diff: 12 });
+    expect(frames.diffPercent).toBeCloseTo(20);
+    expect(bytes).toMatchObject({ winner: 'hunt', metric: { better: 'lower' } });
+    expect(summary.wins).toEqual({ lauda: 1, hunt: 2 });
+    expect(summary.overallWinner).toBe('hunt');
+  });
+
+  it('formats metric values in their unit', () => {
+    const [, frames] = buildSummary(names, results(), {}, '/tmp/results').comparisons;
+    expect(formatResult(frames, 58.25)).toBe('58.25 fps');
+    expect(formatGap(frames, -12)).toBe('-12 fps');
+    expect(formatResult({ metric: { unit: '', better: 'higher' } }, 1 / 3)).toBe('0.333');
+    expect(formatResult({ name: 'Load' }, 1.5)).toBe('1.500s');
+  });
+
+  it('shows metrics with their direction in the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, results(), {}, '/tmp/results'));
+    expect(md).toContain('| Frame rate (higher is better) | 48 fps | 60 fps | hunt | 20.0% |');
+    expect(md).toContain('| Bytes (lower is better) | 2048 B | 1024.5 B | hunt | 99.9% |');
+  });
+
+  it('marks a retired racer\'s metrics DNF and never counts them as wins', () => {
+    const [lauda, hunt] = results();
+    const summary = buildSummary(names, [lauda, { ...hunt, dnf: { reason: 'over the 60s time limit' } }], {}, '/tmp/results');
+    const frames = summary.comparisons.find(comp => comp.name === 'Frame rate');
+    expect(frames).toMatchObject({ racers: [{ value: 48 }, null], dnf: { hunt: null }, winner: 'lauda', rankings: ['lauda'] });
+    expect(summary.wins).toEqual({ lauda: 3, hunt: 0 });
+    expect(summary.overallWinner).toBe('lauda');
+  });
+
+  it('leaves out a metric named like a measurement and reports it', () => {
+    const clash = results().map(r => ({ ...r, metrics: [{ name: 'Load', value: 1, unit: '', better: 'higher' }] }));
+    const summary = buildSummary(names, clash, {}, '/tmp/results');
+    expect(summary.comparisons.map(comp => comp.name)).toEqual(['Load']);
+    expect(summary.errors).toEqual(['raceMetric "Load" has the same name as a measurement and was left out']);
+  });
+
+  it('takes the median value across runs and tests the lead in the metric\'s direction', () => {
+    const runs = [[48, 60], [50, 61], [47, 59], [49, 62], [46, 60]].map(fps => buildSummary(names, results(fps), {}, '/tmp/results'));
+    const median = buildMedianSummary(runs, '/tmp/results');
+    const frames = median.comparisons.find(comp => comp.name === 'Frame rate');
+    expect(frames.metric).toEqual({ unit: 'fps', better: 'higher' });
+    expect(frames.racers.map(v => v.value)).toEqual([48, 60]);
+    expect(frames.winner).toBe('hunt');
+    expect(frames.significance.verdict).toBe('significant');
+    expect(frames.significance.diffCI.low).toBeGreaterThan(0);
+    expect(describeSignificance(frames)).toMatch(/^hunt vs lauda: gap \+\d+(\.\d+)? fps … \+\d+(\.\d+)? fps \(95% CI\)/);
+  });
+});
+
+describe('describeNetwork', () => {
+  it('names the preset and the HAR mode', () => {
+    expect(describeNetwork('slow-3g')).toBe('slow-3g');
+    expect(describeNetwork('none')).toBeNull();
+    expect(describeNetwork(undefined)).toBeNull();
+    expect(describeNetwork({ record: true })).toBe('HAR record & replay');
+    expect(describeNetwork({ preset: '4g', replay: true })).toBe('4g · HAR replay, unthrottled');
+    expect(describeNetwork({ preset: 'fast-3g', racers: { hunt: '4g', lauda: { latency: 80 } } })).toBe('fast-3g · hunt: 4g, lauda: custom');
+  });
+
+  it('keeps which racers replayed in the summary and shows the network in markdown', () => {
+    const summary = buildSummary(['lauda', 'hunt'], [
+      { measurements: [], har: 'record' },
+      { measurements: [], har: 'replay' },
+    ], { network: { record: true } }, '/tmp/results');
+    expect(summary.har).toEqual({ lauda: 'record', hunt: 'replay' });
+    expect(buildMarkdownSummary(summary)).toContain('| **Network** | HAR record & replay |');
+  });
+});
+
+describe('blocked requests', () => {
+  const names = ['lauda', 'hunt'];
+  const results = () => [
+    { measurements: [] },
+    { measurements: [], blocked: [{ rule: 'third-party', requests: 3, bytes: 2048 }, { rule: 'font', requests: 0, bytes: 0 }] },
+  ];
+
+  it('totals each racer\'s block rules', () => {
+    const summary = buildSummary(names, results(), {}, '/tmp/results');
+    expect(summary.blocked).toEqual({ hunt: { requests: 3, bytes: 2048, rules: results()[1].blocked } });
+    expect(describeBlocked(summary.blocked.hunt)).toBe('3 requests blocked (2.0 KB)');
+  });
+
+  it('lists every rule in the markdown report', () => {
+    const md = buildMarkdownSummary(buildSummary(names, results(), {}, '/tmp/results'));
+    expect(md).toContain('### Blocked Requests');
+    expect(md).toContain('| hunt | `third-party` | 3 | 2.0 KB |');
+    expect(md).toContain('| hunt | `font` | 0 | 0 B |');
+  });
+
+  it('sums blocked requests across a multi-run race', () => {
+    const runs = [results(), results()].map(r => buildSummary(names, r, {}, '/tmp/results'));
+    const median = buildMedianSummary(runs, '/tmp/results');
+    expect(median.blocked.hunt).toMatchObject({ requests: 6, bytes: 4096, runs: 2 });
+    expect(median.blocked.hunt.rules[0]).toEqual({ rule: 'third-party', requests: 6, bytes: 4096 });
+    expect(describeBlocked(median.blocked.hunt)).toBe('6 requests blocked (4.0 KB) across 2 runs');
+  });
+
+  it('keeps unknown sizes unknown', () => {
+    const live = [{ measurements: [] }, { measurements: [], blocked: [{ rule: 'third-party', requests: 3, bytes: null }, { rule: 'font', requests: 0, bytes: 0 }] }];
+    const summary = buildSummary(names, live, {}, '/tmp/results');
+    expect(summary.blocked.hunt.bytes).toBeNull();
+    expect(describeBlocked(summary.blocked.hunt)).toBe('3 requests blocked (size unknown)');
+    expect(buildMarkdownSummary(summary)).toContain('| hunt | `third-party` | 3 | size unknown |');
+    const median = buildMedianSummary([summary, buildSummary(names, results(), {}, '/tmp/results')], '/tmp/results');
+    expect(median.blocked.hunt).toMatchObject({ requests: 6, bytes: null });
+    expect(median.blocked.hunt.rules[1]).toEqual({ rule: 'font', requests: 0, bytes: 0 });
+  });
+});
+
+describe('describeDevices', () => {
+  const pixel = { name: 'Pixel 7', viewport: { width: 412, height: 839 }, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true };
+
+  it('shows one row for a shared device and one per racer otherwise', () => {
+    expect(describeDevices({}, ['lauda', 'hunt'])).toEqual([]);
+    expect(describeDevices({ devices: { lauda: pixel, hunt: pixel } }, ['lauda', 'hunt'])).toEqual([{ label: 'Device', text: 'Pixel 7 · 412×839 @2.625x, mobile, touch' }]);
+    expect(describeDevices({ devices: { hunt: pixel } }, ['lauda', 'hunt'])).toEqual([{ label: 'Device (hunt)', text: 'Pixel 7 · 412×839 @2.625x, mobile, touch' }]);
+  });
+
+  it('lists the device in the markdown race info', () => {
+    const summary = buildSummary(['lauda', 'hunt'], [{ measurements: [] }, { measurements: [] }], { devices: { lauda: pixel, hunt: pixel } }, '/tmp/results');
+    expect(buildMarkdownSummary(summary)).toContain('| **Device** | Pixel 7 · 412×839 @2.625x, mobile, touch |');
+  });
+});
@@ -195,6 +195,17 @@ describe('buildPlayerHtml', () => {
     expect(html).toContain('Total Session');
   });
 
+  it('shows Core Web Vitals in the profile section', () => {
+    const profileComparison = buildProfileComparison(['lauda', 'hunt'], [
+      { total: { lcp: 900, cls: 0.05 }, measured: {} },
+      { total: { lcp: 1500, cls: 0.1 }, measured: {} },
+    ]);
+    const html = buildPlayerHtml(makeSummary({ profileComparison }), videoFiles);
+    expect(html).toContain('>Vitals</h4>');
+    expect(html).toContain('Largest Contentful Paint');
+    expect(html).toContain('(+0.050)');
+  });
+
   it('shows profile racers sorted by value with deltas', () => {
     const metrics1 = { total: { networkTransferSize: 2000 }, measured: {} };
     const metrics2 = { total: { networkTransferSize: 1000 }, measured: {} };
@@ -276,9 +287,300 @@ describe('buildPlayerHtml race info', () => {
     expect(html).toContain('4x');
   });
 
+  it('describes HAR record and replay in the network row', () => {
+    const html = buildPlayerHtml(abSummary({ settings: { network: { preset: 'fast-3g', record: true, throttleReplay: true } } }), abVideoFiles);
+    expect(html).toContain('<tr><td>Network</td><td>fast-3g · HAR record &amp; replay, throttled</td></tr>');
+    expect(buildPlayerHtml(abSummary({ settings: { network: 'none' } }), abVideoFiles)).not.toContain('<td>Network</td>');
+  });
+
+  it('shows the emulated device, per racer when they differ', () => {
+    const pixel = { name: 'Pixel 7', viewport: { width: 412, height: 839 }, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true };
+    const desktop = { name: 'custom', viewport: { width: 1440, height: 900 }, deviceScaleFactor: 1, isMobile: false, hasTouch: false };
+    const shared = buildPlayerHtml(abSummary({ settings: { devices: { a: pixel, b: pixel } } }), abVideoFiles);
+    expect(shared).toContain('<tr><td>Device</td><td>Pixel 7 · 412×839 @2.625x, mobile, touch</td></tr>');
+    const mixed = buildPlayerHtml(abSummary({ settings: { devices: { a: pixel, b: desktop } } }), abVideoFiles);
+    expect(mixed).toContain('<tr><td>Device (b)</td><td>custom · 1440×900 @1x</td></tr>');
+  });
+
   it('defaults mode to parallel', () => {
     expect(buildPlayerHtml(abSummary(), abVideoFiles)).toContain('parallel');
   });
+
+  it('shows browser engines and unavailable features for cross-browser races', () => {
+    const html = buildPlayerHtml(abSummary({
+      browsers: { a: 'chromium', b: 'webkit' },
+      unavailable: { b: ['network throttling', 'profiling'] },
+    }), abVideoFiles);
+    expect(html).toContain('<td>b (webkit)</td>');
+    expect(html).toContain('<td>Unavailable</td><td>b: network throttling, profiling</td>');
+  });
+});
+
+// --- Sectors ---
+
+describe('buildPlayerHtml sectors', () => {
+  const sectorComparison = {
+    name: 'Dribble',
+    racers: [
+      { duration: 2.0, sectors: [{ label: 'Crossover', duration: 0.5, elapsed: 0.5, time: 1.5 }, { label: 'Finish', duration: 1.5, elapsed: 2.0, time: 3.0 }] },
+      { duration: 2.2, sectors: [{ label: 'Crossover', duration: 0.7, elapsed: 0.7, time: 2.7 }, { label: 'Finish', duration: 1.5, elapsed: 2.2, time: 4.2 }] },
+    ],
+    winner: 'a',
+    rankings: ['a', 'b'],
+    diffPercent: 10,
+    sectors: [
+      { name: 'Crossover', racers: [{ duration: 0.5 }, { duration: 0.7 }], winner: 'a', rankings: ['a', 'b'] },
+      { name: 'Finish', racers: [{ duration: 1.5 }, { duration: 1.5 }], winner: 'a', rankings: ['a', 'b'] },
+    ],
+  };
+
+  it('shows a sector table with the fastest sector highlighted', () => {
+    const html = buildPlayerHtml(abSummary({ comparisons: [sectorComparison] }), abVideoFiles);
+    expect(html).toContain('<table class="sector-table">');
+    expect(html).toContain('<td>Crossover</td><td class="sector-fastest">0.500s</td><td>0.700s</td>');
+  });
+
+  it('places timeline markers at each split but not the finish', () => {
+    const html = buildPlayerHtml(abSummary({ comparisons: [sectorComparison] }), abVideoFiles);
+    const markers = JSON.parse(html.match(/const splitMarkers = (\[.*\]);/)[1]);
+    expect(markers).toEqual([
+      { time: 1.5, elapsed: 0.5, label: 'Dribble · Crossover', racer: 'a', color: '#e74c3c' },
+      { time: 2.7, elapsed: 0.7, label: 'Dribble · Crossover', racer: 'b', color: '#3498db' },
+    ]);
+    expect(html).toContain('id="timelineMarkers"');
+  });
+
+  it('takes marker times from the timeline summary on median pages', () => {
+    const median = { ...sectorComparison, racers: sectorComparison.racers.map(r => ({ ...r, sectors: r.sectors.map(({ time, ...s }) => s) })) };
+    const html = buildPlayerHtml(abSummary({ comparisons: [median] }), abVideoFiles, null, null, {
+      timelineSummary: abSummary({ comparisons: [sectorComparison] }),
+    });
+    expect(JSON.parse(html.match(/const splitMarkers = (\[.*\]);/)[1])).toHaveLength(2);
+    const plain = buildPlayerHtml(abSummary({ comparisons: [median] }), abVideoFiles);
+    expect(plain).toContain('const splitMarkers = [];');
+  });
+});
+
+// --- Laps ---
+
+describe('buildPlayerHtml laps', () => {
+  const lapComparison = {
+    name: 'Lap',
+    lapBasis: 'median',
+    racers: [
+      { duration: 1.2, laps: [{ duration: 1.2, startTime: 0, endTime: 1.2 }, { duration: 1.1, startTime: 1.2, endTime: 2.3 }], lapStats: { count: 2, best: 1.1, bestLap: 2, mean: 1.15, median: 1.15, worst: 1.2 } },
+      { duration: 1.3, laps: [{ duration: 1.3, startTime: 0, endTime: 1.3 }, { duration: 1.3, startTime: 1.3, endTime: 2.6 }], lapStats: { count: 2, best: 1.3, bestLap: 1, mean: 1.3, median: 1.3, worst: 1.3 } },
+    ],
+    winner: 'a',
+    rankings: ['a', 'b'],
+    diffPercent: 8.3,
+  };
+
+  it('draws a lap chart with per-racer lap stats', () => {
+    const html = buildPlayerHtml(abSummary({ comparisons: [lapComparison] }), abVideoFiles);
+    expect(html).toContain('Laps — ranked by median lap');
+    expect(html).toContain('<svg class="lap-chart"');
+    expect(html.match(/<polyline /g)).toHaveLength(2);
+    expect(html).toContain('<title>a lap 2: 1.100s</title>');
+    expect(html).toContain('best 1.100s (lap 2)');
+  });
+
+  it('marks lap ends on the timeline', () => {
+    const html = buildPlayerHtml(abSummary({ comparisons: [lapComparison] }), abVideoFiles);
+    const markers = JSON.parse(html.match(/const splitMarkers = (\[.*\]);/)[1]);
+    expect(markers.map(m => [m.racer, m.label, m.time])).toEqual([['a', 'Lap · Lap 1', 1.2], ['b', 'Lap · Lap 1', 1.3]]);
+  });
+
+  it('leaves single measurements without a lap chart', () => {
+    expect(defaultHtml).not.toContain('<svg class="lap-chart"');
+  });
+});
+
+// --- Multi-run statistics ---
+
+describe('buildPlayerHtml DNF', () => {
+  const summary = () => abSummary({
+    comparisons: [{ name: 'Load', racers: [{ duration: 1.2 }, null], dnf: { b: 12.5 }, winner: null, rankings: [], diffPercent: null }],
+    dnf: { b: { reason: 'over the 10s time limit', time: 12.5 } },
+  });
+
+  it('shows DNF in the results and on the racer label', () => {
+    const html = buildPlayerHtml(summary(), abVideoFiles);
+    expect(html).toContain('DNF (12.500s)');
+    expect(html).toContain('<span class="dnf-badge" title="over the 10s time limit">DNF</span>');
+  });
+});
+
+describe('buildPlayerHtml incidents', () => {
+  const summary = () => abSummary({
+    comparisons: [{ name: 'Load', racers: [{ duration: 1.2 }, null], disqualified: ['b'], winner: 'a', rankings: ['a'], diffPercent: null }],
+    disqualified: { b: { reason: '1 incident during measurements (limit 1)' } },
+    incidents: { b: { total: 1, measured: 1, types: { console: 0, pageerror: 1, requestfailed: 0 }, entries: [{ type: 'pageerror', text: '<oops>', time: 2.5 }] } },
+  });
+
+  it('shows DQ in the results and on the racer label', () => {
+    const html = buildPlayerHtml(summary(), abVideoFiles);
+    expect(html).toContain('<span class="dnf-badge" title="1 incident during measurements (limit 1)">DQ</span>');
+    expect(html).toContain('<span class="profile-value">DQ</span>');
+  });
+
+  it('lists incidents in a panel and marks them on the timeline', () => {
+    const html = buildPlayerHtml(summary(), abVideoFiles);
+    expect(html).toContain('<h3>Incidents</h3>');
+    expect(html).toContain('1 page error &middot; 1 during measurements');
+    expect(html).toContain('<div class="profile-row incident-row" data-time="2.5">');
+    expect(html).toContain('pageerror: &lt;oops&gt;');
+    const markers = JSON.parse(html.match(/const splitMarkers = (\[.*\]);/)[1]);
+    expect(markers).toEqual([{ time: 2.5, elapsed: 2.5, label: 'pageerror: <oops>', racer: 'b', color: '#3498db', kind: 'incident' }]);
+  });
+});
+
+describe('buildPlayerHtml blocked requests', () => {
+  it('lists what each rule blocked', () => {
+    const html = buildPlayerHtml(abSummary({
+      blocked: { b: { requests: 1, bytes: 512, rules: [{ rule: '**/ads/<x>', requests: 1, bytes: 512 }] } },
+    }), abVideoFiles);
+    expect(html).toContain('<h3>Blocked Requests</h3>');
+    expect(html).toContain('1 request blocked (512.0 B)');
+    expect(html).toContain('<span class="profile-racer">**/ads/&lt;x&gt;</span>');
+    expect(html).toContain('<span class="profile-value">1 &middot; 512.0 B</span>');
+  });
+});
+
+describe('buildPlayerHtml metrics', () => {
+  it('sorts a higher-is-better metric descending and formats it in its unit', () => {
+    const html = buildPlayerHtml(abSummary({
+      comparisons: [{ name: 'Frame rate', metric: { unit: 'fps', better: 'higher' }, racers: [{ value: 48 }, { value: 60 }], winner: 'b', rankings: ['b', 'a'], diffPercent: 20 }],
+    }), abVideoFiles);
+    expect(html).toContain('<div class="profile-metric-desc">higher is better</div>');
+    expect(html).toContain('60 fps');
+    expect(html).toContain('48 fps<span class="profile-delta">(-12 fps)</span>');
+    expect(html.indexOf('60 fps')).toBeLessThan(html.indexOf('48 fps'));
+  });
+});
+
+describe('buildPlayerHtml expectations', () => {
+  it('lists each racer\'s checks, failures first, with seekable rows', () => {
+    const html = buildPlayerHtml(abSummary({
+      expectations: { b: { passed: 1, failed: 1, entries: [
+        { message: 'header visible', passed: true, time: 1 },
+        { message: 'cart <empty>', passed: false, time: 2.5 },
+      ] } },
+    }), abVideoFiles);
+    expect(html).toContain('<h3>Expectations</h3>');
+    expect(html).toContain('1/2 passed');
+    expect(html).toContain('<div class="profile-row expectation-row" data-time="2.5">');
+    expect(html).toContain('<span class="profile-value expectation-failed">❌ cart &lt;empty&gt;</span>');
+    expect(html.indexOf('cart &lt;empty&gt;')).toBeLessThan(html.indexOf('header visible'));
+  });
+});
+
+describe('buildPlayerHtml messages', () => {
+  const summary = () => abSummary({
+    messages: { b: [{ text: 'Box <now>', elapsed: 1.2, time: 2.5 }] },
+  });
+
+  it('marks messages on the timeline', () => {
+    const html = buildPlayerHtml(summary(), abVideoFiles);
+    const markers = JSON.parse(html.match(/const splitMarkers = (\[.*\]);/)[1]);
+    expect(markers).toEqual([{ time: 2.5, elapsed: 1.2, label: 'Box <now>', racer: 'b', color: '#3498db', kind: 'message' }]);
+  });
+
+  it('passes captions to the player in placement order', () => {
+    const html = buildPlayerHtml(summary(), abVideoFiles);
+    expect(JSON.parse(html.match(/const captions = (\[.*\]);/)[1])).toEqual([[], [{ time: 2.5, text: 'Box <now>' }]]);
+    expect(html).toContain('<div class="racer-caption" id="caption1"></div>');
+    expect(html).not.toContain('Box <now>');
+  });
+});
+
+describe('buildPlayerHtml text tracks', () => {
+  const textTracks = {
+    racers: [
+      { captions: 'a/a.captions.vtt', chapters: 'a/a.chapters.vtt', chapterCues: [{ start: 1, end: 2, text: 'Load' }] },
+      { captions: 'b/b.captions.vtt', chapters: 'b/b.chapters.vtt', chapterCues: [{ start: 1.5, end: 3, text: 'Load' }, { start: 3, end: 4, text: 'Click' }] },
+    ],
+    sideBySide: { captions: 'a-vs-b.captions.vtt', chapters: 'a-vs-b.chapters.vtt', chapterCues: [{ start: 1, end: 3, text: 'Load' }] },
+  };
+
+  it('attaches caption and chapter tracks to each video', () => {
+    const html = buildPlayerHtml(abSummary(), abVideoFiles, null, null, { textTracks, mergedVideoFile: 'a-vs-b.webm' });
+    expect(html).toContain('<track kind="captions" src="a/a.captions.vtt" srclang="en" label="Race captions">');
+    expect(html).toContain('<track kind="chapters" src="b/b.chapters.vtt" srclang="en" label="Chapters">');
+    expect(html).toContain('<track kind="captions" src="a-vs-b.captions.vtt"');
+  });
+
+  it('offers a chapter menu with each title once', () => {
+    const html = buildPlayerHtml(abSummary(), abVideoFiles, null, null, { textTracks });
+    expect(html).toContain('id="chapterSelect"');
+    expect(html.match(/<option value="Load">/g)).toHaveLength(1);
+    expect(html).toContain('<option value="Click">Click</option>');
+    expect(JSON.parse(html.match(/const chapters = (\[.*\]);/)[1])[1]).toHaveLength(2);
+  });
+
+  it('leaves tracks and the chapter menu out without text tracks', () => {
+    expect(defaultHtml).not.toContain('<track');
+    expect(defaultHtml).not.toContain('id="chapterSelect"');
+  });
+});
+
+describe('buildPlayerHtml multi-run statistics', () => {
+  const closeComparison = {
+    name: 'Load',
+    racers: [
+      { duration: 1.2, stats: { n: 5, min: 1.0, max: 1.4, mean: 1.2, stddev: 0.158, p75: 1.3, p95: 1.38 } },
+      { duration: 1.22, stats: { n: 5, min: 1.05, max: 1.35, mean: 1.2, stddev: 0.117, p75: 1.25, p95: 1.33 } },
+    ],
+    winner: null,
+    rankings: ['a', 'b'],
+    diffPercent: 1.7,
+    significance: { against: 'b', diffCI: { low: -0.15, high: 0.2, confidence: 0.95 }, pValue: 0.754, verdict: 'too-close' },
+  };
+
+  it('shows spread, interval and verdict', () => {
+    const html = buildPlayerHtml(abSummary({ comparisons: [closeComparison] }), abVideoFiles);
+    expect(html).toContain('1.200s ±0.158s');
+    expect(html).toContain('a vs b: gap -0.150s … +0.200s (95% CI), p=0.754 — too close to call');
+  });
+
+  it('says too close to call instead of crowning a winner', () => {
+    const html = buildPlayerHtml(abSummary({ comparisons: [closeComparison], overallWinner: null }), abVideoFiles);
+    expect(html).toContain('Too close to call');
+    expect(html).not.toContain('wins!');
+  });
+
+  it('marks a winner unverified when there were too few runs to tell', () => {
+    const fewRuns = { ...closeComparison, winner: 'a', significance: { against: 'b', pValue: 0.1, verdict: 'insufficient-runs' } };
+    const html = buildPlayerHtml(abSummary({ comparisons: [fewRuns], overallWinner: 'a' }), abVideoFiles);
+    expect(html).toContain('A wins! <span class="unverified">(unverified — too few runs to tell)</span>');
+  });
+});
+
+// --- Baseline comparison ---
+
+describe('buildPlayerHtml baseline', () => {
+  it('shows deltas against the baseline in the results section', () => {
+    const html = buildPlayerHtml(abSummary({
+      baseline: {
+        dir: '/tmp/race/results-old',
+        threshold: 5,
+        regressions: 1,
+        deltas: [
+          { measurement: 'Load', racer: 'a', baseline: 1.0, current: 1.2, diff: 0.2, diffPercent: 20, regression: true, improvement: false },
+          { measurement: 'Load', racer: 'b', baseline: 2.0, current: 1.5, diff: -0.5, diffPercent: -25, regression: false, improvement: true },
+        ],
+      },
+    }), abVideoFiles);
+    expect(html).toContain('vs Baseline');
+    expect(html).toContain('results-old');
+    expect(html).toContain('1 regression');
+    expect(html).toContain('1.000s &rarr; 1.200s<span class="profile-delta baseline-regression">+0.200s (+20.0%) &#9650;</span>');
+    expect(html).toContain('baseline-improvement">-0.500s (-25.0%)');
+  });
+
+  it('omits the baseline section without a baseline', () => {
+    expect(buildPlayerHtml(abSummary(), abVideoFiles)).not.toContain('vs Baseline');
+  });
 });
 
 // --- Errors section ---
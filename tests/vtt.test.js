@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { formatVttTime, toVideoTime, buildVtt, buildRacerCues, buildSideBySideCues, writeRaceTracks } from '../cli/vtt.js';
+
+const racerData = () => ({
+  measurements: [
+    { name: 'Load', startTime: 1, endTime: 2.234, duration: 1.234 },
+    { name: 'Click', startTime: 3, endTime: 3.5, duration: 0.5 },
+  ],
+  messages: [{ text: 'Box box', elapsed: 1.5, time: 2.5 }],
+});
+
+describe('formatVttTime', () => {
+  it('formats seconds as HH:MM:SS.mmm', () => {
+    expect(formatVttTime(0)).toBe('00:00:00.000');
+    expect(formatVttTime(61.2345)).toBe('00:01:01.235');
+    expect(formatVttTime(3723.5)).toBe('01:02:03.500');
+    expect(formatVttTime(-1)).toBe('00:00:00.000');
+  });
+});
+
+describe('toVideoTime', () => {
+  it('maps recording time onto trimmed segments', () => {
+    const segments = [{ start: 1, end: 3 }, { start: 5, end: 6 }];
+    expect(toVideoTime(2, segments)).toBe(1);
+    expect(toVideoTime(5.5, segments)).toBe(2.5);
+    expect(toVideoTime(4, segments)).toBeNull();
+    expect(toVideoTime(4, null)).toBe(4);
+  });
+});
+
+describe('buildVtt', () => {
+  it('writes a WEBVTT header and one block per cue', () => {
+    expect(buildVtt([{ start: 1, end: 3, text: 'raceStart: Load' }])).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nraceStart: Load\n');
+  });
+
+  it('keeps cue text from ending the cue early', () => {
+    const vtt = buildVtt([{ start: 0, end: 1, text: 'a --> b\n\nc' }]);
+    expect(vtt).toContain('a -> b\nc');
+  });
+});
+
+describe('buildRacerCues', () => {
+  it('captions starts, finishes and messages in time order', () => {
+    const { captions } = buildRacerCues(racerData());
+    expect(captions.map(c => [c.start, c.text])).toEqual([
+      [1, 'raceStart: Load'], [2.234, '🏁 1.234s'], [2.5, 'Box box'], [3, 'raceStart: Click'], [3.5, '🏁 0.500s'],
+    ]);
+    expect(captions[0].end).toBe(3);
+  });
+
+  it('captions raceNetwork switches', () => {
+    const { captions } = buildRacerCues({ measurements: [], networkChanges: [{ profile: 'offline', time: 1.5 }, { profile: '4g', time: 4 }] });
+    expect(captions.map(c => [c.start, c.text])).toEqual([[1.5, '📶 offline'], [4, '📶 4g']]);
+  });
+
+  it('adds one chapter per measurement, numbering laps and clipping overlaps', () => {
+    const { chapters } = buildRacerCues({
+      measurements: [
+        { name: 'Total', startTime: 0, endTime: 5, duration: 5 },
+        { name: 'Lap', startTime: 1, endTime: 2, duration: 1 },
+        { name: 'Lap', startTime: 2, endTime: 3, duration: 1 },
+      ],
+    });
+    expect(chapters).toEqual([
+      { start: 0, end: 1, text: 'Total' },
+      { start: 1, end: 2, text: 'Lap · Lap 1' },
+      { start: 2, end: 3, text: 'Lap · Lap 2' },
+    ]);
+  });
+
+  it('shifts cues into trimmed video time and marks DNF finishes', () => {
+    const { captions, chapters } = buildRacerCues({
+      measurements: [{ name: 'Load', startTime: 1, endTime: 4, duration: 3, dnf: true }],
+    }, [{ start: 0.5, end: 5 }]);
+    expect(captions.map(c => [c.start, c.text])).toEqual([[0.5, 'raceStart: Load'], [3.5, '🚩 DNF Load']]);
+    expect(chapters).toEqual([{ start: 0.5, end: 3.5, text: 'Load' }]);
+  });
+});
+
+describe('buildSideBySideCues', () => {
+  it('prefixes captions with the racer and spans chapters across racers', () => {
+    const other = { measurements: [{ name: 'Load', startTime: 0.8, endTime: 2.8, duration: 2 }] };
+    const { captions, chapters } = buildSideBySideCues(['lauda', 'hunt'], [buildRacerCues(racerData()), buildRacerCues(other)], 2);
+    expect(captions[0]).toEqual({ start: 1.6, end: 5.6, text: 'hunt: raceStart: Load' });
+    expect(chapters).toEqual([{ start: 1.6, end: 5.6, text: 'Load' }, { start: 6, end: 7, text: 'Click' }]);
+  });
+});
+
+describe('writeRaceTracks', () => {
+  let tmpDir;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race-vtt-'));
+    for (const name of ['lauda', 'hunt']) fs.mkdirSync(path.join(tmpDir, name));
+  });
+  afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it('writes caption and chapter files per racer and for the side-by-side video', () => {
+    const tracks = writeRaceTracks(tmpDir, ['lauda', 'hunt'], [racerData(), { measurements: [] }], { sideBySideName: 'lauda-vs-hunt.webm' });
+    expect(tracks.racers[0]).toMatchObject({ captions: 'lauda/lauda.captions.vtt', chapters: 'lauda/lauda.chapters.vtt' });
+    expect(tracks.racers[0].chapterCues.map(ch => ch.text)).toEqual(['Load', 'Click']);
+    expect(tracks.sideBySide.captions).toBe('lauda-vs-hunt.captions.vtt');
+    expect(fs.readFileSync(path.join(tmpDir, 'lauda/lauda.captions.vtt'), 'utf-8')).toContain('00:00:02.234 --> 00:00:04.234\n🏁 1.234s');
+    expect(fs.readFileSync(path.join(tmpDir, 'hunt/hunt.chapters.vtt'), 'utf-8')).toBe('WEBVTT\n');
+    expect(fs.existsSync(path.join(tmpDir, 'lauda-vs-hunt.chapters.vtt'))).toBe(true);
+  });
+
+  it('skips side-by-side tracks without a side-by-side video', () => {
+    expect(writeRaceTracks(tmpDir, ['lauda', 'hunt'], [racerData(), racerData()]).sideBySide).toBeNull();
+  });
+});